@@ -0,0 +1,194 @@
+import pkg from "node-sql-parser";
+import { config } from "../config/env.js";
+import { sqlDialect } from "../db/dialects/index.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = sqlDialect().parserOptions;
+
+/**
+ * How each table may be read by callers without HR-wide access:
+ * - "public": readable by every caller (reference data)
+ * - { self: column, identity: field }: rows are limited to those whose
+ *   `column` equals the caller's `identity[field]`
+ * - "hr": HR-wide access only
+ * Tables not listed are treated as "hr".
+ */
+const TABLE_POLICIES = {
+  allowance_details: "public",
+  allowance_items: "public",
+  allowances: "public",
+  departments: "public",
+  employment_types: "public",
+  leave_types: "public",
+  permissions: "public",
+  public_holidays: "public",
+  relation_types: "public",
+  roles: "public",
+
+  employees: { self: "id", identity: "employeeId" },
+  attendances: { self: "attendance_device_id", identity: "attendanceDeviceId" },
+  bank_info: { self: "employee_id", identity: "employeeId" },
+  employee_allowances: { self: "employee_id", identity: "employeeId" },
+  employee_dependent: { self: "employee_id", identity: "employeeId" },
+  employee_documents: { self: "employee_id", identity: "employeeId" },
+  employee_leaves: { self: "employee_id", identity: "employeeId" },
+  employee_roles: { self: "employee_id", identity: "employeeId" },
+  employee_salary_records: { self: "employee_id", identity: "employeeId" },
+  requested_leaves: { self: "employee_id", identity: "employeeId" },
+  role_permissions: { self: "employee_id", identity: "employeeId" },
+
+  activity_logs: "hr",
+  attendance_device_info: "hr",
+  configurations: "hr"
+};
+
+export class AccessDeniedError extends Error {
+  constructor(message, table) {
+    super(message);
+    this.name = "AccessDeniedError";
+    this.table = table;
+  }
+}
+
+function splitList(raw) {
+  return (raw || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Decide how much of the HR database a caller may read.
+ *
+ * - "all": HR/admin roles (HR_ROLE_NAMES, ADMIN_ROLE_NAMES), callers holding
+ *   one of HR_PERMISSIONS ("module:permission"), or ADMIN_API_KEY
+ * - "self": any other employee, limited to their own rows
+ * - "public": anonymous callers (AUTH_REQUIRED=false), reference data only
+ */
+export function resolveAccess(identity) {
+  if (!identity) return { level: "public" };
+  if (identity.isAdmin) return { level: "all" };
+
+  const hrRoles = splitList(config.hrRoleNames);
+  const hasHrRole = (identity.roles || []).some((role) =>
+    hrRoles.includes(String(role).toLowerCase())
+  );
+
+  const hrPermissions = splitList(config.hrPermissions);
+  const hasHrPermission = (identity.permissions || []).some((perm) =>
+    hrPermissions.includes(`${perm.module}:${perm.permission}`.toLowerCase())
+  );
+
+  if (hasHrRole || hasHrPermission) return { level: "all" };
+
+  return {
+    level: "self",
+    employeeId: identity.employeeId ?? null,
+    attendanceDeviceId: identity.attendanceDeviceId ?? null
+  };
+}
+
+function cteName(cte) {
+  const name = cte?.name?.value ?? cte?.name;
+  return typeof name === "string" ? name.toLowerCase() : null;
+}
+
+function buildScopedTable(table, policy, access) {
+  const value = access[policy.identity];
+  // A caller without the identifying value (e.g. no attendance device)
+  // must not match any row rather than all of them.
+  const condition =
+    value === null || value === undefined
+      ? "1 = 0"
+      : `\`${policy.self}\` = ${sqlDialect().quoteLiteral(value)}`;
+  return parser.astify(
+    `SELECT * FROM \`${table}\` WHERE ${condition}`,
+    PARSER_OPTIONS
+  );
+}
+
+function scopeFromItem(item, access, ctes) {
+  if (!item || typeof item.table !== "string" || item.expr) return item;
+
+  const table = item.table.toLowerCase();
+  if (!item.db && ctes.has(table)) return item;
+
+  const policy = item.db ? "hr" : TABLE_POLICIES[table] || "hr";
+  if (policy === "public") return item;
+
+  if (policy === "hr" || access.level === "public") {
+    throw new AccessDeniedError(
+      `Access to ${item.db ? `${item.db}.` : ""}${table} requires HR access.`,
+      table
+    );
+  }
+
+  const { db: _db, table: _table, as, ...joinParts } = item;
+  return {
+    ...joinParts,
+    expr: { ast: buildScopedTable(table, policy, access), parentheses: true },
+    as: as || item.table
+  };
+}
+
+// `ctes` holds the WITH query names visible at `node`. A name is visible
+// in the rest of its own statement and in the WITH queries after it; in
+// its own body (unless the WITH is RECURSIVE) it still means the table.
+function scopeNode(node, access, ctes) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => scopeNode(child, access, ctes));
+    return;
+  }
+
+  let visible = ctes;
+  if (Array.isArray(node.with)) {
+    const recursive = node.with.some((cte) => cte?.recursive);
+    visible = new Set(ctes);
+    for (const cte of node.with) {
+      const name = cteName(cte);
+      if (name && recursive) visible.add(name);
+      scopeNode(cte, access, visible);
+      if (name) visible.add(name);
+    }
+  }
+
+  // Visit nested queries (subqueries, UNION branches) first so the scoped
+  // replacements inserted below are not visited again.
+  for (const [key, child] of Object.entries(node)) {
+    if (key !== "with") scopeNode(child, access, visible);
+  }
+
+  if (node.type === "select" && Array.isArray(node.from)) {
+    node.from = node.from.map((item) => scopeFromItem(item, access, visible));
+  }
+}
+
+/**
+ * Enforce the caller's access on a final SELECT statement.
+ *
+ * Every reference to a row-scoped table (including in joins, subqueries,
+ * UNIONs and CTEs) is replaced by a derived table filtered to the caller's
+ * own rows; references to HR-only tables are rejected with
+ * AccessDeniedError. Returns the SQL unchanged for HR-wide access.
+ */
+export function applyAccessPolicy(sql, access) {
+  if (access?.level === "all") return sql;
+
+  let ast;
+  try {
+    ast = parser.astify(sql, PARSER_OPTIONS);
+  } catch (err) {
+    throw new AccessDeniedError(
+      `Query could not be parsed for access checks: ${err?.message || err}`
+    );
+  }
+
+  const statements = Array.isArray(ast) ? ast : [ast];
+  scopeNode(statements, access || { level: "public" }, new Set());
+  return parser.sqlify(
+    statements.length === 1 ? statements[0] : statements,
+    PARSER_OPTIONS
+  );
+}
@@ -0,0 +1,118 @@
+import { timingSafeEqual } from "node:crypto";
+import fp from "fastify-plugin";
+import jwt from "jsonwebtoken";
+import { config } from "../config/env.js";
+import { adminKeyIdentity, parseApiKeys, resolveIdentity } from "./identity.js";
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function readBearerToken(request) {
+  const header = request.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function claimsFromJwt(token) {
+  const payload = jwt.verify(token, config.jwtSecret, {
+    algorithms: ["HS256"],
+    issuer: config.jwtIssuer || undefined,
+    audience: config.jwtAudience || undefined
+  });
+
+  const numeric = (value) =>
+    value != null && Number.isFinite(Number(value)) ? Number(value) : undefined;
+
+  return {
+    userId: numeric(payload.sub),
+    employeeId: numeric(payload.employee_id),
+    email: payload.email || undefined
+  };
+}
+
+/**
+ * Bearer-token authentication.
+ *
+ * Accepts, in order:
+ * - ADMIN_API_KEY: admin identity not tied to a user row
+ * - an AUTH_API_KEYS key, mapped to a user/employee email
+ * - an HS256 JWT signed with JWT_SECRET (claims: sub = users.id,
+ *   employee_id, email)
+ *
+ * Routes opt in with `preHandler: fastify.authenticate`; the resolved
+ * caller is available as `request.identity`. When AUTH_REQUIRED=false,
+ * requests without a token pass through with `request.identity = null`.
+ */
+async function authPlugin(fastify) {
+  const apiKeys = parseApiKeys(config.authApiKeys);
+
+  if (config.authRequired && !config.jwtSecret && apiKeys.size === 0) {
+    fastify.log.warn(
+      "AUTH_REQUIRED is enabled but neither JWT_SECRET nor AUTH_API_KEYS is configured; only ADMIN_API_KEY can authenticate."
+    );
+  }
+
+  fastify.decorateRequest("identity", null);
+
+  fastify.decorate("authenticate", async (request, reply) => {
+    const token = readBearerToken(request);
+
+    if (!token) {
+      if (!config.authRequired) return;
+      reply.code(401);
+      return reply.send({ error: "Authentication required." });
+    }
+
+    if (config.adminApiKey && safeEqual(token, config.adminApiKey)) {
+      request.identity = adminKeyIdentity();
+      return;
+    }
+
+    let claims = null;
+    for (const [key, email] of apiKeys) {
+      if (safeEqual(token, key)) {
+        claims = { email };
+        break;
+      }
+    }
+
+    if (!claims) {
+      if (!config.jwtSecret) {
+        reply.code(401);
+        return reply.send({ error: "Invalid or expired token." });
+      }
+      try {
+        claims = claimsFromJwt(token);
+      } catch (err) {
+        request.log.debug({ err }, "JWT verification failed");
+        reply.code(401);
+        return reply.send({ error: "Invalid or expired token." });
+      }
+    }
+
+    let identity;
+    try {
+      identity = await resolveIdentity(claims);
+    } catch (err) {
+      request.log.error({ err }, "Error while resolving caller identity");
+      reply.code(500);
+      return reply.send({ error: "Internal error while authenticating." });
+    }
+
+    if (!identity) {
+      reply.code(401);
+      return reply.send({ error: "Token does not match a known user." });
+    }
+    if (!identity.isActive) {
+      reply.code(403);
+      return reply.send({ error: "This account is inactive." });
+    }
+
+    request.identity = identity;
+  });
+}
+
+export default fp(authPlugin, { name: "auth" });
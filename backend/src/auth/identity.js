@@ -0,0 +1,214 @@
+import { readQuery } from "../db/database.js";
+import { config } from "../config/env.js";
+
+const IDENTITY_CACHE_TTL_MS = 60 * 1000;
+const identityCache = new Map();
+
+function splitList(raw) {
+  return (raw || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function isAdminRole(roleName) {
+  const admins = splitList(config.adminRoleNames).map((r) => r.toLowerCase());
+  return admins.includes(String(roleName || "").toLowerCase());
+}
+
+async function findUser({ userId, email }) {
+  if (userId != null) {
+    const rows = await readQuery(
+      "SELECT id, first_name, last_name, email FROM users WHERE id = ? LIMIT 1",
+      [userId]
+    );
+    return rows[0] || null;
+  }
+  if (email) {
+    const rows = await readQuery(
+      "SELECT id, first_name, last_name, email FROM users WHERE email = ? LIMIT 1",
+      [email]
+    );
+    return rows[0] || null;
+  }
+  return null;
+}
+
+async function findEmployee({ employeeId, email }) {
+  const columns =
+    "id, employee_name, office_email, attendance_device_id, department, designation, is_active";
+  if (employeeId != null) {
+    const rows = await readQuery(
+      `SELECT ${columns} FROM employees WHERE id = ? LIMIT 1`,
+      [employeeId]
+    );
+    return rows[0] || null;
+  }
+  if (email) {
+    const rows = await readQuery(
+      `SELECT ${columns} FROM employees WHERE office_email = ? LIMIT 1`,
+      [email]
+    );
+    return rows[0] || null;
+  }
+  return null;
+}
+
+async function findRoles(employeeId) {
+  if (employeeId == null) return [];
+  return readQuery(
+    `SELECT roles.role_name, roles.permission_ids FROM employee_roles
+     JOIN roles ON employee_roles.role_id = roles.id
+     WHERE employee_roles.employee_id = ? AND COALESCE(employee_roles.is_active, 1) = 1`,
+    [employeeId]
+  );
+}
+
+function parsePermissionIds(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw !== "string" || !raw.trim()) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Permissions come from roles.permission_ids (JSON array) plus any direct
+// grants in role_permissions.
+async function findPermissions(employeeId, roleRows) {
+  if (employeeId == null) return [];
+
+  const ids = new Set();
+  for (const role of roleRows) {
+    for (const id of parsePermissionIds(role.permission_ids)) {
+      if (Number.isFinite(Number(id))) ids.add(Number(id));
+    }
+  }
+
+  const direct = await readQuery(
+    `SELECT permission_id FROM role_permissions
+     WHERE employee_id = ? AND COALESCE(is_active, 1) = 1`,
+    [employeeId]
+  );
+  for (const row of direct) {
+    if (Number.isFinite(Number(row.permission_id))) {
+      ids.add(Number(row.permission_id));
+    }
+  }
+
+  if (ids.size === 0) return [];
+  const idList = Array.from(ids);
+  return readQuery(
+    `SELECT id, module, permission FROM permissions
+     WHERE id IN (${idList.map(() => "?").join(",")})`,
+    idList
+  );
+}
+
+/**
+ * Resolve token claims to the caller's users/employees rows.
+ *
+ * Claims may carry any of `userId`, `employeeId` or `email`; users and
+ * employees are linked through users.email = employees.office_email.
+ * Returns null when neither a user nor an employee matches.
+ */
+export async function resolveIdentity(claims) {
+  const cacheKey = JSON.stringify([
+    claims.userId ?? null,
+    claims.employeeId ?? null,
+    claims.email ?? null
+  ]);
+  const cached = identityCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.identity;
+  }
+
+  const user = await findUser(claims);
+  const employee = await findEmployee({
+    employeeId: claims.employeeId,
+    email: claims.email || user?.email
+  });
+
+  if (!user && !employee) return null;
+
+  const roleRows = await findRoles(employee?.id);
+  const roles = roleRows.map((row) => row.role_name).filter(Boolean);
+  const permissions = await findPermissions(employee?.id, roleRows);
+  const userName = [user?.first_name, user?.last_name].filter(Boolean).join(" ");
+
+  const identity = {
+    userId: user?.id ?? null,
+    employeeId: employee?.id ?? null,
+    name: employee?.employee_name || userName || user?.email || null,
+    email: user?.email || employee?.office_email || null,
+    attendanceDeviceId: employee?.attendance_device_id ?? null,
+    department: employee?.department ?? null,
+    designation: employee?.designation ?? null,
+    isActive: employee ? employee.is_active !== 0 : true,
+    roles,
+    permissions: permissions.map(({ id, module, permission }) => ({
+      id,
+      module,
+      permission
+    })),
+    isAdmin: roles.some(isAdminRole)
+  };
+
+  identityCache.set(cacheKey, {
+    identity,
+    expiresAt: Date.now() + IDENTITY_CACHE_TTL_MS
+  });
+  return identity;
+}
+
+/**
+ * Identity used for requests authenticated with ADMIN_API_KEY. It is not
+ * tied to any users/employees row.
+ */
+export function adminKeyIdentity() {
+  return {
+    userId: null,
+    employeeId: null,
+    name: "Administrator",
+    email: null,
+    attendanceDeviceId: null,
+    department: null,
+    designation: null,
+    isActive: true,
+    roles: [],
+    permissions: [],
+    isAdmin: true
+  };
+}
+
+/**
+ * Namespace a client-provided session id with the caller, so a session can
+ * only be continued (or inspected) by the user who started it. Anonymous
+ * callers (AUTH_REQUIRED=false) get their own namespace, so no id they
+ * send can name another user's session.
+ */
+export function sessionKeyFor(identity, sessionId) {
+  if (!identity) return sessionId ? `anon:${sessionId}` : null;
+  const owner =
+    identity.userId != null
+      ? `user:${identity.userId}`
+      : identity.employeeId != null
+        ? `employee:${identity.employeeId}`
+        : "admin";
+  return `${owner}:${sessionId || "default"}`;
+}
+
+/**
+ * Parse AUTH_API_KEYS ("key1:email1,key2:email2") into a key -> email map.
+ */
+export function parseApiKeys(raw) {
+  const keys = new Map();
+  for (const entry of splitList(raw)) {
+    const separator = entry.indexOf(":");
+    if (separator <= 0) continue;
+    keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+  }
+  return keys;
+}
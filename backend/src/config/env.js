@@ -1,4 +1,6 @@
 import dotenv from "dotenv";
+import { fileURLToPath } from "node:url";
+import { queryableTables } from "../rag/schemaCatalog.js";
 
 dotenv.config();
 
@@ -17,6 +19,79 @@ export const config = {
   openaiTemperature: Number(process.env.OPENAI_TEMPERATURE || "0.1"),
   ragTopK: numberFromEnv("RAG_TOP_K", 4),
   ragMaxContextChars: numberFromEnv("RAG_MAX_CONTEXT_CHARS", 8000),
+  // How many times a failing generated SQL statement is sent back to the
+  // LLM, with the error, for a corrected version.
+  sqlRepairMaxAttempts: numberFromEnv("SQL_REPAIR_MAX_ATTEMPTS", 2),
+  // Database answers are stopped on the server after SQL_TIMEOUT_MS, and
+  // statements whose EXPLAIN plan estimates reading more than
+  // SQL_MAX_SCAN_ROWS rows are rejected before they run (0 disables).
+  sqlTimeoutMs: numberFromEnv("SQL_TIMEOUT_MS", 3000),
+  sqlMaxScanRows: numberFromEnv("SQL_MAX_SCAN_ROWS", 1000000),
+  // Text-to-SQL prompts include only the tables relevant to the question
+  // (synonym matches plus the SCHEMA_SELECTION_TOP_K most similar entity
+  // descriptions) and their join neighbours. "false" sends the full schema.
+  schemaSelection: process.env.SCHEMA_SELECTION !== "false",
+  schemaSelectionTopK: numberFromEnv("SCHEMA_SELECTION_TOP_K", 3),
+  schemaSelectionMinSimilarity: numberFromEnv("SCHEMA_SELECTION_MIN_SIMILARITY", 0.3),
+  // Verified question -> SQL pairs shown to the LLM as few-shot examples:
+  // the shipped seed file (never written) and the pairs promoted from
+  // thumbs-up feedback, kept outside the source tree.
+  sqlExamplesPath:
+    process.env.SQL_EXAMPLES_PATH ||
+    fileURLToPath(new URL("../data/sql_examples.json", import.meta.url)),
+  sqlExamplesLocalPath:
+    process.env.SQL_EXAMPLES_LOCAL_PATH ||
+    fileURLToPath(new URL("../../data/sql_examples.local.json", import.meta.url)),
+  sqlExamplesTopK: numberFromEnv("SQL_EXAMPLES_TOP_K", 3),
+  // Date expressions in questions ("last week", "this fiscal year") are
+  // resolved against today in COMPANY_TIMEZONE (an IANA name); fiscal
+  // years start in FISCAL_YEAR_START_MONTH (1-12).
+  companyTimezone: process.env.COMPANY_TIMEZONE || "Asia/Karachi",
+  fiscalYearStartMonth: numberFromEnv("FISCAL_YEAR_START_MONTH", 7),
+  // Comparisons and trends ("headcount trend over the last 6 months") run
+  // one query per period, for at most COMPARISON_MAX_PERIODS periods.
+  comparisonMaxPeriods: numberFromEnv("COMPARISON_MAX_PERIODS", 12),
+  // Largest page a user can ask for ("show 500 at a time" is capped).
+  maxPageSize: numberFromEnv("MAX_PAGE_SIZE", 100),
+  // Full-result exports (GET /exports/:id) re-run the last query without
+  // its page limit, up to EXPORT_MAX_ROWS rows.
+  exportMaxRows: numberFromEnv("EXPORT_MAX_ROWS", 10000),
+  exportTimeoutMs: numberFromEnv("EXPORT_TIMEOUT_MS", 30000),
+
+  // Conversation sessions: "memory" (per process) or "mysql" (durable).
+  // Idle sessions expire after SESSION_TTL_MS and are swept periodically.
+  sessionStore: process.env.SESSION_STORE || "memory",
+  sessionTtlMs: numberFromEnv("SESSION_TTL_MS", 2 * 60 * 60 * 1000),
+  sessionMaxEntries: numberFromEnv("SESSION_MAX_ENTRIES", 1000),
+  sessionSweepIntervalMs: numberFromEnv("SESSION_SWEEP_INTERVAL_MS", 5 * 60 * 1000),
+  sessionTable: process.env.SESSION_TABLE || "chat_sessions",
+
+  // Authentication. Callers send "Authorization: Bearer <token>" where the
+  // token is a JWT signed with JWT_SECRET, one of AUTH_API_KEYS
+  // ("key:email,key2:email2") or ADMIN_API_KEY.
+  authRequired: process.env.AUTH_REQUIRED !== "false",
+  jwtSecret: process.env.JWT_SECRET || "",
+  jwtIssuer: process.env.JWT_ISSUER || "",
+  jwtAudience: process.env.JWT_AUDIENCE || "",
+  authApiKeys: process.env.AUTH_API_KEYS || "",
+  adminApiKey: process.env.ADMIN_API_KEY || "",
+  // Role names (roles.role_name) that grant admin endpoints such as GET /sessions.
+  adminRoleNames: process.env.ADMIN_ROLE_NAMES || "admin,super admin",
+
+  // Row-level access for database answers. Callers with one of these roles,
+  // or one of these permissions ("module:permission"), can read every
+  // employee's records; everyone else only sees their own rows.
+  hrRoleNames: process.env.HR_ROLE_NAMES || "hr,hr manager,hr admin",
+  hrPermissions: process.env.HR_PERMISSIONS || "",
+
+  // Database answers come from MySQL ("mysql") or, for demos and offline
+  // development, a read-only SQLite copy of the schema at SQLITE_PATH
+  // ("sqlite"). Prompts, pagination, JSON joins and execution follow the
+  // dialect (see db/dialects).
+  dbDialect: (process.env.DB_DIALECT || "mysql").toLowerCase(),
+  sqlitePath:
+    process.env.SQLITE_PATH ||
+    fileURLToPath(new URL("../data/csms_db.sqlite", import.meta.url)),
 
   // MySQL configuration
   dbHost: process.env.DB_HOST || "localhost",
@@ -24,39 +99,18 @@ export const config = {
   dbUser: process.env.DB_USER || "root",
   dbPassword: process.env.DB_PASSWORD || "",
   dbName: process.env.DB_NAME || "csms_db_v1_2026",
-  // Comma-separated list so both the RAG structured loader and
-  // SQL Agent Chain can see the main HR tables by default.
-  dbTableName:
-    process.env.DB_TABLE_NAME ||
-    [
-      "activity_logs",
-      "allowances",
-      "allowance_details",
-      "allowance_items",
-      "attendances",
-      "attendance_device_info",
-      "bank_info",
-      "configurations",
-      "departments",
-      "employees",
-      "employee_allowances",
-      "employee_dependent",
-      "employee_documents",
-      "employee_leaves",
-      "employee_roles",
-      "employee_salary_records",
-      "employment_types",
-      "leave_types",
-      "migrations",
-      "migrations_lock",
-      "permissions",
-      "public_holidays",
-      "relation_types",
-      "requested_leaves",
-      "roles",
-      "role_permissions",
-      "users"
-    ].join(",")
+  // HR data is read as DB_READ_USER when set: a MySQL account with only
+  // SELECT grants, so generated SQL cannot write even if it slipped past
+  // the validator. DB_USER keeps the write pool (sessions).
+  dbReadUser: process.env.DB_READ_USER || "",
+  dbReadPassword: process.env.DB_READ_PASSWORD || "",
+  dbReadPoolSize: numberFromEnv("DB_READ_POOL_SIZE", 10),
+  dbWritePoolSize: numberFromEnv("DB_WRITE_POOL_SIZE", 5),
+  // Statements slower than this are logged with their timing.
+  dbSlowQueryMs: numberFromEnv("DB_SLOW_QUERY_MS", 1000),
+  // Comma-separated list of tables for the RAG structured loader.
+  // Defaults to the queryable tables described in semanticSchema.
+  dbTableName: process.env.DB_TABLE_NAME || queryableTables().join(",")
 };
 
 if (!config.openaiApiKey) {
@@ -0,0 +1,30 @@
+import { sqlDialect } from "./dialects/index.js";
+
+/**
+ * HR data access for the configured dialect (DB_DIALECT). Application code
+ * reads through here; only MySQL-specific features (the session store)
+ * use db/mysql.js directly.
+ */
+
+/**
+ * Run an internal read (identity lookups, directories, the RAG loader).
+ * These statements are written in code, not generated, so they skip
+ * the SQL validator; generated SQL goes through queryDb (db/query.js).
+ * Keep them to SQL both dialects accept.
+ */
+export function readQuery(sql, params = []) {
+  return sqlDialect().readQuery(sql, params);
+}
+
+/**
+ * { ok, dialect, read, write? } where read (and write, for MySQL) are
+ * { ok, latencyMs, error?, queries, failures, slowQueries, averageMs, ... }.
+ */
+export async function checkDatabaseHealth() {
+  const dialect = sqlDialect();
+  return { dialect: dialect.name, ...(await dialect.checkHealth()) };
+}
+
+export function closeDatabase() {
+  return sqlDialect().close();
+}
@@ -0,0 +1,46 @@
+import { config } from "../../config/env.js";
+import { mysqlDialect } from "./mysql.js";
+import { sqliteDialect } from "./sqlite.js";
+
+/**
+ * SQL dialects the assistant can answer from, chosen with DB_DIALECT.
+ * Every dialect exposes:
+ *
+ *   name, label          "mysql" / "MySQL"; label is what prompts call it
+ *   parserOptions        node-sql-parser options for its grammar
+ *   schemaName           the only schema generated SQL may qualify tables with
+ *   doubleQuotedStrings  whether "text" is a string (else an identifier)
+ *   backslashEscapes     whether "\" escapes characters in string literals
+ *   forbiddenFunctions   functions generated SQL may not call (upper case)
+ *   promptGuidance       notes for the text-to-SQL prompts ("" for none)
+ *   jsonArrayContains(arrayExpr, valueExpr) -> SQL condition
+ *   daysBetween(startExpr, endExpr) -> SQL expression for the whole days
+ *                           from one date to another
+ *   limitClause(limit, offset) -> node-sql-parser LIMIT node (pagination)
+ *   quoteLiteral(value)  -> SQL literal for a value written in code
+ *   isStatementError(err) -> true when the statement itself was at fault
+ *                           (worth a repair round)
+ *   readQuery(sql, params) -> Promise<rows>   (internal reads)
+ *   executeSelect(sql, values, { timeoutMs, maxScanRows }) -> Promise<rows>
+ *                           (a validated SELECT, within both limits; throws
+ *                           QueryLimitError)
+ *   readSchema() -> Promise<{ columns: [{ table, name, type, nullable, key,
+ *                   comment }], foreignKeys: [{ table, column, refTable,
+ *                   refColumn }] }>
+ *   checkHealth() -> Promise<{ ok, read, write? }>
+ *   close() -> Promise<void>
+ */
+const DIALECTS = {
+  mysql: mysqlDialect,
+  sqlite: sqliteDialect
+};
+
+export function sqlDialect() {
+  const dialect = DIALECTS[config.dbDialect];
+  if (!dialect) {
+    throw new Error(
+      `Unknown DB_DIALECT "${config.dbDialect}". Use ${Object.keys(DIALECTS).map((n) => `"${n}"`).join(" or ")}.`
+    );
+  }
+  return dialect;
+}
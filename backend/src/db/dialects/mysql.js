@@ -0,0 +1,270 @@
+import mysql from "mysql2";
+import { config } from "../../config/env.js";
+import { scanLimitError, timeoutError } from "../errors.js";
+import {
+  checkDatabaseHealth,
+  closeDatabase,
+  killQuery,
+  readQuery,
+  withConnection
+} from "../mysql.js";
+
+// How long after the deadline the client waits for MySQL to stop the
+// statement itself before sending KILL QUERY, and then for the kill to
+// take effect before giving up on the connection.
+const KILL_GRACE_MS = 500;
+
+// Server errors for a statement stopped by MAX_EXECUTION_TIME or KILL QUERY.
+const INTERRUPTED_CODES = new Set(["ER_QUERY_TIMEOUT", "ER_QUERY_INTERRUPTED"]);
+
+// Errors in the statement itself (syntax, unknown names, grouping,
+// argument and value mistakes), which a rewrite can fix. Access,
+// connection and lock errors are not among them.
+const STATEMENT_ERROR_CODES = new Set([
+  "ER_BAD_FIELD_ERROR",
+  "ER_BAD_TABLE_ERROR",
+  "ER_CANT_AGGREGATE_2COLLATIONS",
+  "ER_DATA_OUT_OF_RANGE",
+  "ER_DERIVED_MUST_HAVE_ALIAS",
+  "ER_FIELD_IN_ORDER_NOT_SELECT",
+  "ER_ILLEGAL_REFERENCE",
+  "ER_INVALID_GROUP_FUNC_USE",
+  "ER_MIX_OF_GROUP_FUNC_AND_FIELDS",
+  "ER_NONUNIQ_TABLE",
+  "ER_NON_UNIQ_ERROR",
+  "ER_NO_SUCH_TABLE",
+  "ER_OPERAND_COLUMNS",
+  "ER_PARSE_ERROR",
+  "ER_SP_DOES_NOT_EXIST",
+  "ER_SUBQUERY_NO_1_ROW",
+  "ER_TRUNCATED_WRONG_VALUE",
+  "ER_UNKNOWN_TABLE",
+  "ER_WRONG_ARGUMENTS",
+  "ER_WRONG_FIELD_WITH_GROUP",
+  "ER_WRONG_GROUP_FIELD",
+  "ER_WRONG_NUMBER_OF_COLUMNS_IN_SELECT",
+  "ER_WRONG_PARAMCOUNT_TO_NATIVE_FCT",
+  "ER_WRONG_PARAMETERS_TO_NATIVE_FCT",
+  "ER_WRONG_USAGE"
+]);
+
+// Functions that can stall the server, read files, take locks or reveal
+// server/session details.
+const FORBIDDEN_FUNCTIONS = [
+  "BENCHMARK",
+  "CONNECTION_ID",
+  "CURRENT_ROLE",
+  "CURRENT_USER",
+  "DATABASE",
+  "GET_LOCK",
+  "IS_FREE_LOCK",
+  "IS_USED_LOCK",
+  "LOAD_FILE",
+  "MASTER_POS_WAIT",
+  "RELEASE_ALL_LOCKS",
+  "RELEASE_LOCK",
+  "SCHEMA",
+  "SESSION_USER",
+  "SLEEP",
+  "SOURCE_POS_WAIT",
+  "SYSTEM_USER",
+  "SYS_EVAL",
+  "SYS_EXEC",
+  "USER",
+  "VERSION",
+  "WAIT_FOR_EXECUTED_GTID_SET",
+  "WAIT_UNTIL_SQL_THREAD_AFTER_GTIDS"
+];
+
+// Added after validation, which rejects comments in the statement itself.
+// Only a top-level SELECT accepts the hint; anything else relies on
+// KILL QUERY.
+function withExecutionTime(sql, timeoutMs) {
+  return sql.replace(/^SELECT\b/i, `SELECT /*+ MAX_EXECUTION_TIME(${Math.ceil(timeoutMs)}) */`);
+}
+
+/**
+ * Rows MySQL expects to read for an EXPLAIN plan. Within each SELECT the
+ * tables are joined in plan order, so every table is read once per row
+ * that survives the tables before it (rows x filtered%).
+ */
+function estimateScannedRows(plan) {
+  const selects = new Map();
+  for (const step of plan) {
+    const rows = Number(step.rows);
+    if (!Number.isFinite(rows)) continue;
+    const select = selects.get(step.id) || { prefix: 1, scanned: 0 };
+    select.scanned += select.prefix * rows;
+    const filtered = step.filtered == null ? 100 : Number(step.filtered);
+    select.prefix *= Math.max(1, (rows * filtered) / 100);
+    selects.set(step.id, select);
+  }
+  let total = 0;
+  for (const select of selects.values()) total += select.scanned;
+  return Math.round(total);
+}
+
+async function checkQueryPlan(connection, sql, values, maxScanRows) {
+  const [plan] = await connection.execute(`EXPLAIN ${sql}`, values);
+  const estimate = estimateScannedRows(plan);
+  if (estimate > maxScanRows) throw scanLimitError(estimate, maxScanRows);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run the statement, cancelling it on the server when it outlives
+ * timeoutMs. Returns { rows } or { timedOut, stuck } where stuck means the
+ * statement ignored KILL QUERY and the connection must not be reused.
+ */
+async function executeWithDeadline(connection, sql, values, timeoutMs) {
+  const running = connection.execute(sql, values);
+  const settled = running.then(() => true, () => true);
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs + KILL_GRACE_MS, null);
+  });
+  try {
+    const result = await Promise.race([running, deadline]);
+    if (result) return { rows: result[0] };
+  } finally {
+    clearTimeout(timer);
+  }
+
+  console.warn(
+    `[DB] Query on connection ${connection.threadId} exceeded ${timeoutMs} ms; cancelling`
+  );
+  await killQuery("read", connection.threadId);
+  const stopped = await Promise.race([settled, sleep(KILL_GRACE_MS).then(() => false)]);
+  return { timedOut: true, stuck: !stopped };
+}
+
+/**
+ * Run a validated SELECT in a READ ONLY transaction. MySQL enforces a
+ * MAX_EXECUTION_TIME hint, and KILL QUERY is sent if the statement is
+ * still running shortly after timeoutMs. Unless maxScanRows is 0, the
+ * EXPLAIN estimate is checked first.
+ */
+async function executeSelect(sql, values, { timeoutMs, maxScanRows }) {
+  const bindValues = Object.keys(values).length ? values : undefined;
+
+  return withConnection(
+    "read",
+    async (connection) => {
+      try {
+        await connection.query("START TRANSACTION READ ONLY");
+        if (maxScanRows > 0) {
+          await checkQueryPlan(connection, sql, bindValues, maxScanRows);
+        }
+        const outcome = await executeWithDeadline(
+          connection,
+          withExecutionTime(sql, timeoutMs),
+          bindValues,
+          timeoutMs
+        );
+        if (outcome.timedOut) {
+          connection.discard = outcome.stuck;
+          throw timeoutError(timeoutMs);
+        }
+        return outcome.rows;
+      } catch (err) {
+        if (INTERRUPTED_CODES.has(err?.code)) throw timeoutError(timeoutMs);
+        throw err;
+      } finally {
+        if (!connection.discard) {
+          await connection.query("ROLLBACK").catch(() => {
+            connection.discard = true;
+          });
+        }
+      }
+    },
+    { label: sql }
+  );
+}
+
+/**
+ * Tables, columns and foreign keys of the configured database, from
+ * INFORMATION_SCHEMA (see schemaIntrospection.js for the shape).
+ */
+async function readSchema(database = config.dbName) {
+  const columns = await readQuery(
+    `SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName,
+            COLUMN_TYPE AS columnType, IS_NULLABLE AS isNullable,
+            COLUMN_KEY AS columnKey, COLUMN_COMMENT AS columnComment
+       FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = ?
+      ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+    [database]
+  );
+  const foreignKeys = await readQuery(
+    `SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName,
+            REFERENCED_TABLE_NAME AS refTable, REFERENCED_COLUMN_NAME AS refColumn
+       FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+      WHERE TABLE_SCHEMA = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [database]
+  );
+
+  return {
+    columns: columns.map((row) => ({
+      table: row.tableName,
+      name: row.columnName,
+      type: row.columnType,
+      nullable: row.isNullable === "YES",
+      key: row.columnKey || "",
+      comment: row.columnComment || ""
+    })),
+    foreignKeys: foreignKeys.map((row) => ({
+      table: row.tableName,
+      column: row.columnName,
+      refTable: row.refTable,
+      refColumn: row.refColumn
+    }))
+  };
+}
+
+export const mysqlDialect = {
+  name: "mysql",
+  label: "MySQL",
+  parserOptions: { database: "MySQL" },
+  schemaName: config.dbName,
+  doubleQuotedStrings: true,
+  backslashEscapes: true,
+  forbiddenFunctions: FORBIDDEN_FUNCTIONS,
+  promptGuidance: "",
+
+  jsonArrayContains(arrayExpr, valueExpr) {
+    return `JSON_CONTAINS(${arrayExpr}, CAST(${valueExpr} AS JSON))`;
+  },
+
+  daysBetween(startExpr, endExpr) {
+    return `DATEDIFF(${endExpr}, ${startExpr})`;
+  },
+
+  // LIMIT node for node-sql-parser (pagination.js); written as
+  // LIMIT n OFFSET m.
+  limitClause(limit, offset) {
+    return {
+      seperator: "offset",
+      value: [
+        { type: "number", value: limit },
+        { type: "number", value: offset }
+      ]
+    };
+  },
+
+  quoteLiteral(value) {
+    return mysql.escape(value);
+  },
+
+  isStatementError(err) {
+    return STATEMENT_ERROR_CODES.has(err?.code);
+  },
+
+  readQuery,
+  executeSelect,
+  readSchema,
+  checkHealth: checkDatabaseHealth,
+  close: closeDatabase
+};
@@ -0,0 +1,146 @@
+import pkg from "node-sql-parser";
+import {
+  checkSqliteHealth,
+  closeSqlite,
+  executeSqliteSelect,
+  readSqlite
+} from "../sqlite.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = { database: "Sqlite" };
+
+// Functions that load code, touch files or reveal build details, and
+// blob constructors that can allocate without bound.
+const FORBIDDEN_FUNCTIONS = [
+  "EDIT",
+  "FTS3_TOKENIZER",
+  "LOAD_EXTENSION",
+  "RANDOMBLOB",
+  "READFILE",
+  "SQLITE_COMPILEOPTION_GET",
+  "SQLITE_COMPILEOPTION_USED",
+  "SQLITE_SOURCE_ID",
+  "SQLITE_VERSION",
+  "WRITEFILE",
+  "ZEROBLOB"
+];
+
+const PROMPT_GUIDANCE = `SQLite dialect (the database is SQLite, not MySQL):
+- Dates are TEXT ('YYYY-MM-DD', or 'YYYY-MM-DD HH:MM:SS' for timestamps) and compare as strings.
+- There is no CURDATE(), NOW(), YEAR(), MONTH(), DATE_FORMAT(), DATEDIFF() or IF(). Use date('now'), strftime('%Y', col) (CAST(... AS INTEGER) to compare with numbers), strftime('%Y-%m', col), julianday(b) - julianday(a) and CASE WHEN.
+- Concatenate strings with ||.
+- JSON arrays: test membership with EXISTS (SELECT 1 FROM json_each(array_column) WHERE json_each.value = value).
+- Verified examples may be written for MySQL; translate their functions to SQLite.`;
+
+// alias (or table name) -> table, for reading EXPLAIN QUERY PLAN steps.
+function tableAliases(sql) {
+  const tables = {};
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    for (const item of Array.isArray(node.from) ? node.from : []) {
+      if (typeof item?.table !== "string") continue;
+      const table = item.table.toLowerCase();
+      tables[table] = table;
+      if (item.as) tables[String(item.as).toLowerCase()] = table;
+    }
+    Object.values(node).forEach(visit);
+  };
+  try {
+    visit(parser.astify(sql, PARSER_OPTIONS));
+  } catch {
+    // The worker still estimates with the names in the plan.
+  }
+  return tables;
+}
+
+function executeSelect(sql, values, { timeoutMs, maxScanRows }) {
+  const tables = maxScanRows > 0 ? tableAliases(sql) : {};
+  return executeSqliteSelect(sql, values, { timeoutMs, maxScanRows, tables });
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replaceAll('"', '""')}"`;
+}
+
+/** Tables, columns and foreign keys from sqlite_schema and PRAGMAs. */
+async function readSchema() {
+  const tables = await readSqlite(
+    `SELECT name FROM sqlite_schema
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name`
+  );
+  const schema = { columns: [], foreignKeys: [] };
+  for (const { name: table } of tables) {
+    const columns = await readSqlite(`PRAGMA table_info(${quoteIdentifier(table)})`);
+    for (const column of columns) {
+      schema.columns.push({
+        table,
+        name: column.name,
+        type: column.type.toLowerCase(),
+        nullable: !column.notnull && !column.pk,
+        key: column.pk ? "PRI" : "",
+        comment: ""
+      });
+    }
+    const foreignKeys = await readSqlite(`PRAGMA foreign_key_list(${quoteIdentifier(table)})`);
+    for (const fk of foreignKeys) {
+      schema.foreignKeys.push({
+        table,
+        column: fk.from,
+        refTable: fk.table,
+        refColumn: fk.to || "id"
+      });
+    }
+  }
+  return schema;
+}
+
+export const sqliteDialect = {
+  name: "sqlite",
+  label: "SQLite",
+  parserOptions: PARSER_OPTIONS,
+  schemaName: "main",
+  doubleQuotedStrings: false,
+  backslashEscapes: false,
+  forbiddenFunctions: FORBIDDEN_FUNCTIONS,
+  promptGuidance: PROMPT_GUIDANCE,
+
+  jsonArrayContains(arrayExpr, valueExpr) {
+    return `EXISTS (SELECT 1 FROM json_each(${arrayExpr}) WHERE json_each.value = ${valueExpr})`;
+  },
+
+  daysBetween(startExpr, endExpr) {
+    return `(julianday(${endExpr}) - julianday(${startExpr}))`;
+  },
+
+  // LIMIT node for node-sql-parser (pagination.js); written as
+  // LIMIT n OFFSET m.
+  limitClause(limit, offset) {
+    return {
+      seperator: "offset",
+      value: [
+        { type: "number", value: limit },
+        { type: "number", value: offset }
+      ]
+    };
+  },
+
+  quoteLiteral(value) {
+    if (typeof value === "number" && Number.isFinite(value)) return String(value);
+    if (typeof value === "boolean") return value ? "1" : "0";
+    return `'${String(value).replaceAll("'", "''")}'`;
+  },
+
+  // "no such column", syntax errors, ...; not a missing or locked file.
+  isStatementError(err) {
+    return err?.code === "SQLITE_ERROR";
+  },
+
+  readQuery: readSqlite,
+  executeSelect,
+  readSchema,
+  checkHealth: checkSqliteHealth,
+  close: closeSqlite
+};
@@ -0,0 +1,26 @@
+export class QueryLimitError extends Error {
+  /**
+   * reason: "timeout" (the statement ran longer than its time limit) or
+   * "scan_limit" (the query plan estimated more rows than SQL_MAX_SCAN_ROWS).
+   */
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = "QueryLimitError";
+    this.reason = reason;
+    Object.assign(this, details);
+  }
+}
+
+export function scanLimitError(estimate, limit) {
+  return new QueryLimitError(
+    "scan_limit",
+    `Query plan would scan about ${estimate} rows (limit ${limit})`,
+    { estimate, limit }
+  );
+}
+
+export function timeoutError(timeoutMs) {
+  return new QueryLimitError("timeout", `SQL execution timed out after ${timeoutMs} ms`, {
+    limit: timeoutMs
+  });
+}
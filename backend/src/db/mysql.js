@@ -1,27 +1,184 @@
 import mysql from "mysql2/promise";
 import { config } from "../config/env.js";
 
-let pool;
-
-export function getPool() {
-  if (!pool) {
-    pool = mysql.createPool({
-      host: config.dbHost,
-      port: config.dbPort,
-      user: config.dbUser,
-      password: config.dbPassword,
-      database: config.dbName,
+/**
+ * The one place that connects to MySQL. Two pools:
+ *
+ * - read: HR data (answers, lookups, the RAG loader). Connects as
+ *   DB_READ_USER when set, so a MySQL account with only SELECT grants
+ *   backs up the SQL validator.
+ * - write: the application's own state (sessions, future write features),
+ *   as DB_USER.
+ *
+ * Both accept positional (`?`, array) and named (`:name`, object)
+ * placeholders. Every statement is timed; slow ones are logged and the
+ * counts show up in checkDatabaseHealth().
+ */
+
+const pools = {};
+const stats = {
+  read: { queries: 0, failures: 0, slow: 0, totalMs: 0 },
+  write: { queries: 0, failures: 0, slow: 0, totalMs: 0 }
+};
+
+function credentials(mode) {
+  const read = mode === "read" && config.dbReadUser;
+  return {
+    user: read ? config.dbReadUser : config.dbUser,
+    password: read ? config.dbReadPassword : config.dbPassword
+  };
+}
+
+export function connectionOptions(mode = "read") {
+  return {
+    host: config.dbHost,
+    port: config.dbPort,
+    database: config.dbName,
+    ...credentials(mode)
+  };
+}
+
+function getPool(mode) {
+  if (!pools[mode]) {
+    pools[mode] = mysql.createPool({
+      ...connectionOptions(mode),
       waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
+      connectionLimit: mode === "read" ? config.dbReadPoolSize : config.dbWritePoolSize,
+      queueLimit: 0,
+      namedPlaceholders: true
     });
   }
-  return pool;
+  return pools[mode];
+}
+
+function record(mode, sql, startedAt, failed) {
+  const elapsedMs = Date.now() - startedAt;
+  const entry = stats[mode];
+  entry.queries += 1;
+  entry.totalMs += elapsedMs;
+  if (failed) entry.failures += 1;
+  if (elapsedMs >= config.dbSlowQueryMs) {
+    entry.slow += 1;
+    const text = String(sql).replace(/\s+/g, " ").slice(0, 200);
+    console.warn(`[DB] Slow ${mode} query (${elapsedMs} ms): ${text}`);
+  }
+  return elapsedMs;
+}
+
+async function timed(mode, sql, run) {
+  const startedAt = Date.now();
+  try {
+    const result = await run();
+    record(mode, sql, startedAt, false);
+    return result;
+  } catch (err) {
+    record(mode, sql, startedAt, true);
+    throw err;
+  }
+}
+
+function values(params) {
+  if (Array.isArray(params)) return params;
+  return params && Object.keys(params).length ? params : undefined;
+}
+
+/**
+ * Run an internal read on the read pool. Application code reads through
+ * db/database.js, which picks the configured dialect.
+ */
+export async function readQuery(sql, params = []) {
+  return timed("read", sql, async () => {
+    const [rows] = await getPool("read").execute(sql, values(params));
+    return rows;
+  });
+}
+
+/** Run a statement that changes the application's own tables. */
+export async function writeQuery(sql, params = []) {
+  return timed("write", sql, async () => {
+    const [result] = await getPool("write").execute(sql, values(params));
+    return result;
+  });
+}
+
+/**
+ * Borrow a connection for several statements (a transaction, EXPLAIN
+ * before running). `fn(connection)` must not release it; the connection
+ * is released afterwards, or destroyed when fn marks it unusable with
+ * `connection.discard = true`. The whole call is timed as one query,
+ * labelled with options.label.
+ */
+export async function withConnection(mode, fn, { label = "connection" } = {}) {
+  const connection = await getPool(mode).getConnection();
+  try {
+    return await timed(mode, label, () => fn(connection));
+  } finally {
+    if (connection.discard) connection.destroy();
+    else connection.release();
+  }
 }
 
-export async function query(sql, params = []) {
-  const p = getPool();
-  const [rows] = await p.execute(sql, params);
-  return rows;
+/**
+ * Cancel the statement running on a pooled connection. Uses a separate
+ * connection, because the pool may be exhausted by exactly the statements
+ * that need cancelling, and the pool's own account, which may always
+ * kill its own queries.
+ */
+export async function killQuery(mode, threadId) {
+  let connection;
+  try {
+    connection = await mysql.createConnection(connectionOptions(mode));
+    await connection.query(`KILL QUERY ${Number(threadId)}`);
+  } catch (err) {
+    console.warn(`[DB] Could not cancel query on connection ${threadId}:`, err?.message || err);
+  } finally {
+    await connection?.end().catch(() => {});
+  }
 }
 
+async function pingPool(mode) {
+  const startedAt = Date.now();
+  try {
+    await getPool(mode).query("SELECT 1");
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: err?.message || String(err) };
+  }
+}
+
+function poolStats(mode) {
+  const { queries, failures, slow, totalMs } = stats[mode];
+  return {
+    user: credentials(mode).user,
+    queries,
+    failures,
+    slowQueries: slow,
+    averageMs: queries ? Math.round(totalMs / queries) : 0
+  };
+}
+
+/**
+ * Ping both pools. Returns { ok, read, write } where read and write are
+ * { ok, latencyMs, error?, user, queries, failures, slowQueries, averageMs }.
+ */
+export async function checkDatabaseHealth() {
+  const [read, write] = await Promise.all([pingPool("read"), pingPool("write")]);
+  return {
+    ok: read.ok && write.ok,
+    read: { ...read, ...poolStats("read") },
+    write: { ...write, ...poolStats("write") }
+  };
+}
+
+/** Close both pools; later queries open them again. */
+export async function closeDatabase() {
+  const open = Object.entries(pools);
+  for (const [mode] of open) delete pools[mode];
+  await Promise.all(
+    open.map(([mode, pool]) =>
+      pool.end().catch((err) => {
+        console.warn(`[DB] Closing the ${mode} pool failed:`, err?.message || err);
+      })
+    )
+  );
+}
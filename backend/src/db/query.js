@@ -1,38 +1,36 @@
-import mysql from "mysql2/promise";
 import { config } from "../config/env.js";
+import { sqlDialect } from "./dialects/index.js";
+import { validateSelectSql } from "./sqlValidator.js";
+import { bindStringLiterals } from "./sqlParams.js";
 
-let pool;
+export { QueryLimitError } from "./errors.js";
 
-function getReadPool() {
-  if (!pool) {
-    pool = mysql.createPool({
-      host: config.dbHost,
-      port: config.dbPort,
-      user: config.dbUser,
-      password: config.dbPassword,
-      database: config.dbName,
-      waitForConnections: true,
-      connectionLimit: 10,
-      queueLimit: 0
-    });
-  }
-  return pool;
-}
-
-export async function queryDb(sql) {
-  const normalized = (sql || "").trim();
-  if (!normalized) {
-    throw new Error("SQL is required for read-only query.");
-  }
+/**
+ * Run a read-only query. The statement must pass validateSelectSql (single
+ * SELECT over known tables); the validated form is what gets executed.
+ *
+ * `params` binds :name placeholders (e.g. from query templates). String
+ * literals in filter conditions are bound as parameters too, so values
+ * taken from a question never reach the database as SQL text.
+ *
+ * The configured dialect stops the statement after options.timeoutMs
+ * (default SQL_TIMEOUT_MS) and, unless options.maxScanRows (default
+ * SQL_MAX_SCAN_ROWS) is 0, rejects statements whose query plan estimates
+ * reading more rows than that before they run. MySQL runs it in a READ
+ * ONLY transaction with a MAX_EXECUTION_TIME hint and KILL QUERY as a
+ * fallback; SQLite runs it in a child process over a read-only file.
+ * Both limits throw QueryLimitError.
+ */
+export async function queryDb(sql, params = {}, options = {}) {
+  const timeoutMs = options.timeoutMs ?? config.sqlTimeoutMs;
+  const maxScanRows = options.maxScanRows ?? config.sqlMaxScanRows;
 
-  // Block non-SELECT statements to enforce read-only access.
-  const hasExtraStatements = normalized.split(";").filter(Boolean).length > 1;
-  const startsWithSelect = /^\s*select\b/i.test(normalized);
-  if (hasExtraStatements || !startsWithSelect) {
-    throw new Error("Only single SELECT statements are allowed.");
+  const validated = validateSelectSql(sql);
+  const bound = bindStringLiterals(validated);
+  const values = {};
+  for (const [name, value] of Object.entries({ ...params, ...bound.params })) {
+    values[name] = value === undefined ? null : value;
   }
 
-  const p = getReadPool();
-  const [rows] = await p.execute(normalized);
-  return rows;
+  return sqlDialect().executeSelect(bound.sql, values, { timeoutMs, maxScanRows });
 }
@@ -0,0 +1,174 @@
+import { sqlDialect } from "./dialects/index.js";
+import { config } from "../config/env.js";
+import { semanticSchema } from "../rag/semanticSchema.js";
+import { levenshtein } from "../rag/similarity.js";
+
+// Tables that exist in the database but are not business data.
+const IGNORED_TABLES = new Set(["migrations", "migrations_lock"]);
+
+/**
+ * Read tables, columns and foreign keys of the configured database
+ * (INFORMATION_SCHEMA on MySQL, PRAGMAs on SQLite).
+ *
+ * Returns { [table]: { columns: [{ name, type, nullable, key, comment }],
+ *                      foreignKeys: [{ column, refTable, refColumn }] } }
+ */
+export async function readDatabaseSchema() {
+  const { columns, foreignKeys } = await sqlDialect().readSchema();
+
+  const schema = {};
+  for (const { table, ...column } of columns) {
+    (schema[table] ||= { columns: [], foreignKeys: [] }).columns.push(column);
+  }
+  for (const { table, ...foreignKey } of foreignKeys) {
+    schema[table]?.foreignKeys.push(foreignKey);
+  }
+  return schema;
+}
+
+// Closest candidate when the names are similar enough to be a likely rename.
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = levenshtein(name.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  const threshold = Math.max(2, Math.floor(name.length / 3));
+  return best && bestDistance <= threshold ? best : null;
+}
+
+/**
+ * Compare the live database with semanticSchema.
+ *
+ * - missingTables:   described in semanticSchema but absent from the database
+ * - unmappedTables:  in the database but not described (candidates for --skeleton)
+ * - missingColumns:  described columns the table no longer has, with a
+ *                    rename suggestion when a similar unmapped column exists
+ * - unmappedColumns: database columns not described in semanticSchema
+ */
+export function detectSchemaDrift(dbSchema, schema = semanticSchema) {
+  const ignored = new Set([...IGNORED_TABLES, config.sessionTable]);
+  const entities = Object.values(schema);
+  const describedTables = new Set(entities.map((entity) => entity.table));
+  const dbTables = Object.keys(dbSchema).filter((t) => !ignored.has(t));
+
+  const drift = {
+    missingTables: [],
+    unmappedTables: dbTables.filter((t) => !describedTables.has(t)).sort(),
+    missingColumns: [],
+    unmappedColumns: []
+  };
+
+  for (const entity of entities) {
+    const dbTable = dbSchema[entity.table];
+    if (!dbTable) {
+      drift.missingTables.push({
+        table: entity.table,
+        suggestion: closestName(entity.table, drift.unmappedTables)
+      });
+      continue;
+    }
+
+    const dbColumns = dbTable.columns.map((c) => c.name);
+    const described = new Set(Object.keys(entity.columns || {}));
+    if (entity.primaryKey) described.add(entity.primaryKey);
+
+    const unmapped = dbColumns.filter((c) => !described.has(c));
+    for (const column of described) {
+      if (dbColumns.includes(column)) continue;
+      drift.missingColumns.push({
+        table: entity.table,
+        column,
+        suggestion: closestName(column, unmapped)
+      });
+    }
+    for (const column of unmapped) {
+      drift.unmappedColumns.push({ table: entity.table, column });
+    }
+  }
+
+  return drift;
+}
+
+export function hasDrift(drift) {
+  return (
+    drift.missingTables.length > 0 ||
+    drift.unmappedTables.length > 0 ||
+    drift.missingColumns.length > 0 ||
+    drift.unmappedColumns.length > 0
+  );
+}
+
+export function formatDriftReport(drift) {
+  if (!hasDrift(drift)) {
+    return "semanticSchema matches the database.";
+  }
+
+  const renamed = (item) => (item.suggestion ? ` (renamed to ${item.suggestion}?)` : "");
+  const lines = [];
+  if (drift.missingTables.length) {
+    lines.push("Tables in semanticSchema but not in the database:");
+    drift.missingTables.forEach((t) => lines.push(`  - ${t.table}${renamed(t)}`));
+  }
+  if (drift.missingColumns.length) {
+    lines.push("Columns in semanticSchema but not in the database:");
+    drift.missingColumns.forEach((c) =>
+      lines.push(`  - ${c.table}.${c.column}${renamed(c)}`)
+    );
+  }
+  if (drift.unmappedTables.length) {
+    lines.push("Tables not described in semanticSchema:");
+    drift.unmappedTables.forEach((t) => lines.push(`  - ${t}`));
+  }
+  if (drift.unmappedColumns.length) {
+    lines.push("Columns not described in semanticSchema:");
+    drift.unmappedColumns.forEach((c) => lines.push(`  - ${c.table}.${c.column}`));
+  }
+  return lines.join("\n");
+}
+
+function humanize(name) {
+  return name.replace(/_/g, " ").replace(/\bid\b/i, "ID");
+}
+
+/**
+ * Source text for a new semanticSchema entry, ready to paste and refine.
+ * Column descriptions come from column comments when present.
+ */
+export function generateEntitySkeleton(table, dbTable) {
+  const { columns = [], foreignKeys = [] } = dbTable || {};
+  const primary = columns.find((c) => c.key === "PRI")?.name;
+  const display = columns
+    .map((c) => c.name)
+    .filter((name) => /(name|title)$/.test(name));
+
+  const lines = [`  ${table}: {`, `    table: "${table}",`];
+  if (primary) lines.push(`    primaryKey: "${primary}",`);
+  lines.push(`    description: "TODO: describe ${humanize(table)}",`);
+  lines.push("    columns: {");
+  for (const column of columns) {
+    const description = column.comment || `${humanize(column.name)} (${column.type})`;
+    lines.push(`      ${column.name}: ${JSON.stringify(description)},`);
+  }
+  lines.push("    },");
+  if (display.length) {
+    lines.push(`    displayFields: ${JSON.stringify(display)},`);
+  }
+  if (foreignKeys.length) {
+    lines.push("    relations: {");
+    for (const fk of foreignKeys) {
+      const key = fk.column.replace(/_id$/, "") || fk.refTable;
+      lines.push(`      ${key}: {`);
+      lines.push(`        table: "${fk.refTable}",`);
+      lines.push(`        join: "${table}.${fk.column} = ${fk.refTable}.${fk.refColumn}",`);
+      lines.push("      },");
+    }
+    lines.push("    },");
+  }
+  lines.push("  },");
+  return lines.join("\n");
+}
@@ -0,0 +1,86 @@
+import pkg from "node-sql-parser";
+import { sqlDialect } from "./dialects/index.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = sqlDialect().parserOptions;
+
+// SQLite reads "name" as an identifier (and writes identifiers that way),
+// so only MySQL has double-quoted strings.
+function stringTypes() {
+  return sqlDialect().doubleQuotedStrings
+    ? new Set(["single_quote_string", "double_quote_string", "string"])
+    : new Set(["single_quote_string", "string"]);
+}
+
+// Only filter values are bound. Literals in the select list, GROUP BY or
+// ORDER BY stay inline: MySQL compares those expressions textually
+// (ONLY_FULL_GROUP_BY), so DATE_FORMAT(d, ?) would not match its GROUP BY.
+const CONDITION_KEYS = new Set(["where", "having", "on"]);
+
+const BACKSLASH_ESCAPES = {
+  0: "\0",
+  b: "\b",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+  Z: "\x1a",
+  // LIKE wildcards keep their backslash.
+  "%": "\\%",
+  _: "\\_"
+};
+
+// The parser keeps literals as written; bound values must be the
+// unescaped string the database would have seen. Only MySQL treats a
+// backslash as an escape.
+function unescapeLiteral(node) {
+  const quote = node.type === "double_quote_string" ? '"' : "'";
+  const value = node.value.replaceAll(quote + quote, quote);
+  if (!sqlDialect().backslashEscapes) return value;
+  return value.replace(/\\(.)/gs, (_, chr) => BACKSLASH_ESCAPES[chr] ?? chr);
+}
+
+/**
+ * Replace string literals in WHERE / HAVING / JOIN ON conditions with
+ * named placeholders (:lit_1, :lit_2, ...), so values that came from a
+ * question are sent to the database as bound parameters rather than SQL text.
+ *
+ * Expects SQL that already passed validateSelectSql. Returns
+ * { sql, params } with params keyed by placeholder name.
+ */
+export function bindStringLiterals(sql) {
+  const ast = parser.astify(sql, PARSER_OPTIONS);
+  const params = {};
+  const literalTypes = stringTypes();
+  let count = 0;
+
+  const visit = (node, inCondition) => {
+    if (Array.isArray(node)) {
+      node.forEach((child, i) => {
+        node[i] = visit(child, inCondition);
+      });
+      return node;
+    }
+    if (!node || typeof node !== "object") return node;
+
+    if (inCondition && literalTypes.has(node.type) && typeof node.value === "string") {
+      count += 1;
+      const name = `lit_${count}`;
+      params[name] = unescapeLiteral(node);
+      return { type: "param", value: name };
+    }
+
+    // A nested SELECT starts over: its own select list is not a condition.
+    const isSelect = node.type === "select";
+    for (const [key, child] of Object.entries(node)) {
+      if (!child || typeof child !== "object") continue;
+      const childInCondition = CONDITION_KEYS.has(key) || (inCondition && !isSelect);
+      node[key] = visit(child, childInCondition);
+    }
+    return node;
+  };
+
+  visit(ast, false);
+  if (!count) return { sql, params };
+  return { sql: parser.sqlify(ast, PARSER_OPTIONS), params };
+}
@@ -0,0 +1,439 @@
+import pkg from "node-sql-parser";
+import { sqlDialect } from "./dialects/index.js";
+import { entityForTable, schemaTables } from "../rag/schemaCatalog.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+
+// Every table has a surrogate key even where the semantic schema does not
+// list it.
+const IMPLICIT_COLUMNS = new Set(["id"]);
+
+export class SqlValidationError extends Error {
+  constructor(reasons) {
+    super(`SQL rejected: ${reasons.join("; ")}`);
+    this.name = "SqlValidationError";
+    this.reasons = reasons;
+  }
+}
+
+function isSecret(table, column) {
+  return entityForTable(table)?.sensitivity?.[column.toLowerCase()] === "secret";
+}
+
+function knownColumns(table) {
+  const entity = entityForTable(table);
+  if (!entity?.columns) return null;
+  const columns = new Set([...IMPLICIT_COLUMNS, ...Object.keys(entity.columns)]);
+  if (entity.primaryKey) columns.add(entity.primaryKey);
+  return columns;
+}
+
+// Quoted identifiers are parsed as { type, value } nodes.
+function identifier(node) {
+  const value = node?.expr?.value ?? node?.value ?? node;
+  return typeof value === "string" ? value : null;
+}
+
+function functionName(node) {
+  if (node.type === "aggr_func") return String(node.name || "");
+  const parts = node.name?.name;
+  if (Array.isArray(parts)) return parts.map((p) => p.value).join(".");
+  return identifier(node.name) || "";
+}
+
+function forEachNode(node, visit) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => forEachNode(child, visit));
+    return;
+  }
+  visit(node);
+  Object.values(node).forEach((child) => forEachNode(child, visit));
+}
+
+// WITH queries visible to a SELECT: name -> { stmt, columns, scope }, where
+// `scope` is what the query's own body sees. A name is visible in the rest
+// of its own statement and in the WITH queries after it; in its own body
+// (unless the WITH is RECURSIVE) it still means the table.
+function withScope(select, ctes) {
+  if (!Array.isArray(select.with)) return { scope: ctes, bodies: [] };
+  const recursive = select.with.some((cte) => cte?.recursive);
+  const scope = new Map(ctes);
+  const bodies = [];
+  for (const cte of select.with) {
+    const name = identifier(cte?.name)?.toLowerCase();
+    const entry = { stmt: cte?.stmt?.ast ?? cte?.stmt, columns: cte?.columns, scope: null };
+    if (name && recursive) scope.set(name, entry);
+    entry.scope = new Map(scope);
+    bodies.push({ cte, scope: entry.scope });
+    if (name) scope.set(name, entry);
+  }
+  return { scope, bodies };
+}
+
+// Every SELECT in the statement, with the WITH queries visible to it and
+// the SELECT it is nested in (for correlated column references).
+function collectSelects(statement) {
+  const selects = [];
+  const walk = (node, ctes, parent) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach((child) => walk(child, ctes, parent));
+      return;
+    }
+    const { scope, bodies } = withScope(node, ctes);
+    bodies.forEach(({ cte, scope: bodyScope }) => walk(cte, bodyScope, parent));
+    let enclosing = parent;
+    if (node.type === "select") {
+      enclosing = { select: node, ctes: scope, parent };
+      selects.push(enclosing);
+    }
+    for (const [key, child] of Object.entries(node)) {
+      if (key === "with") continue;
+      // UNION branches sit beside this SELECT, not inside it.
+      walk(child, scope, key === "_next" ? parent : enclosing);
+    }
+  };
+  walk(statement, new Map(), null);
+  return selects;
+}
+
+function collectColumnRefs(node, refs = []) {
+  forEachNode(node, (child) => {
+    if (child.type === "column_ref") refs.push(child);
+  });
+  return refs;
+}
+
+// Output columns of a WITH query or derived table, traced to the base
+// table columns they are computed from:
+// { columns: Map(name -> [{ table, column }]), open: [table] }, where
+// `open` lists tables without column metadata that `*` read from.
+function outputColumns(select, ctes) {
+  if (!select || select.type !== "select") return { columns: new Map(), open: [] };
+  const { scope } = withScope(select, ctes);
+  const output = branchColumns(select, scope);
+  for (let next = select._next; next; next = next._next) {
+    const branch = branchColumns(next, scope);
+    // UNION columns are named after the first branch and matched by
+    // position; when the positions cannot be matched up, every column may
+    // come from anywhere in the branch.
+    const origins = Array.from(branch.columns.values());
+    Array.from(output.columns.values()).forEach((list, i) => {
+      list.push(...(origins.length === output.columns.size ? origins[i] : origins.flat()));
+    });
+    output.open.push(...branch.open);
+  }
+  return output;
+}
+
+function cteColumns(entry) {
+  if (!entry.output) {
+    // A RECURSIVE query reading itself sees what its other branches add.
+    entry.output = { columns: new Map(), open: [] };
+    let output = outputColumns(entry.stmt, entry.scope);
+    const renamed = (entry.columns || []).map((col) => identifier(col?.column ?? col));
+    if (renamed.length > 0 && renamed.every(Boolean)) {
+      const origins = Array.from(output.columns.values());
+      output = {
+        columns: new Map(
+          renamed.map((name, i) => [
+            name.toLowerCase(),
+            origins.length === renamed.length ? origins[i] : origins.flat()
+          ])
+        ),
+        open: output.open
+      };
+    }
+    entry.output = output;
+  }
+  return entry.output;
+}
+
+// What a FROM item reads: a table name (lower case) or, for WITH queries
+// and derived tables, their output columns.
+function sourceOf(item, ctes) {
+  if (item.expr?.ast) return outputColumns(item.expr.ast, ctes);
+  const table = identifier(item.table)?.toLowerCase();
+  if (!table) return null;
+  if (!identifier(item.db) && ctes.has(table)) return cteColumns(ctes.get(table));
+  return table;
+}
+
+function originsOf(source, column) {
+  if (!source) return [];
+  if (typeof source === "string") return [{ table: source, column }];
+  return source.columns.get(column) ?? source.open.map((table) => ({ table, column }));
+}
+
+function hasColumn(source, column) {
+  if (typeof source === "string") return Boolean(knownColumns(source)?.has(column));
+  return Boolean(source?.columns.has(column));
+}
+
+function branchColumns(select, ctes) {
+  const sources = new Map();
+  for (const item of select.from || []) {
+    const alias = identifier(item.as) || identifier(item.table);
+    if (alias) sources.set(alias, sourceOf(item, ctes));
+  }
+
+  const output = { columns: new Map(), open: [] };
+  const add = (name, origins) => {
+    const key = name.toLowerCase();
+    output.columns.set(key, [...(output.columns.get(key) || []), ...origins]);
+  };
+  for (const col of Array.isArray(select.columns) ? select.columns : []) {
+    const expr = col.expr || col;
+    if (expr.type === "column_ref" && identifier(expr.column) === "*") {
+      const qualifier = identifier(expr.table);
+      const targets = qualifier ? [sources.get(qualifier)] : Array.from(sources.values());
+      for (const source of targets) {
+        if (!source) continue;
+        if (typeof source !== "string") {
+          source.columns.forEach((origins, name) => add(name, origins));
+          output.open.push(...source.open);
+          continue;
+        }
+        const columns = knownColumns(source);
+        if (!columns) output.open.push(source);
+        else columns.forEach((column) => add(column, [{ table: source, column }]));
+      }
+      continue;
+    }
+    const origins = collectColumnRefs(expr).flatMap((ref) => {
+      const column = identifier(ref.column)?.toLowerCase();
+      const qualifier = identifier(ref.table);
+      const candidates = qualifier ? [sources.get(qualifier)] : Array.from(sources.values());
+      return column ? candidates.flatMap((source) => originsOf(source, column)) : [];
+    });
+    const name = identifier(col.as) || (expr.type === "column_ref" ? identifier(expr.column) : null);
+    if (name) add(name, origins);
+  }
+  return output;
+}
+
+// Column references that belong directly to `select` (not to a nested
+// query, which is checked on its own). USING columns count as unqualified
+// references.
+function ownColumnRefs(select) {
+  const refs = [];
+  const walk = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (node.type === "select" && node !== select) return;
+    if (node.ast && node.ast.type === "select") return;
+    if (node.type === "column_ref") {
+      refs.push(node);
+      return;
+    }
+    Object.entries(node).forEach(([key, child]) => {
+      if (key === "from" || key === "_next" || key === "with") return;
+      walk(child);
+    });
+  };
+  walk(select);
+  for (const item of select.from || []) {
+    walk(item.on);
+    for (const column of item.using || []) {
+      refs.push({ type: "column_ref", table: null, column });
+    }
+  }
+  return refs;
+}
+
+function checkTables(select, ctes, context, reasons) {
+  const sources = new Map();
+  for (const item of select.from || []) {
+    if (item.expr?.ast) {
+      // Derived tables are validated as their own SELECT.
+      sources.set(identifier(item.as), sourceOf(item, ctes));
+      continue;
+    }
+    const table = identifier(item.table);
+    if (!table) continue;
+    const lower = table.toLowerCase();
+    const db = identifier(item.db);
+
+    if (db && db.toLowerCase() !== context.database) {
+      reasons.push(`references schema "${db}" (only ${context.database} is allowed)`);
+      continue;
+    }
+    if (!db && ctes.has(lower)) {
+      sources.set(identifier(item.as) || table, sourceOf(item, ctes));
+      continue;
+    }
+    if (!context.allowedTables.has(lower)) {
+      reasons.push(`table "${table}" is not allowed`);
+      continue;
+    }
+    sources.set(identifier(item.as) || table, lower);
+  }
+  return sources;
+}
+
+// Secret columns may not be read, filtered on or compared anywhere, or a
+// caller could guess their values one condition at a time. Columns of
+// WITH queries and derived tables are traced to the tables behind them.
+function secretOrigin(sources, column) {
+  return sources
+    .flatMap((source) => originsOf(source, column))
+    .find((origin) => isSecret(origin.table, origin.column));
+}
+
+function checkColumns(select, sources, outer, reasons) {
+  const aliases = new Set(
+    (select.columns || [])
+      .map((col) => identifier(col.as))
+      .filter(Boolean)
+      .map((a) => a.toLowerCase())
+  );
+  const secretReason = ({ table, column }) =>
+    `column "${column}" on table "${table}" cannot be queried`;
+
+  for (const ref of ownColumnRefs(select)) {
+    const column = identifier(ref.column);
+    if (!column || column === "*") continue;
+    const lower = column.toLowerCase();
+    const qualifier = identifier(ref.table);
+
+    if (qualifier) {
+      // Correlated subqueries may name a table of an enclosing SELECT.
+      const scope = [sources, ...outer].find((candidate) => candidate.has(qualifier));
+      if (!scope) continue;
+      const source = scope.get(qualifier);
+      const secret = secretOrigin([source], lower);
+      if (secret) {
+        reasons.push(secretReason(secret));
+        continue;
+      }
+      const columns = typeof source === "string" ? knownColumns(source) : null;
+      if (columns && !columns.has(column)) {
+        reasons.push(`unknown column "${column}" on table "${source}"`);
+      }
+      continue;
+    }
+
+    const candidates = Array.from(sources.values());
+    // A name none of this SELECT's sources has may be a correlated
+    // reference to an enclosing SELECT.
+    const reachable = candidates.some((source) => hasColumn(source, lower))
+      ? candidates
+      : [...candidates, ...outer.flatMap((scope) => Array.from(scope.values()))];
+    const secret = secretOrigin(reachable, lower);
+    if (secret) {
+      reasons.push(secretReason(secret));
+      continue;
+    }
+    if (aliases.has(lower)) continue;
+    // Unknown shape (derived table, CTE or table without column metadata):
+    // the column may come from there.
+    const unknownShape = candidates.some((t) => typeof t !== "string" || !knownColumns(t));
+    if (candidates.length === 0 || unknownShape) continue;
+    if (!candidates.some((table) => knownColumns(table).has(column))) {
+      reasons.push(
+        `unknown column "${column}" (not on ${candidates.join(", ")})`
+      );
+    }
+  }
+}
+
+// `forbidden` comes from the dialect (see db/dialects); names are upper case.
+function checkExpressions(statement, forbidden, reasons) {
+  forEachNode(statement, (node) => {
+    if (node.type === "function" || node.type === "aggr_func") {
+      const name = functionName(node).toUpperCase();
+      if (forbidden.has(name)) {
+        reasons.push(`function ${name}() is not allowed`);
+      }
+    }
+    if (node.type === "var") {
+      reasons.push(`variable ${node.prefix || ""}${node.name} is not allowed`);
+    }
+  });
+}
+
+/**
+ * Parse a statement and verify that it is a single, side-effect-free
+ * SELECT over the schema described in semanticSchema, in the configured
+ * SQL dialect.
+ *
+ * Checks: statement count and type (including every UNION branch and
+ * subquery), INTO OUTFILE/DUMPFILE/@var, locking reads, referenced tables
+ * and schemas, referenced columns, secret columns (see semanticSchema
+ * sensitivity; traced through WITH queries and derived tables), forbidden
+ * functions and variables.
+ *
+ * Returns the statement re-serialized from the AST (comments, including
+ * MySQL executable comments, are dropped). Throws SqlValidationError with
+ * every reason found.
+ *
+ * Options:
+ * - allowedTables: tables the statement may read (default: every table in
+ *   semanticSchema)
+ */
+export function validateSelectSql(sql, options = {}) {
+  const normalized = (sql || "").trim();
+  if (!normalized) {
+    throw new SqlValidationError(["SQL is empty"]);
+  }
+  if (/\/\*!/.test(normalized)) {
+    throw new SqlValidationError(["MySQL executable comments are not allowed"]);
+  }
+
+  const dialect = sqlDialect();
+  let ast;
+  try {
+    ast = parser.astify(normalized, dialect.parserOptions);
+  } catch (err) {
+    throw new SqlValidationError([
+      `could not parse SQL (${(err?.message || String(err)).split("\n")[0]})`
+    ]);
+  }
+
+  const statements = Array.isArray(ast) ? ast : [ast];
+  if (statements.length !== 1) {
+    throw new SqlValidationError([
+      `expected a single statement, found ${statements.length}`
+    ]);
+  }
+
+  const statement = statements[0];
+  if (statement.type !== "select") {
+    throw new SqlValidationError([
+      `only SELECT statements are allowed (got ${String(statement.type).toUpperCase()})`
+    ]);
+  }
+
+  const context = {
+    database: String(dialect.schemaName).toLowerCase(),
+    allowedTables: new Set(
+      (options.allowedTables || schemaTables()).map((t) => t.toLowerCase())
+    )
+  };
+
+  const reasons = [];
+  const sourcesOf = new Map();
+  for (const { select, ctes, parent } of collectSelects(statement)) {
+    if (select.into?.type || select.into?.keyword) {
+      const target = String(select.into.keyword || "").toUpperCase();
+      reasons.push(`SELECT ... INTO ${target} is not allowed`);
+    }
+    if (select.locking_read) {
+      reasons.push("locking reads (FOR UPDATE / FOR SHARE) are not allowed");
+    }
+    const sources = checkTables(select, ctes, context, reasons);
+    sourcesOf.set(select, sources);
+    const outer = [];
+    for (let up = parent; up; up = up.parent) outer.push(sourcesOf.get(up.select));
+    checkColumns(select, sources, outer, reasons);
+  }
+  checkExpressions(statement, new Set(dialect.forbiddenFunctions), reasons);
+
+  if (reasons.length > 0) {
+    throw new SqlValidationError(Array.from(new Set(reasons)));
+  }
+
+  return parser.sqlify(statement, dialect.parserOptions);
+}
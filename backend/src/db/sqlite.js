@@ -0,0 +1,180 @@
+import { fork } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { config } from "../config/env.js";
+import { scanLimitError, timeoutError } from "./errors.js";
+
+/**
+ * SQLite access for DB_DIALECT=sqlite: a local copy of the HR database
+ * at SQLITE_PATH, for demos and offline development. The file is only
+ * ever opened read-only; sessions and other writes need MySQL.
+ *
+ * Internal reads run in this process. better-sqlite3 blocks while a
+ * statement runs and cannot interrupt it, so generated SELECTs run one at
+ * a time in a child process (sqliteRunner.js) that is killed when a
+ * statement outlives its time limit.
+ */
+
+const stats = { queries: 0, failures: 0, slow: 0, totalMs: 0 };
+let databasePromise;
+let runner;
+let nextJobId = 0;
+let queue = Promise.resolve();
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = import("better-sqlite3")
+      .then(({ default: Database }) =>
+        new Database(config.sqlitePath, { readonly: true, fileMustExist: true })
+      )
+      .catch((err) => {
+        databasePromise = null;
+        throw err;
+      });
+  }
+  return databasePromise;
+}
+
+// better-sqlite3 binds numbers, strings, bigints, buffers and null only.
+function bindable(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace("T", " ");
+  return value;
+}
+
+function values(params) {
+  if (Array.isArray(params)) return params.map(bindable);
+  return Object.fromEntries(
+    Object.entries(params || {}).map(([name, value]) => [name, bindable(value)])
+  );
+}
+
+function record(sql, startedAt, failed) {
+  const elapsedMs = Date.now() - startedAt;
+  stats.queries += 1;
+  stats.totalMs += elapsedMs;
+  if (failed) stats.failures += 1;
+  if (elapsedMs >= config.dbSlowQueryMs) {
+    stats.slow += 1;
+    const text = String(sql).replace(/\s+/g, " ").slice(0, 200);
+    console.warn(`[DB] Slow sqlite query (${elapsedMs} ms): ${text}`);
+  }
+}
+
+async function timed(sql, run) {
+  const startedAt = Date.now();
+  try {
+    const result = await run();
+    record(sql, startedAt, false);
+    return result;
+  } catch (err) {
+    record(sql, startedAt, true);
+    throw err;
+  }
+}
+
+/** Run an internal read; see readQuery in db/database.js. */
+export async function readSqlite(sql, params = []) {
+  const database = await openDatabase();
+  return timed(sql, async () => database.prepare(sql).all(values(params)));
+}
+
+function startRunner() {
+  const script = fileURLToPath(new URL("./sqliteRunner.js", import.meta.url));
+  const child = fork(script, [config.sqlitePath], { serialization: "advanced" });
+  const current = { child, jobs: new Map() };
+  const failAll = (err) => {
+    for (const job of current.jobs.values()) job.reject(err);
+    current.jobs.clear();
+    if (runner === current) runner = null;
+  };
+  child.on("message", (message) => {
+    const job = current.jobs.get(message.id);
+    current.jobs.delete(message.id);
+    job?.resolve(message);
+    // An idle runner must not keep the process alive.
+    if (!current.jobs.size) child.channel?.unref();
+  });
+  child.on("error", failAll);
+  child.on("exit", () => failAll(new Error("SQLite runner stopped")));
+  child.unref();
+  return current;
+}
+
+function runInChild(job, timeoutMs) {
+  runner ||= startRunner();
+  const current = runner;
+  const id = (nextJobId += 1);
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      current.jobs.delete(id);
+      console.warn(`[DB] SQLite query exceeded ${timeoutMs} ms; stopping the runner`);
+      if (runner === current) runner = null;
+      current.child.kill("SIGKILL");
+      reject(timeoutError(timeoutMs));
+    }, timeoutMs);
+    const settle = (fn) => (value) => {
+      clearTimeout(timer);
+      fn(value);
+    };
+    current.jobs.set(id, { resolve: settle(resolve), reject: settle(reject) });
+    current.child.channel?.ref();
+    current.child.send({ id, ...job });
+  });
+}
+
+/**
+ * Run a validated SELECT in the runner process. `tables` maps the statement's
+ * aliases to table names for the scan estimate. Statements queue behind
+ * each other, and each one's time limit starts when it reaches the runner.
+ */
+export function executeSqliteSelect(sql, params, { timeoutMs, maxScanRows, tables = {} }) {
+  const job = { sql, values: values(params), maxScanRows, tables };
+  const run = () =>
+    timed(sql, async () => {
+      const reply = await runInChild(job, timeoutMs);
+      if (!reply.error) return reply.rows;
+      if (reply.error.code === "SCAN_LIMIT") {
+        throw scanLimitError(reply.error.estimate, maxScanRows);
+      }
+      throw Object.assign(new Error(reply.error.message), { code: reply.error.code });
+    });
+  const result = queue.then(run, run);
+  queue = result.catch(() => {});
+  return result;
+}
+
+export async function checkSqliteHealth() {
+  const startedAt = Date.now();
+  let read;
+  try {
+    (await openDatabase()).prepare("SELECT 1").get();
+    read = { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    read = { ok: false, latencyMs: Date.now() - startedAt, error: err?.message || String(err) };
+  }
+  const { queries, failures, slow, totalMs } = stats;
+  return {
+    ok: read.ok,
+    read: {
+      ...read,
+      path: config.sqlitePath,
+      queries,
+      failures,
+      slowQueries: slow,
+      averageMs: queries ? Math.round(totalMs / queries) : 0
+    }
+  };
+}
+
+/** Close the file and stop the runner; later queries open them again. */
+export async function closeSqlite() {
+  const opening = databasePromise;
+  const running = runner;
+  databasePromise = null;
+  runner = null;
+  running?.child.kill();
+  const database = await opening?.catch(() => null);
+  database?.close();
+}
@@ -0,0 +1,72 @@
+import Database from "better-sqlite3";
+
+/**
+ * Child process for generated SELECTs on SQLite (see db/sqlite.js).
+ * better-sqlite3 cannot interrupt a running statement, and a worker
+ * thread cannot be stopped while SQLite holds it, so a statement that
+ * outlives its time limit is stopped by killing this process.
+ *
+ * Started with the database path as its only argument.
+ * Messages in:  { id, sql, values, maxScanRows, tables }
+ * Messages out: { id, rows } or { id, error: { message, code, estimate } }
+ */
+
+const database = new Database(process.argv[2], { readonly: true, fileMustExist: true });
+const rowCounts = new Map();
+
+function tableRows(name) {
+  if (!rowCounts.has(name)) {
+    const exists = database
+      .prepare("SELECT 1 FROM sqlite_schema WHERE type = 'table' AND name = ?")
+      .get(name);
+    rowCounts.set(
+      name,
+      exists ? database.prepare(`SELECT COUNT(*) AS n FROM "${name.replaceAll('"', '""')}"`).get().n : 1
+    );
+  }
+  return rowCounts.get(name);
+}
+
+/**
+ * Rows SQLite will read for an EXPLAIN QUERY PLAN. The plan has no row
+ * estimates, so a SCAN step counts the whole table and a SEARCH step one
+ * row per lookup. Steps under the same parent are nested loops in plan
+ * order, so each is read once per row of the scans before it.
+ */
+function estimateScannedRows(plan, tables) {
+  const loops = new Map();
+  let total = 0;
+  for (const step of plan) {
+    const match = /^(SCAN|SEARCH) (\S+)/.exec(step.detail);
+    if (!match) continue;
+    const name = tables[match[2].toLowerCase()] || match[2];
+    const rows = match[1] === "SCAN" ? tableRows(name) : 1;
+    const prefix = loops.get(step.parent) ?? 1;
+    total += prefix * rows;
+    loops.set(step.parent, prefix * rows);
+  }
+  return total;
+}
+
+function run({ sql, values, maxScanRows, tables }) {
+  if (maxScanRows > 0) {
+    const plan = database.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(values);
+    const estimate = estimateScannedRows(plan, tables);
+    if (estimate > maxScanRows) {
+      return { error: { code: "SCAN_LIMIT", message: "scan limit", estimate } };
+    }
+  }
+  return { rows: database.prepare(sql).all(values) };
+}
+
+process.on("message", (job) => {
+  let reply;
+  try {
+    reply = run(job);
+  } catch (err) {
+    reply = { error: { message: err?.message || String(err), code: err?.code } };
+  }
+  process.send({ id: job.id, ...reply });
+});
+
+process.on("disconnect", () => process.exit(0));
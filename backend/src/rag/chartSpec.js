@@ -0,0 +1,212 @@
+import pkg from "node-sql-parser";
+import { describeColumns } from "./resultColumns.js";
+import { sqlDialect } from "../db/dialects/index.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = sqlDialect().parserOptions;
+
+/**
+ * Vega-Lite chart specs for aggregate database answers, built from the
+ * (masked, enriched) result rows without another LLM call.
+ *
+ * Recognized shapes:
+ * - category + measure(s)  -> bar chart ("headcount per department")
+ * - time + measure(s)      -> line chart ("late arrivals per month")
+ * - two dimensions + one measure -> pivot: stacked bars, or one line per
+ *   category when one dimension is time
+ *
+ * Only aggregate queries (GROUP BY or aggregate functions) are charted;
+ * detail listings, single rows and results with too many categories get
+ * no chart.
+ */
+
+const VEGA_LITE_SCHEMA = "https://vega.github.io/schema/vega-lite/v5.json";
+const MAX_CATEGORIES = 50;
+const MIN_ROWS = 2;
+
+const MONTH_TEXT = /^\d{4}-(0[1-9]|1[0-2])$/;
+const TIME_NAMES = /^(year|month|week|day|date|quarter)$|_(year|month|week|day|date|at)$/;
+
+// Ids are numbers but neither measures nor useful axis labels.
+function isIdentifier(column) {
+  return column.name === "id" || column.name.endsWith("_id");
+}
+
+function isTemporal(column, rows) {
+  if (column.type === "date" || column.type === "datetime") return true;
+  if (!TIME_NAMES.test(column.name)) return false;
+  // "2026-03" month buckets and integer year/month columns.
+  return rows.every((row) => {
+    const value = row[column.name];
+    return value == null || MONTH_TEXT.test(String(value)) || column.type === "number";
+  });
+}
+
+function distinctCount(rows, ...fields) {
+  return new Set(
+    rows.map((row) => JSON.stringify(fields.map((f) => String(row[f] ?? ""))))
+  ).size;
+}
+
+function hasAggregate(node) {
+  if (!node || typeof node !== "object") return false;
+  if (Array.isArray(node)) return node.some(hasAggregate);
+  if (node.type === "aggr_func") return true;
+  // Aggregates inside a subquery do not make the outer rows aggregates.
+  if (node.ast) return false;
+  return Object.values(node).some(hasAggregate);
+}
+
+// Unparseable SQL is given the benefit of the doubt; the row shape
+// checks still apply.
+function isAggregateQuery(sql) {
+  if (!sql) return true;
+  try {
+    const ast = parser.astify(sql, PARSER_OPTIONS);
+    const select = Array.isArray(ast) ? ast[0] : ast;
+    if (select?.type !== "select") return false;
+    const groupBy = select.groupby?.columns ?? select.groupby;
+    return (Array.isArray(groupBy) && groupBy.length > 0) || hasAggregate(select.columns);
+  } catch {
+    return true;
+  }
+}
+
+function classify(rows, columns) {
+  const time = [];
+  const categories = [];
+  const measures = [];
+  for (const column of columns) {
+    if (isIdentifier(column) || column.type === "unknown") continue;
+    if (isTemporal(column, rows)) time.push(column);
+    else if (column.type === "number") measures.push(column);
+    else if (column.type === "string" || column.type === "boolean") categories.push(column);
+  }
+  return { time, categories, measures };
+}
+
+function axisValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+// Only the charted fields, with DECIMAL strings turned into numbers.
+function chartValues(rows, dimensions, measures) {
+  return rows.map((row) => {
+    const values = {};
+    for (const column of dimensions) values[column.name] = axisValue(row[column.name]);
+    for (const column of measures) {
+      const n = Number(row[column.name]);
+      values[column.name] = row[column.name] == null || Number.isNaN(n) ? null : n;
+    }
+    return values;
+  });
+}
+
+function timeEncoding(column) {
+  if (column.type === "number") {
+    return { field: column.name, type: "ordinal", title: column.label };
+  }
+  const encoding = { field: column.name, type: "temporal", title: column.label };
+  if (MONTH_TEXT.test(column.sample)) encoding.timeUnit = "yearmonth";
+  return encoding;
+}
+
+function measureEncoding(measures) {
+  return measures.length === 1
+    ? { field: measures[0].name, type: "quantitative", title: measures[0].label }
+    : { field: "value", type: "quantitative", title: "Value" };
+}
+
+// Several measures are folded into one value column, coloured by measure.
+function foldMeasures(spec, measures) {
+  if (measures.length < 2) return spec;
+  spec.transform = [{ fold: measures.map((m) => m.name), as: ["measure", "value"] }];
+  spec.encoding.color = { field: "measure", type: "nominal", title: "Measure" };
+  return spec;
+}
+
+function baseSpec(title, values, mark) {
+  return {
+    $schema: VEGA_LITE_SCHEMA,
+    ...(title && { title }),
+    data: { values },
+    mark: { type: mark, tooltip: true, ...(mark === "line" && { point: true }) }
+  };
+}
+
+/**
+ * Returns a Vega-Lite spec, or null when the rows do not suit a chart.
+ * `sql` (optional) lets column labels use semanticSchema metadata.
+ */
+export function buildChartSpec(rows, { sql, title } = {}) {
+  if (!Array.isArray(rows) || rows.length < MIN_ROWS) return null;
+  if (!isAggregateQuery(sql)) return null;
+
+  const columns = describeColumns(rows, sql).map((column) => ({
+    ...column,
+    sample: String(rows.find((row) => row[column.name] != null)?.[column.name] ?? "")
+  }));
+  const { time, categories, measures } = classify(rows, columns);
+  if (!measures.length) return null;
+
+  // Time series: one time column, optionally split by one category.
+  if (time.length === 1 && categories.length <= 1) {
+    const split = categories[0];
+    if (split && measures.length > 1) return null;
+    if (split && distinctCount(rows, split.name) > MAX_CATEGORIES) return null;
+    const keys = [time[0].name, ...(split ? [split.name] : [])];
+    if (distinctCount(rows, ...keys) !== rows.length) return null;
+
+    const spec = baseSpec(title, chartValues(rows, [...time, ...categories], measures), "line");
+    spec.encoding = { x: timeEncoding(time[0]), y: measureEncoding(measures) };
+    if (split) {
+      spec.encoding.color = { field: split.name, type: "nominal", title: split.label };
+      return spec;
+    }
+    return foldMeasures(spec, measures);
+  }
+  if (time.length) return null;
+
+  // Category + measure(s): bars sorted by the (first) measure.
+  if (categories.length === 1) {
+    const category = categories[0];
+    // One row per category; more means a detail listing, not an aggregate.
+    if (distinctCount(rows, category.name) !== rows.length) return null;
+    if (rows.length > MAX_CATEGORIES) return null;
+
+    const spec = baseSpec(title, chartValues(rows, categories, measures), "bar");
+    spec.encoding = {
+      x: {
+        field: category.name,
+        type: "nominal",
+        title: category.label,
+        ...(measures.length === 1 && { sort: "-y" })
+      },
+      y: measureEncoding(measures)
+    };
+    if (measures.length > 1) spec.encoding.xOffset = { field: "measure" };
+    return foldMeasures(spec, measures);
+  }
+
+  // Pivot: two categories and one measure, as stacked bars.
+  if (categories.length === 2 && measures.length === 1) {
+    const [outer, inner] = [...categories].sort(
+      (a, b) => distinctCount(rows, b.name) - distinctCount(rows, a.name)
+    );
+    if (distinctCount(rows, outer.name) > MAX_CATEGORIES) return null;
+    if (distinctCount(rows, inner.name) > MAX_CATEGORIES) return null;
+    if (distinctCount(rows, outer.name, inner.name) !== rows.length) return null;
+
+    const spec = baseSpec(title, chartValues(rows, categories, measures), "bar");
+    spec.encoding = {
+      x: { field: outer.name, type: "nominal", title: outer.label },
+      y: measureEncoding(measures),
+      color: { field: inner.name, type: "nominal", title: inner.label }
+    };
+    return spec;
+  }
+
+  return null;
+}
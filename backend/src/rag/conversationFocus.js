@@ -0,0 +1,315 @@
+import { readQuery } from "../db/database.js";
+import { resolveDateRange } from "./dateRange.js";
+import { resolveEmployee } from "./employeeResolver.js";
+import { columnsOf } from "./resultColumns.js";
+
+/**
+ * What a conversation is currently about, so follow-ups can be rewritten
+ * into standalone questions before they are classified and turned into
+ * SQL:
+ *
+ *   "attendance of Ali Raza last week"
+ *   "what about her leaves?"  -> "what about Ali Raza's leaves?"
+ *   "and for QA?"             -> "attendance of the QA department last week"
+ *   "and last month?"         -> "attendance of Ali Raza last month"
+ *
+ * The focus is kept in the session:
+ * { employee, department, leaveType, dateRange, result }, where the first
+ * three are { id, name, mention } (mention: the text used in the question
+ * that introduced them), dateRange is the resolved range (see
+ * dateRange.js) and result describes the last database answer:
+ * { question, rowCount, columns, employeeId }.
+ */
+
+const LOOKUP_TTL_MS = 5 * 60 * 1000;
+
+// Words an elliptical follow-up may contain besides the entities it
+// swaps in ("and for the QA team too?").
+const FILLER_WORDS = new Set([
+  "the", "for", "in", "of", "at", "from", "on", "department", "departments",
+  "dept", "team", "leave", "leaves", "employee", "please", "then", "instead",
+  "same", "too", "also", "one", "about", "how", "what", "and", "now"
+]);
+
+const FOLLOW_UP_PATTERNS = [
+  // what about X, how about X, same for X, do the same for X
+  /^(?:(?:and|but|ok|okay|now|then)\s+)?(?:(?:what|how)\s+about|(?:do\s+)?(?:the\s+)?same\s+(?:thing\s+|query\s+)?(?:for|in)|now\s+for)\s+(.+?)[\s?.!]*$/i,
+  // and for X, and X
+  /^(?:and|now)\s+(.+?)[\s?.!]*$/i,
+  // X instead
+  /^(.+?)\s+instead[\s?.!]*$/i
+];
+
+// A plural in the question means "their" or "them" is about a group.
+const PLURAL_CUES = /\b(employees|people|staff|everyone|all|departments|those|these|teams|members)\b/i;
+
+const lookups = {};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+async function loadLookup(key, sql, map) {
+  const cached = lookups[key];
+  if (cached && Date.now() - cached.loadedAt < LOOKUP_TTL_MS) return cached.rows;
+  try {
+    const rows = (await readQuery(sql)).map(map).filter((row) => row.name);
+    lookups[key] = { rows, loadedAt: Date.now() };
+    return rows;
+  } catch (err) {
+    console.warn(`[FOCUS] Could not load ${key}:`, err?.message || err);
+    return cached?.rows || [];
+  }
+}
+
+// "Quality Assurance" is also found as "QA".
+function departmentAliases(name) {
+  const words = name.split(/\s+/).filter(Boolean);
+  const aliases = [name];
+  if (words.length > 1) aliases.push(words.map((w) => w[0].toUpperCase()).join(""));
+  return aliases;
+}
+
+function loadDepartments() {
+  return loadLookup(
+    "departments",
+    "SELECT id, department_name FROM departments",
+    (row) => {
+      const name = String(row.department_name || "").trim();
+      return { id: row.id, name, aliases: departmentAliases(name) };
+    }
+  );
+}
+
+// "Sick Leave" is also found as "sick leaves" and "sick".
+function loadLeaveTypes() {
+  return loadLookup(
+    "leave types",
+    "SELECT id, leave_name FROM leave_types",
+    (row) => {
+      const name = String(row.leave_name || "").trim();
+      const short = name.replace(/\s+leaves?$/i, "");
+      return { id: row.id, name, aliases: short.length >= 3 ? [short] : [name] };
+    }
+  );
+}
+
+// The longest alias found in the text, as { id, name, mention }.
+function findMention(text, entries, suffix = "") {
+  let best = null;
+  for (const entry of entries) {
+    for (const alias of entry.aliases) {
+      // Short names and acronyms ("IT", "QA") only in capitals.
+      const flags = alias.length <= 3 ? "" : "i";
+      const pattern = new RegExp(`\\b${escapeRegExp(alias)}${suffix}\\b`, flags);
+      const match = pattern.exec(text);
+      if (match && (!best || match[0].length > best.mention.length)) {
+        best = { id: entry.id, name: entry.name, mention: match[0] };
+      }
+    }
+  }
+  return best;
+}
+
+/** The department named in the text, as { id, name, mention }, or null. */
+export async function findDepartment(text) {
+  return findMention(text, await loadDepartments(), "(?:\\s+(?:department|team|dept))?");
+}
+
+/** The leave type named in the text, as { id, name, mention }, or null. */
+export async function findLeaveType(text) {
+  return findMention(text, await loadLeaveTypes(), "(?:\\s+leaves?)?");
+}
+
+function blank(text, phrase) {
+  return phrase ? text.replace(phrase, " ") : text;
+}
+
+function contentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\d'-]+/gu) || []).filter(
+    (word) => !FILLER_WORDS.has(word)
+  );
+}
+
+/**
+ * The entities an elliptical follow-up ("and for QA last month?") swaps
+ * in, or null when it says anything else.
+ */
+async function parseFollowUpEntities(text, access) {
+  let rest = text;
+  const found = {};
+
+  const dateRange = resolveDateRange(rest);
+  if (dateRange) {
+    found.dateRange = dateRange;
+    rest = blank(rest, dateRange.expression);
+  }
+  const department = await findDepartment(rest);
+  if (department) {
+    found.department = department;
+    rest = blank(rest, department.mention);
+  }
+  const leaveType = await findLeaveType(rest);
+  if (leaveType) {
+    found.leaveType = leaveType;
+    rest = blank(rest, leaveType.mention);
+  }
+
+  if (contentWords(rest).length) {
+    const resolution = await resolveEmployee(rest, { access });
+    if (resolution.status === "none") return null;
+    found.employee = { mention: resolution.mention };
+    rest = blank(rest, resolution.mention);
+    if (contentWords(rest).length) return null;
+  }
+  return Object.keys(found).length ? found : null;
+}
+
+// Replace the first occurrence of a phrase (whole words, any case).
+function replacePhrase(text, phrase, replacement, prefix = "", suffix = "") {
+  if (!phrase) return null;
+  const pattern = new RegExp(`${prefix}\\b${escapeRegExp(phrase)}\\b${suffix}`, "i");
+  return pattern.test(text) ? text.replace(pattern, replacement) : null;
+}
+
+// A department as written in a question, with its article and noun.
+const DEPARTMENT_PREFIX = "(?:\\bthe\\s+)?";
+const DEPARTMENT_SUFFIX = "(?:\\s+(?:department|team|dept)\\b)?";
+
+/**
+ * The last database question with the follow-up's entities swapped in.
+ * The person or department it was about is the subject: a new one
+ * replaces the old one whichever kind it was.
+ */
+function rebaseQuestion(base, found, focus) {
+  const ending = /[?.!]+$/.exec(base)?.[0] || "";
+  let text = base.slice(0, base.length - ending.length).trim();
+
+  const replaceSubject = (replacement) =>
+    replacePhrase(text, focus.employee?.mention, replacement) ||
+    replacePhrase(text, focus.employee?.name, replacement) ||
+    replacePhrase(
+      text,
+      focus.department?.mention,
+      replacement,
+      DEPARTMENT_PREFIX,
+      DEPARTMENT_SUFFIX
+    );
+
+  if (found.employee) {
+    text = replaceSubject(found.employee.mention) || `${text} for ${found.employee.mention}`;
+  } else if (found.department) {
+    const name = `the ${found.department.name} department`;
+    text = replaceSubject(name) || `${text} in ${name}`;
+  }
+  if (found.leaveType) {
+    text =
+      replacePhrase(text, focus.leaveType?.mention, found.leaveType.name) ||
+      `${text} for ${found.leaveType.name}`;
+  }
+  if (found.dateRange) {
+    text =
+      replacePhrase(text, focus.dateRange?.expression, found.dateRange.expression) ||
+      `${text} ${found.dateRange.expression}`;
+  }
+  return text + ending;
+}
+
+/**
+ * Replace references to the entities in focus ("her", "that employee",
+ * "the same team", "that period") with the entities themselves. Returns
+ * { question, employee } where employee is set when a pronoun was
+ * resolved to the employee in focus.
+ */
+async function resolveReferences(question, focus, access) {
+  let text = question;
+  let employee = null;
+
+  if (focus.employee) {
+    const name = focus.employee.name;
+    const namesSomeone =
+      (await resolveEmployee(text, { access })).status !== "none";
+    if (!namesSomeone) {
+      const before = text;
+      text = text
+        .replace(/\b(?:this|that|the same)\s+(?:employee|person|colleague)\b/gi, name)
+        .replace(/\b(?:his|hers)\b/gi, `${name}'s`)
+        .replace(/\bher\b(?=\s+[a-z])/gi, `${name}'s`)
+        .replace(/\b(?:he|she|him|her)\b/gi, name);
+      // "Their" and "them" are only read as the employee right after an
+      // answer about them, and never next to a plural.
+      if (focus.result?.employeeId === focus.employee.id && !PLURAL_CUES.test(text)) {
+        text = text.replace(/\btheir\b/gi, `${name}'s`).replace(/\bthem\b/gi, name);
+      }
+      if (text !== before) employee = { ...focus.employee, mention: name };
+    }
+  }
+  if (focus.department) {
+    text = text.replace(
+      /\b(?:this|that|the same)\s+(?:department|team|dept)\b/gi,
+      `the ${focus.department.name} department`
+    );
+  }
+  if (focus.leaveType) {
+    text = text.replace(/\b(?:that|this|the same)\s+leave\s+type\b/gi, focus.leaveType.name);
+  }
+  if (focus.dateRange) {
+    text = text.replace(
+      /\b(?:(?:in|for|during|over)\s+)?(?:that|the same)\s+(?:period|time|range|dates?)\b/gi,
+      `from ${focus.dateRange.start} to ${focus.dateRange.end}`
+    );
+  }
+  return { question: text, employee };
+}
+
+/**
+ * Rewrite a follow-up into a standalone question using the session's
+ * focus. Options: access (see auth/accessPolicy.js) limits which
+ * employees a name can match.
+ *
+ * Returns { question, employee? }: question is unchanged when it needs no
+ * rewriting; employee ({ id, name, mention }) is the employee in focus
+ * when the question referred to them, so they are not looked up again.
+ */
+export async function rewriteFollowUp(question, focus, { access } = {}) {
+  const text = String(question || "").trim();
+  if (!text || !focus) return { question: text };
+
+  const base = focus.result?.question;
+  if (base) {
+    for (const pattern of FOLLOW_UP_PATTERNS) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+      const found = await parseFollowUpEntities(match[1], access);
+      if (found) return { question: rebaseQuestion(base, found, focus) };
+    }
+  }
+  return resolveReferences(text, focus, access);
+}
+
+/**
+ * The focus after a database answer: the entities the question named
+ * replace those of earlier turns, the others stay in focus.
+ */
+export async function updateFocus(focus, question, result) {
+  const next = { ...(focus || {}) };
+  if (result?.employee) {
+    next.employee = {
+      id: result.employee.id,
+      name: result.employee.name,
+      mention: result.employee.mention || result.employee.name
+    };
+  }
+  const department = await findDepartment(question);
+  if (department) next.department = department;
+  const leaveType = await findLeaveType(question);
+  if (leaveType) next.leaveType = leaveType;
+  if (result?.dateRange) next.dateRange = result.dateRange;
+  next.result = {
+    question,
+    rowCount: result?.rows?.length ?? 0,
+    columns: columnsOf(result?.rows || []),
+    employeeId: result?.employee?.id ?? null
+  };
+  return next;
+}
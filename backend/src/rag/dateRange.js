@@ -0,0 +1,434 @@
+import { config } from "../config/env.js";
+
+/**
+ * Turn date expressions in a question ("last week", "Q2", "since March",
+ * "between 1st and 15th Jan", "this fiscal year") into explicit,
+ * inclusive YYYY-MM-DD ranges, so the LLM never does calendar math.
+ *
+ * "Today" is the current date in COMPANY_TIMEZONE, weeks start on Monday
+ * and fiscal years start in FISCAL_YEAR_START_MONTH (a fiscal year is
+ * named after the calendar year it ends in, e.g. FY2026 = Jul 2025 to Jun
+ * 2026 when it starts in July).
+ *
+ * Ranges are bound to SQL as :range_start and :range_end.
+ */
+
+const MONTH_NAMES = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december"
+];
+const MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+const YEAR = "((?:19|20)\\d{2})";
+const ISO = "(\\d{4}-\\d{2}-\\d{2})";
+const TO = "\\s*(?:and|to|until|till|through|-)\\s*";
+// A leading preposition belongs to the expression, so stripping the
+// expression from a question leaves no dangling "for" or "in".
+const LEAD = "(?:\\b(?:for|in|during|over|on|of|from)\\s+(?:the\\s+)?)?";
+
+let warnedTimezone = false;
+
+function day(year, monthIndex, date) {
+  return new Date(Date.UTC(year, monthIndex, date));
+}
+
+function daysInMonth(year, monthIndex) {
+  return day(year, monthIndex + 1, 0).getUTCDate();
+}
+
+function addDays(date, days) {
+  return day(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + days);
+}
+
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** Today's date (at UTC midnight) in the company timezone. */
+export function companyToday(now = new Date(), timeZone = config.companyTimezone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit"
+    }).formatToParts(now);
+  } catch {
+    if (!warnedTimezone) {
+      console.warn(`[DATE_RANGE] Unknown timezone "${timeZone}", using UTC.`);
+      warnedTimezone = true;
+    }
+    return day(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  }
+  const value = (type) => Number(parts.find((p) => p.type === type).value);
+  return day(value("year"), value("month") - 1, value("day"));
+}
+
+function monthIndex(name) {
+  const prefix = name.toLowerCase().slice(0, 3);
+  return MONTH_NAMES.findIndex((month) => month.startsWith(prefix));
+}
+
+function parseIso(text) {
+  const [y, m, d] = text.split("-").map(Number);
+  const date = day(y, m - 1, d);
+  return formatDate(date) === text ? date : null;
+}
+
+// A day-of-month that exists, e.g. not 31 Feb.
+function validDay(year, month, date) {
+  const result = day(year, month, date);
+  return result.getUTCMonth() === month && result.getUTCDate() === date ? result : null;
+}
+
+function monthRange(year, month) {
+  return [day(year, month, 1), day(year, month + 1, 0)];
+}
+
+function quarterRange(year, quarter) {
+  return [day(year, quarter * 3, 1), day(year, quarter * 3 + 3, 0)];
+}
+
+function yearRange(year) {
+  return [day(year, 0, 1), day(year, 11, 31)];
+}
+
+function fiscalStartMonth() {
+  const month = Math.floor(config.fiscalYearStartMonth);
+  return month >= 1 && month <= 12 ? month - 1 : 0;
+}
+
+// Fiscal year named after the calendar year it ends in.
+function fiscalYearRange(name) {
+  const start = fiscalStartMonth();
+  const firstYear = start === 0 ? name : name - 1;
+  return [day(firstYear, start, 1), day(firstYear + 1, start, 0)];
+}
+
+function fiscalYearOf(date) {
+  const start = fiscalStartMonth();
+  return start === 0 || date.getUTCMonth() < start
+    ? date.getUTCFullYear()
+    : date.getUTCFullYear() + 1;
+}
+
+function weekStart(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+const OFFSETS = { this: 0, current: 0, last: -1, previous: -1, past: -1, next: 1 };
+
+// The week, month, quarter, year or fiscal year `offset` periods from
+// the one containing today (0: this, -1: last, 1: next).
+function relativePeriod(offset, unit, today) {
+  const y = today.getUTCFullYear();
+  const m = today.getUTCMonth();
+  switch (unit) {
+    case "week": {
+      const start = addDays(weekStart(today), offset * 7);
+      return [start, addDays(start, 6)];
+    }
+    case "month":
+      return monthRange(y, m + offset);
+    case "quarter": {
+      const quarter = Math.floor(m / 3) + offset;
+      return quarterRange(y + Math.floor(quarter / 4), ((quarter % 4) + 4) % 4);
+    }
+    case "year":
+      return yearRange(y + offset);
+    default:
+      return fiscalYearRange(fiscalYearOf(today) + offset);
+  }
+}
+
+// "15 Jan" / "Jan 15" without a year: the current year.
+function dayOfMonth(date, month, year, today) {
+  return validDay(year ? Number(year) : today.getUTCFullYear(), monthIndex(month), Number(date));
+}
+
+// Two days of a range; a start after the end ("20 Dec to 5 Jan") moves
+// the start back a year.
+function dayPair(startDate, startMonth, endDate, endMonth, year, today) {
+  const end = dayOfMonth(endDate, endMonth, year, today);
+  let start = dayOfMonth(startDate, startMonth || endMonth, year, today);
+  if (!start || !end) return null;
+  if (start > end) {
+    start = validDay(start.getUTCFullYear() - 1, start.getUTCMonth(), start.getUTCDate());
+  }
+  return start ? [start, end] : null;
+}
+
+// "since March": the latest March that has started.
+function latestMonthStart(month, today) {
+  const index = monthIndex(month);
+  const year = today.getUTCFullYear() - (index > today.getUTCMonth() ? 1 : 0);
+  return day(year, index, 1);
+}
+
+const UNIT_WORDS = "(fiscal year|financial year|week|month|quarter|year)";
+// Words after a number, or a noun before "of <number>", that make it an
+// amount: "allowance of 2000 or more", "fine of 2000".
+const AMOUNT_AFTER =
+  "\\s*(?:or\\s+(?:more|less|above|below|over|under)|and\\s+(?:above|below|over|under)|\\+|%|(?:rs|pkr|usd|rupees|dollars)\\b)";
+const AMOUNT_BEFORE_OF =
+  /\b(?:salary|allowance|amount|bonus|pay|balance|deduction|loan|advance|fine|cost|price|total)\s*$/i;
+const ORDINAL_QUARTERS = { first: 0, second: 1, third: 2, fourth: 3, last: 3 };
+
+// Tried in order; the first match wins. Each resolve() returns
+// [start, end] dates or null when the match is not a real date.
+const RULES = [
+  {
+    pattern: `(?:between|from|for)\\s+${ISO}${TO}${ISO}`,
+    resolve: (m) => {
+      const start = parseIso(m[1]);
+      const end = parseIso(m[2]);
+      return start && end && start <= end ? [start, end] : null;
+    }
+  },
+  {
+    // between 1st and 15th Jan, from 1 Jan to 15 Feb 2026, for the 1st to
+    // 5th of March
+    pattern: `(?:between|from|for)\\s+(?:the\\s+)?${DAY}(?:\\s+(?:of\\s+)?${MONTH})?${TO}(?:the\\s+)?${DAY}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+${YEAR})?\\b`,
+    resolve: (m, today) => dayPair(m[1], m[2], m[3], m[4], m[5], today)
+  },
+  {
+    // between Jan 1 and Jan 15, from March 3 to 10, 2026
+    pattern: `(?:between|from|for)\\s+${MONTH}\\s+${DAY}${TO}(?:${MONTH}\\s+)?${DAY}(?:,?\\s+${YEAR})?`,
+    resolve: (m, today) => dayPair(m[2], m[1], m[4], m[3] || m[1], m[5], today)
+  },
+  {
+    pattern: `since\\s+${ISO}`,
+    resolve: (m, today) => {
+      const start = parseIso(m[1]);
+      return start && start <= today ? [start, today] : null;
+    }
+  },
+  {
+    pattern: `since\\s+${DAY}\\s+(?:of\\s+)?${MONTH}(?:,?\\s+${YEAR})?`,
+    resolve: (m, today) => {
+      const start = dayOfMonth(m[1], m[2], m[3], today);
+      return start && start <= today ? [start, today] : null;
+    }
+  },
+  {
+    pattern: `since\\s+${MONTH}(?:\\s+${DAY})?(?:,?\\s+${YEAR})?\\b`,
+    resolve: (m, today) => {
+      let start;
+      if (m[2]) start = dayOfMonth(m[2], m[1], m[3], today);
+      else start = m[3] ? day(Number(m[3]), monthIndex(m[1]), 1) : latestMonthStart(m[1], today);
+      return start && start <= today ? [start, today] : null;
+    }
+  },
+  {
+    pattern: `since\\s+${YEAR}`,
+    resolve: (m, today) => {
+      const start = day(Number(m[1]), 0, 1);
+      return start <= today ? [start, today] : null;
+    }
+  },
+  {
+    // last 30 days, past 2 weeks, last 3 months: ending today
+    pattern: `(?:last|past|previous)\\s+(\\d{1,3})\\s+(days?|weeks?|months?)`,
+    resolve: (m, today) => {
+      const n = Number(m[1]);
+      if (!n) return null;
+      if (m[2].startsWith("day")) return [addDays(today, 1 - n), today];
+      if (m[2].startsWith("week")) return [addDays(today, 1 - 7 * n), today];
+      // Same day n months back (clamped to that month's length: 31 May
+      // goes back to 28 Feb), then the day after it.
+      const year = today.getUTCFullYear();
+      const month = today.getUTCMonth() - n;
+      const date = Math.min(today.getUTCDate(), daysInMonth(year, month));
+      return [addDays(day(year, month, date), 1), today];
+    }
+  },
+  {
+    pattern: "(year|month)[\\s-]to[\\s-]date|\\b(ytd|mtd)",
+    resolve: (m, today) => {
+      const unit = (m[1] || m[2]).toLowerCase();
+      const start =
+        unit === "year" || unit === "ytd"
+          ? day(today.getUTCFullYear(), 0, 1)
+          : day(today.getUTCFullYear(), today.getUTCMonth(), 1);
+      return [start, today];
+    }
+  },
+  {
+    pattern: `(this|current|last|previous|past|next)\\s+${UNIT_WORDS}`,
+    resolve: (m, today) =>
+      relativePeriod(
+        OFFSETS[m[1].toLowerCase()],
+        m[2].toLowerCase().replace("financial", "fiscal"),
+        today
+      )
+  },
+  {
+    pattern: "(?:fy|fiscal year|financial year)\\s*'?(\\d{4}|\\d{2})\\b",
+    resolve: (m) => fiscalYearRange(m[1].length === 2 ? 2000 + Number(m[1]) : Number(m[1]))
+  },
+  {
+    pattern: `q([1-4])(?:\\s+(?:of\\s+)?${YEAR})?\\b`,
+    resolve: (m, today) =>
+      quarterRange(m[2] ? Number(m[2]) : today.getUTCFullYear(), Number(m[1]) - 1)
+  },
+  {
+    pattern: `(first|second|third|fourth|last)\\s+quarter(?:\\s+of\\s+${YEAR})?`,
+    resolve: (m, today) =>
+      quarterRange(
+        m[2] ? Number(m[2]) : today.getUTCFullYear(),
+        ORDINAL_QUARTERS[m[1].toLowerCase()]
+      )
+  },
+  {
+    pattern: "(today|yesterday|tomorrow)\\b",
+    resolve: (m, today) => {
+      const offset = { today: 0, yesterday: -1, tomorrow: 1 }[m[1].toLowerCase()];
+      const date = addDays(today, offset);
+      return [date, date];
+    }
+  },
+  {
+    pattern: ISO,
+    resolve: (m) => {
+      const date = parseIso(m[1]);
+      return date ? [date, date] : null;
+    }
+  },
+  {
+    // "top 5 of march": a count, not a day, before "of <month>"
+    pattern: `(?<=\\b\\d{1,3}\\s+)of\\s+${MONTH}(?:\\s+${YEAR})?\\b`,
+    resolve: (m, today) =>
+      monthRange(Number(m[2]) || today.getUTCFullYear(), monthIndex(m[1]))
+  },
+  {
+    // 15th of Jan, 15 Jan, on 5 May; "2 may" alone is not a date
+    pattern: `(\\d{1,2})(st|nd|rd|th)?\\s+(of\\s+)?${MONTH}(?:,?\\s+${YEAR})?\\b`,
+    resolve: (m, today) => {
+      const dated = m[5] || /^(?:on|for)\s/i.test(m[0].trim());
+      if (!m[2] && (m[3] || (/^may$/i.test(m[4]) && !dated))) return null;
+      const date = dayOfMonth(m[1], m[4], m[5], today);
+      return date ? [date, date] : null;
+    }
+  },
+  {
+    // "may" alone is too common a word; a bare month needs a preposition
+    // or a year.
+    pattern: `(?:(?:in|during|for|of)\\s+${MONTH}(?:\\s+${YEAR})?|${MONTH}\\s+${YEAR})\\b`,
+    resolve: (m, today) => {
+      const month = m[1] || m[3];
+      const year = Number(m[2] || m[4]) || today.getUTCFullYear();
+      return monthRange(year, monthIndex(month));
+    }
+  },
+  {
+    pattern: `(?:in|during|for|(of)|year)\\s+${YEAR}\\b(?!${AMOUNT_AFTER})`,
+    resolve: (m) => {
+      // "an allowance of 2000": an amount, not a year
+      if (m[1] && AMOUNT_BEFORE_OF.test(m.input.slice(0, m.index))) return null;
+      return yearRange(Number(m[2]));
+    }
+  }
+].map((rule) => ({ ...rule, regex: new RegExp(`${LEAD}\\b${rule.pattern}`, "i") }));
+
+/**
+ * First date expression in the question, resolved against today in the
+ * company timezone.
+ *
+ * Returns { start, end, label, expression } or null. start and end are
+ * inclusive YYYY-MM-DD dates; label is the phrase as written ("last
+ * week") and expression the exact text matched, including a leading
+ * preposition ("for last week").
+ */
+export function resolveDateRange(question, { now = new Date() } = {}) {
+  const text = String(question || "");
+  if (!text.trim()) return null;
+  const today = companyToday(now);
+
+  for (const rule of RULES) {
+    const match = rule.regex.exec(text);
+    if (!match) continue;
+    const range = rule.resolve(match, today);
+    if (!range) continue;
+    const expression = match[0].trim();
+    return {
+      start: formatDate(range[0]),
+      end: formatDate(range[1]),
+      label: expression.replace(new RegExp(`^${LEAD}`, "i"), ""),
+      expression
+    };
+  }
+  return null;
+}
+
+/** Values for the :range_start and :range_end placeholders. */
+export function dateRangeParams(range) {
+  return { range_start: range.start, range_end: range.end };
+}
+
+/** The range stored in bound params, e.g. when paging, or null. */
+export function dateRangeFromParams(params = {}) {
+  return params.range_start && params.range_end
+    ? { start: String(params.range_start), end: String(params.range_end) }
+    : null;
+}
+
+/** One line stating the period an answer covers. */
+export function describeDateRange(range) {
+  const label = range.label ? ` (${range.label})` : "";
+  return range.start === range.end
+    ? `Date: ${range.start}${label}.`
+    : `Date range: ${range.start} to ${range.end}${label}.`;
+}
+
+const CALENDAR_UNITS = ["week", "month", "quarter", "year"];
+
+const PERIOD_LABELS = {
+  week: (start) => `week of ${formatDate(start)}`,
+  month: (start) => formatDate(start).slice(0, 7),
+  quarter: (start) => `${start.getUTCFullYear()} Q${Math.floor(start.getUTCMonth() / 3) + 1}`,
+  year: (start) => String(start.getUTCFullYear())
+};
+
+/**
+ * The calendar weeks, months, quarters or years that overlap start..end
+ * (YYYY-MM-DD), oldest first, as { start, end, label }; label is e.g.
+ * "week of 2026-05-04", "2026-05", "2026 Q2" or "2026".
+ */
+export function calendarPeriods(unit, start, end) {
+  const periods = [];
+  let cursor = parseIso(start);
+  const last = parseIso(end);
+  while (cursor && last && cursor <= last) {
+    const [periodStart, periodEnd] = relativePeriod(0, unit, cursor);
+    periods.push({
+      start: formatDate(periodStart),
+      end: formatDate(periodEnd),
+      label: PERIOD_LABELS[unit](periodStart)
+    });
+    cursor = addDays(periodEnd, 1);
+  }
+  return periods;
+}
+
+/**
+ * The last `count` calendar weeks, months, quarters or years, the current
+ * one included; see calendarPeriods.
+ */
+export function recentPeriods(unit, count, { now = new Date() } = {}) {
+  const today = companyToday(now);
+  const [first] = relativePeriod(1 - count, unit, today);
+  return calendarPeriods(unit, formatDate(first), formatDate(today));
+}
+
+/** The calendar unit a range covers exactly ("month" for March), or null. */
+export function calendarUnitOf(range) {
+  const start = parseIso(String(range?.start));
+  if (!start) return null;
+  return (
+    CALENDAR_UNITS.find((unit) => {
+      const [periodStart, periodEnd] = relativePeriod(0, unit, start);
+      return formatDate(periodStart) === range.start && formatDate(periodEnd) === range.end;
+    }) || null
+  );
+}
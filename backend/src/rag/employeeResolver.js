@@ -0,0 +1,353 @@
+import { readQuery } from "../db/database.js";
+import { levenshtein } from "./similarity.js";
+import {
+  SQL_ACTION_KEYWORDS,
+  STRUCTURED_KEYWORDS,
+  semanticSchema
+} from "./semanticSchema.js";
+
+/**
+ * Find the employee a question is about by matching its words against
+ * employees.employee_name, tolerating lowercase, first names only and the
+ * spelling variants common in Romanized names (Mohammad/Muhammad,
+ * Hassan/Hasan, Zainab/Zenab).
+ *
+ * Each candidate word sequence (up to three words) is scored against
+ * every name: exact tokens score 1, tokens that sound alike 0.85, others
+ * by edit distance. Several equally good matches make the result
+ * ambiguous, so the caller can ask which one was meant.
+ */
+
+const DIRECTORY_TTL_MS = 5 * 60 * 1000;
+const MATCH_THRESHOLD = 0.8;
+const AMBIGUITY_MARGIN = 0.05;
+const MAX_CANDIDATES = 5;
+const MAX_MENTION_WORDS = 3;
+
+const NAME_VARIANTS = {
+  mohammad: "muhammad",
+  mohammed: "muhammad",
+  mohamed: "muhammad",
+  muhammed: "muhammad",
+  muhamad: "muhammad",
+  mohd: "muhammad",
+  md: "muhammad",
+  syed: "sayed",
+  syeda: "sayeda"
+};
+
+const COMMON_WORDS = [
+  "a", "about", "after", "all", "an", "and", "any", "are", "as", "at", "be",
+  "before", "between", "by", "can", "current", "day", "days", "did", "do",
+  "does", "during", "each", "every", "for", "from", "give", "has", "have",
+  "he", "her", "him", "his", "how", "i", "in", "is", "it", "its", "last",
+  "me", "month", "months", "much", "my", "next", "no", "not", "now", "of",
+  "on", "or", "our", "past", "please", "previous", "quarter", "she", "since",
+  "so", "tell", "than", "that", "the", "their", "them", "there", "these",
+  "they", "this", "those", "to", "today", "tomorrow", "until", "us", "was",
+  "we", "week", "weeks", "were", "what", "when", "where", "which", "who",
+  "whom", "whose", "why", "will", "with", "year", "years", "yesterday", "you",
+  "your", "ytd", "fiscal", "jan", "january", "feb", "february", "mar",
+  "march", "apr", "april", "jun", "june", "jul", "july", "aug", "august",
+  "sep", "sept", "september", "oct", "october", "nov", "november", "dec",
+  "december"
+];
+
+// Words that describe the question rather than name someone: common
+// English, date words and the vocabulary of the semantic schema.
+function buildStopWords() {
+  const words = new Set(COMMON_WORDS);
+  const addPhrase = (phrase) => {
+    for (const word of String(phrase).toLowerCase().split(/[^a-z]+/)) {
+      if (word) words.add(word);
+    }
+  };
+  [...SQL_ACTION_KEYWORDS, ...STRUCTURED_KEYWORDS].forEach(addPhrase);
+  for (const entity of Object.values(semanticSchema)) {
+    addPhrase(entity.entity || "");
+    addPhrase(entity.table || "");
+    (entity.synonyms || []).forEach(addPhrase);
+    Object.keys(entity.columns || {}).forEach(addPhrase);
+  }
+  return words;
+}
+
+const STOP_WORDS = buildStopWords();
+
+let directory = null;
+let directoryLoadedAt = 0;
+
+export function normalizeNameToken(token) {
+  const plain = String(token || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  const canonical = NAME_VARIANTS[plain] || plain;
+  return canonical.replace(/ee/g, "i").replace(/oo/g, "u").replace(/(.)\1+/g, "$1");
+}
+
+// Consonant skeleton: a leading vowel becomes "a", later vowels and the
+// soft letters h, w, y are dropped (Ayesha/Aisha, Usman/Osman).
+function phoneticKey(token) {
+  const key = token.replace(/ph/g, "f").replace(/q/g, "k");
+  const first = /[aeiou]/.test(key[0]) ? "a" : key[0];
+  return (first + key.slice(1).replace(/[aeiouyhw]/g, "")).replace(/(.)\1+/g, "$1");
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const edit = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  if (edit >= 0.6 && a.length >= 3 && b.length >= 3 && phoneticKey(a) === phoneticKey(b)) {
+    return Math.max(edit, 0.85);
+  }
+  return edit;
+}
+
+// How well the mention's words match the name's, each name word used
+// at most once. Returns { score, coverage }.
+function scoreName(mentionTokens, nameTokens) {
+  const used = new Set();
+  let total = 0;
+  for (const token of mentionTokens) {
+    let best = 0;
+    let bestIndex = -1;
+    nameTokens.forEach((nameToken, i) => {
+      if (used.has(i)) return;
+      const similarity = tokenSimilarity(token, nameToken);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex === -1) return { score: 0, coverage: 0 };
+    used.add(bestIndex);
+    total += best;
+  }
+  return {
+    score: total / mentionTokens.length,
+    coverage: mentionTokens.length / nameTokens.length
+  };
+}
+
+// employees.department holds a departments.id or a JSON/text value.
+function departmentLabel(row) {
+  if (row.department_name) return row.department_name;
+  let value = row.department;
+  if (typeof value === "string") {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      // plain text
+    }
+  }
+  if (Array.isArray(value)) value = value[0];
+  if (value && typeof value === "object") {
+    value = value.department_name || value.name;
+  }
+  return typeof value === "string" && !/^\d+$/.test(value) ? value : null;
+}
+
+async function loadDirectory() {
+  if (directory && Date.now() - directoryLoadedAt < DIRECTORY_TTL_MS) {
+    return directory;
+  }
+  const rows = await readQuery(
+    `SELECT employees.id, employees.employee_name, employees.designation,
+       employees.department, employees.is_active, departments.department_name
+     FROM employees
+     LEFT JOIN departments ON departments.id = employees.department
+     WHERE employees.employee_name IS NOT NULL AND employees.employee_name <> ''`
+  );
+  directory = rows.map((row) => ({
+    id: row.id,
+    name: String(row.employee_name).trim(),
+    designation: row.designation || null,
+    department: departmentLabel(row),
+    active: row.is_active == null ? true : Boolean(Number(row.is_active)),
+    tokens: String(row.employee_name)
+      .split(/\s+/)
+      .map(normalizeNameToken)
+      .filter(Boolean)
+  }));
+  directoryLoadedAt = Date.now();
+  return directory;
+}
+
+// Employees a caller may hear about: everyone for HR, only themselves
+// for other employees (see auth/accessPolicy.js).
+function visibleEmployees(employees, access) {
+  if (access?.level === "all") return employees;
+  if (access?.level === "self" && access.employeeId != null) {
+    return employees.filter((e) => String(e.id) === String(access.employeeId));
+  }
+  return [];
+}
+
+// Runs of words that could be (part of) a name, with their positions in
+// the question.
+function candidateSpans(question) {
+  const spans = [];
+  let run = [];
+  const flush = () => {
+    for (let start = 0; start < run.length; start++) {
+      for (let n = 1; n <= MAX_MENTION_WORDS && start + n <= run.length; n++) {
+        const words = run.slice(start, start + n);
+        spans.push({
+          tokens: words.map((w) => w.token),
+          from: words[0].index,
+          to: words[words.length - 1].index + words[words.length - 1].text.length
+        });
+      }
+    }
+    run = [];
+  };
+
+  for (const match of String(question).matchAll(/[\p{L}][\p{L}'.-]*/gu)) {
+    const text = match[0].replace(/'s$/i, "").replace(/[.'-]+$/, "");
+    const lower = text.toLowerCase();
+    const token = normalizeNameToken(text);
+    if (STOP_WORDS.has(lower) || token.length < 2 || (token.length < 3 && !NAME_VARIANTS[lower])) {
+      flush();
+      continue;
+    }
+    run.push({ text, token, index: match.index });
+  }
+  flush();
+  return spans;
+}
+
+// Matches within AMBIGUITY_MARGIN of the best; a single full, exact name
+// beats partial matches ("Ali Raza" vs "Ali Raza Khan").
+function closeMatches(scored) {
+  const bestScore = Math.max(...scored.map((match) => match.score));
+  const close = scored.filter((match) => match.score >= bestScore - AMBIGUITY_MARGIN);
+  const exact = close.filter((match) => match.score === 1 && match.coverage === 1);
+  return exact.length === 1 ? exact : close;
+}
+
+function publicCandidate(employee) {
+  return {
+    id: employee.id,
+    name: employee.name,
+    designation: employee.designation,
+    department: employee.department
+  };
+}
+
+/**
+ * Match the question against the employee directory.
+ *
+ * Options: access (see auth/accessPolicy.js) limits who can be found;
+ * ignore is text to leave out, e.g. a date expression.
+ *
+ * Returns one of:
+ * - { status: "none" }
+ * - { status: "resolved", employee: { id, name, designation, department }, mention }
+ * - { status: "ambiguous", candidates: [employee, ...], mention }
+ * where mention is the matched text as written in the question.
+ */
+export async function resolveEmployee(question, { access, ignore } = {}) {
+  let text = String(question || "");
+  if (ignore) text = text.replace(ignore, " ".repeat(ignore.length));
+
+  let employees;
+  try {
+    employees = visibleEmployees(await loadDirectory(), access);
+  } catch (err) {
+    console.warn("[EMPLOYEE_RESOLVER] Could not load employees:", err?.message || err);
+    return { status: "none" };
+  }
+  if (!employees.length) return { status: "none" };
+
+  let best = null;
+  for (const span of candidateSpans(text)) {
+    const scored = employees
+      .map((employee) => ({ employee, ...scoreName(span.tokens, employee.tokens) }))
+      .filter((match) => match.score >= MATCH_THRESHOLD)
+      .sort((a, b) => b.score - a.score || b.coverage - a.coverage);
+    if (!scored.length) continue;
+
+    // The longest matching span wins ("Ali Raza" over "Ali"), then the
+    // best score.
+    const top = scored[0];
+    const better =
+      !best ||
+      span.tokens.length > best.span.tokens.length ||
+      (span.tokens.length === best.span.tokens.length && top.score > best.top.score);
+    if (better) best = { span, top, scored };
+  }
+  if (!best) return { status: "none" };
+
+  const mention = text.slice(best.span.from, best.span.to);
+  const close = closeMatches(best.scored);
+  if (close.length === 1) {
+    return { status: "resolved", employee: publicCandidate(close[0].employee), mention };
+  }
+  return {
+    status: "ambiguous",
+    candidates: close.slice(0, MAX_CANDIDATES).map((match) => publicCandidate(match.employee)),
+    mention
+  };
+}
+
+function describeCandidate(candidate) {
+  const detail = candidate.department || candidate.designation;
+  return detail ? `${candidate.name} (${detail})` : candidate.name;
+}
+
+/** The clarifying question for an ambiguous match. */
+export function clarificationQuestion({ mention, candidates }) {
+  if (candidates.length === 2) {
+    return `Did you mean ${describeCandidate(candidates[0])} or ${describeCandidate(candidates[1])}?`;
+  }
+  const options = candidates.map((c, i) => `${i + 1}. ${describeCandidate(c)}`).join("\n");
+  return `I found several employees matching "${mention}". Which one did you mean?\n${options}`;
+}
+
+const ORDINALS = { first: 0, second: 1, third: 2, fourth: 3, fifth: 4, last: -1 };
+
+/**
+ * The candidate a reply to a clarifying question picks: by number ("2"),
+ * position ("the second one") or name/department/designation words
+ * ("Ali Raza", "the QA one"). Returns null when the reply picks none or
+ * more than one.
+ */
+export function pickCandidate(reply, candidates = []) {
+  const text = String(reply || "").trim().toLowerCase();
+  if (!text || !candidates.length) return null;
+
+  const number = /^(?:#|no\.?\s*|number\s+)?(\d{1,2})\.?$/.exec(text);
+  if (number) return candidates[Number(number[1]) - 1] || null;
+  const ordinal = /^(?:the\s+)?(first|second|third|fourth|fifth|last)(?:\s+one)?\s*[.!?]?$/.exec(text);
+  if (ordinal) {
+    const index = ORDINALS[ordinal[1]];
+    return candidates[index < 0 ? candidates.length - 1 : index] || null;
+  }
+
+  const words = text
+    .split(/[^\p{L}]+/u)
+    .filter((w) => w && !STOP_WORDS.has(w) && !["one", "mean", "meant", "yes"].includes(w))
+    .map(normalizeNameToken)
+    .filter(Boolean);
+  if (!words.length) return null;
+
+  const scored = candidates.map((candidate) => {
+    const tokens = [candidate.name, candidate.department, candidate.designation]
+      .filter(Boolean)
+      .join(" ")
+      .split(/\s+/)
+      .map(normalizeNameToken)
+      .filter(Boolean);
+    const nameTokens = candidate.name.split(/\s+/).map(normalizeNameToken);
+    return {
+      candidate,
+      score: scoreName(words, tokens).score,
+      coverage: words.length / nameTokens.length
+    };
+  });
+  const matching = scored.filter((match) => match.score >= MATCH_THRESHOLD);
+  if (!matching.length) return null;
+  const close = closeMatches(matching);
+  return close.length === 1 ? close[0].candidate : null;
+}
@@ -7,6 +7,7 @@ import {
   STRUCTURED_KEYWORDS,
   SQL_ACTION_KEYWORDS
 } from "./semanticSchema.js";
+import { findMetric } from "./metricCompiler.js";
 
 const intentPrompt = ChatPromptTemplate.fromTemplate(
   `You are an intent classifier for Convier Solutions.
@@ -19,6 +20,7 @@ Classify the user's question into EXACTLY one of these labels:
 Hints:
 - "Who is <person>?" or "Tell me about <employee>" should be DATABASE_QUERY if the name likely refers to staff/HR records.
 - If unsure between DATABASE_QUERY and RAG_QUERY, prefer DATABASE_QUERY for person-specific lookups.
+- HR figures such as headcount, attrition or turnover, tenure, average salary, attendance or on-time rate and leave utilisation are DATABASE_QUERY, even without naming a table.
 
 Return ONLY one word: DATABASE_QUERY, RAG_QUERY, or GENERAL_CHAT.
 
@@ -42,6 +44,9 @@ function buildIntentChain() {
 
 function ruleBasedIntent(question) {
   if (!question) return null;
+  // Named HR metrics ("attrition rate", "average tenure") are computed
+  // from the database even though they mention no table.
+  if (findMetric(question)) return "DATABASE_QUERY";
   const q = question.toLowerCase();
 
   const hasAction = SQL_ACTION_KEYWORDS.some((kw) => q.includes(kw));
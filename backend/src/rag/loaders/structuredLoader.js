@@ -1,39 +1,9 @@
 import { Document } from "@langchain/core/documents";
-import { query } from "../../db/mysql.js";
+import { readQuery } from "../../db/database.js";
 import { config } from "../../config/env.js";
+import { maskRecord } from "../sensitivity.js";
+import { displayFieldsFor } from "../schemaCatalog.js";
 
-// Table-specific "title" field preferences to produce better summaries
-// while still embedding all columns.
-const TITLE_FIELDS_BY_TABLE = {
-  activity_logs: ["module", "action"],
-  allowances: ["allowance_type"],
-  allowance_details: ["allowance_amount"],
-  allowance_items: ["allowance_item", "allowance_description"],
-  attendances: ["reason", "status"],
-  attendance_device_info: ["name"],
-  bank_info: ["bank_name", "account_holder_name"],
-  configurations: ["config_key"],
-  create_public_holidays: ["description"],
-  departments: ["department_name", "description"],
-  employees: ["employee_name", "designation", "department"],
-  employee_dependent: ["name"],
-  employee_documents: ["document_name", "employee_document"],
-  employee_allowances: ["allowance_type", "payment_type"],
-  employee_leaves: [],
-  employee_roles: [],
-  employee_salary_records: [],
-  leave_types: ["leave_name"],
-  migrations: ["name"],
-  migrations_lock: [],
-  permissions: ["permission", "module", "route"],
-  relation_types: ["relation_type"],
-  requested_leaves: ["leave_name", "employee_reason"],
-  roles: ["role_name"],
-  role_permissions: [],
-  users: ["first_name", "last_name", "email"],
-  public_holidays: ["name"],
-  employment_types: ["employee_type"]
-};
 
 // Tables that are logically part of an employee "profile". We'll build
 // richer, denormalized documents for each employee combining these.
@@ -105,7 +75,7 @@ export async function loadStructuredDocuments() {
         // Generic query: select all columns and let the serializer
         // decide how to turn the row into text. This avoids relying
         // on specific column names that may not exist.
-        const rows = await query(`SELECT * FROM \`${tableName}\``);
+        const rows = await readQuery(`SELECT * FROM \`${tableName}\``);
 
         if (!rows || rows.length === 0) {
           console.warn(
@@ -180,9 +150,13 @@ export async function loadStructuredDocuments() {
   }
 }
 
-function serializeRecordToText(row, tableName) {
-  // Prefer table-specific title fields when available
-  const preferred = TITLE_FIELDS_BY_TABLE[tableName] || [];
+// Documents in the vector index can be retrieved by any caller, so
+// restricted and secret columns are masked before they are embedded.
+function serializeRecordToText(rawRow, tableName) {
+  const row = maskRecord(rawRow, tableName);
+
+  // Prefer the table's display fields (semanticSchema) when available
+  const preferred = displayFieldsFor(tableName);
   let titleField = null;
 
   for (const key of preferred) {
@@ -243,7 +217,7 @@ function groupBy(rows, key) {
 
 async function buildEmployeeProfileDocuments() {
   try {
-    const employees = await query("SELECT * FROM `employees`");
+    const employees = await readQuery("SELECT * FROM `employees`");
     if (!employees || employees.length === 0) {
       console.warn("No employees found for building profile documents.");
       return [];
@@ -262,17 +236,17 @@ async function buildEmployeeProfileDocuments() {
       rolePermissionRows,
       permissionRows
     ] = await Promise.all([
-      query("SELECT * FROM `bank_info`"),
-      query("SELECT * FROM `employee_dependent`"),
-      query("SELECT * FROM `employee_documents`"),
-      query("SELECT * FROM `employee_leaves`"),
-      query("SELECT * FROM `employee_salary_records`"),
-      query("SELECT * FROM `attendances`"),
-      query("SELECT * FROM `requested_leaves`"),
-      query("SELECT * FROM `employee_roles`"),
-      query("SELECT * FROM `roles`"),
-      query("SELECT * FROM `role_permissions`"),
-      query("SELECT * FROM `permissions`")
+      readQuery("SELECT * FROM `bank_info`"),
+      readQuery("SELECT * FROM `employee_dependent`"),
+      readQuery("SELECT * FROM `employee_documents`"),
+      readQuery("SELECT * FROM `employee_leaves`"),
+      readQuery("SELECT * FROM `employee_salary_records`"),
+      readQuery("SELECT * FROM `attendances`"),
+      readQuery("SELECT * FROM `requested_leaves`"),
+      readQuery("SELECT * FROM `employee_roles`"),
+      readQuery("SELECT * FROM `roles`"),
+      readQuery("SELECT * FROM `role_permissions`"),
+      readQuery("SELECT * FROM `permissions`")
     ]);
 
     const bankByEmployee = groupBy(bankRows, "employee_id");
@@ -303,7 +277,8 @@ async function buildEmployeeProfileDocuments() {
 
     const docs = [];
 
-    for (const emp of employees) {
+    for (const rawEmp of employees) {
+      const emp = maskRecord(rawEmp, "employees");
       const employeeId = emp.id;
       const title =
         emp.employee_name ||
@@ -351,17 +326,19 @@ async function buildEmployeeProfileDocuments() {
       }
 
       const sections = [
-        { label: "Bank info", rows: bankByEmployee[employeeId] },
-        { label: "Dependents", rows: depByEmployee[employeeId] },
-        { label: "Documents", rows: docsByEmployee[employeeId] },
-        { label: "Leave balances", rows: leavesByEmployee[employeeId] },
-        { label: "Salary history", rows: salaryByEmployee[employeeId] },
-        { label: "Attendance records", rows: attendanceMerged },
-        { label: "Requested leaves", rows: requestedLeavesByEmployee[employeeId] }
+        { label: "Bank info", table: "bank_info", rows: bankByEmployee[employeeId] },
+        { label: "Dependents", table: "employee_dependent", rows: depByEmployee[employeeId] },
+        { label: "Documents", table: "employee_documents", rows: docsByEmployee[employeeId] },
+        { label: "Leave balances", table: "employee_leaves", rows: leavesByEmployee[employeeId] },
+        { label: "Salary history", table: "employee_salary_records", rows: salaryByEmployee[employeeId] },
+        { label: "Attendance records", table: "attendances", rows: attendanceMerged },
+        { label: "Requested leaves", table: "requested_leaves", rows: requestedLeavesByEmployee[employeeId] }
       ];
 
       for (const section of sections) {
-        const rows = section.rows || [];
+        const rows = (section.rows || []).map((row) =>
+          maskRecord(row, section.table)
+        );
         if (!rows.length) continue;
         lines.push(`${section.label}:`);
         rows.forEach((row, idx) => {
@@ -0,0 +1,243 @@
+import { sqlDialect } from "../db/dialects/index.js";
+import { validateSelectSql } from "../db/sqlValidator.js";
+import { queryableTables } from "./schemaCatalog.js";
+import { metricDimensions, metrics } from "./semanticSchema.js";
+import { companyToday, formatDate, resolveDateRange } from "./dateRange.js";
+import { findDepartment, findLeaveType } from "./conversationFocus.js";
+
+/**
+ * Turns questions about the named measures in semanticSchema.metrics
+ * ("attrition rate this year", "average tenure by department", "on-time
+ * rate of Ali Raza last month") into SQL built from their definitions,
+ * so the formula is never left to the LLM.
+ *
+ * A metric request is { metric, dimension, filters, dateRange }: at most
+ * one dimension to group by, filters of [{ dimension, id, name }] (a
+ * department or leave type named in the question, or the employee it is
+ * about) and the question's date range, if any.
+ *
+ * The SQL still goes through validation and the access policy like
+ * LLM-generated SQL does.
+ */
+
+const GROUPED_LIMIT = 50;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "on-time rate" is also found as "on time rate".
+function alternation(phrases) {
+  return [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map((phrase) => escapeRegExp(phrase).replace(/[\s-]+/g, "[\\s-]+"))
+    .join("|");
+}
+
+const METRIC_PATTERNS = Object.entries(metrics).map(([name, metric]) => ({
+  name,
+  pattern: new RegExp(`\\b(?:${alternation(metric.synonyms)})\\b`, "i")
+}));
+
+/**
+ * The metric a question names, as { name, mention } or null. The longest
+ * mention wins ("attrition rate" over "attrition").
+ */
+export function findMetric(question) {
+  const text = String(question || "");
+  let best = null;
+  for (const { name, pattern } of METRIC_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match && (!best || match[0].length > best.mention.length)) {
+      best = { name, mention: match[0] };
+    }
+  }
+  return best;
+}
+
+// "by department", "per team", "across all designations",
+// "department-wise".
+function findDimension(text, metric) {
+  for (const name of metric.dimensions) {
+    const words = alternation(metricDimensions[name].synonyms);
+    const pattern = new RegExp(
+      `\\b(?:by|per|across|for\\s+each|for\\s+every)(?:\\s+(?:each|every|all|the))?\\s+(?:${words})\\b|\\b(?:${words})[\\s-]+wise\\b`,
+      "i"
+    );
+    if (pattern.test(text)) return name;
+  }
+  return null;
+}
+
+function laterDate(a, b) {
+  return a > b ? a : b;
+}
+
+/**
+ * Placeholder values, extra conditions and the period the answer states
+ * for a metric's `period` (see semanticSchema.metrics).
+ */
+function periodOf(metric, dateRange, today) {
+  const { period } = metric;
+  if (!period) return { params: {}, conditions: [], dateRange: null };
+
+  const range = dateRange || (metric.defaultPeriod && resolveDateRange(metric.defaultPeriod));
+  const asOf = range ? (range.end > today ? today : range.end) : today;
+
+  if (period === "snapshot") {
+    const label = range && asOf === range.end ? `end of ${range.label}` : "today";
+    return {
+      params: { as_of: asOf },
+      conditions: [],
+      dateRange: { start: asOf, end: asOf, label }
+    };
+  }
+  if (period === "range") {
+    const end = laterDate(asOf, range.start);
+    return {
+      params: { range_start: range.start, range_end: range.end, as_of: end },
+      conditions: [],
+      dateRange: { ...range, end }
+    };
+  }
+  if (period.yearColumn) {
+    return {
+      params: { range_year: Number(range.start.slice(0, 4)) },
+      conditions: [`${period.yearColumn} = :range_year`],
+      dateRange: range
+    };
+  }
+  return {
+    params: { range_start: range.start, range_end: range.end },
+    conditions: [`${period.column} BETWEEN :range_start AND :range_end`],
+    dateRange: range
+  };
+}
+
+// JOIN clauses that bring the dimensions' columns into the metric's
+// table, each once.
+function joinsFor(name, metric, dimensions) {
+  const joins = [];
+  for (const dimension of dimensions) {
+    if (dimension.table !== metric.table) {
+      if (dimension.table !== "employees" || !metric.employeeJoin) {
+        throw new Error(`Metric ${name} cannot reach ${dimension.table}`);
+      }
+      joins.push(metric.employeeJoin);
+    }
+    joins.push(...dimension.joins);
+  }
+  return [...new Set(joins)];
+}
+
+/**
+ * Build the SQL for a metric request. Unknown metrics and dimensions the
+ * metric does not allow throw; the statement is validated before it is
+ * returned (throws SqlValidationError).
+ *
+ * Returns { name, label, description, unit, sql, params, dateRange }:
+ * dateRange is the period actually measured (a single day for snapshots,
+ * null for metrics without a period).
+ */
+export function compileMetric(name, { dimension = null, filters = [], dateRange = null, now } = {}) {
+  const metric = metrics[name];
+  if (!metric) throw new Error(`Unknown metric: ${name}`);
+  for (const used of [dimension, ...filters.map((filter) => filter.dimension)]) {
+    if (used && !metric.dimensions.includes(used)) {
+      throw new Error(`Metric ${name} has no dimension ${used}`);
+    }
+  }
+
+  const today = formatDate(companyToday(now));
+  const period = periodOf(metric, dateRange, today);
+  const params = { ...metric.params, ...period.params };
+  const conditions = [...metric.filters, ...period.conditions];
+  for (const filter of filters) {
+    const { column, filterColumn } = metricDimensions[filter.dimension];
+    conditions.push(`${filterColumn || column} = :${filter.dimension}_id`);
+    params[`${filter.dimension}_id`] = filter.id;
+  }
+
+  const grouped = dimension && metricDimensions[dimension];
+  const joins = joinsFor(
+    name,
+    metric,
+    [grouped, ...filters.map((filter) => metricDimensions[filter.dimension])].filter(Boolean)
+  );
+  const expression =
+    typeof metric.measure === "function" ? metric.measure(sqlDialect()) : metric.measure;
+  const measure =
+    metric.unit === "count" ? expression : `ROUND(${expression}, ${metric.decimals ?? 1})`;
+
+  const lines = [
+    `SELECT ${grouped ? `${grouped.column} AS ${dimension}, ` : ""}${measure} AS ${name}`,
+    `FROM ${metric.table}`,
+    ...joins
+  ];
+  if (conditions.length) lines.push(`WHERE ${conditions.join("\n  AND ")}`);
+  if (grouped) {
+    lines.push(`GROUP BY ${grouped.column}`, `ORDER BY ${name} DESC`, `LIMIT ${GROUPED_LIMIT}`);
+  }
+
+  return {
+    name,
+    label: metric.label,
+    description: metric.description,
+    unit: metric.unit,
+    sql: validateSelectSql(lines.join("\n"), { allowedTables: queryableTables() }),
+    params,
+    dateRange: period.dateRange
+  };
+}
+
+/**
+ * Whether a compiled metric request measures one employee only: it is
+ * filtered to `employeeId` and not grouped. Anything else is an
+ * organisation-wide figure.
+ */
+export function measuresOnlyEmployee(request, employeeId) {
+  if (employeeId == null || request.dimension) return false;
+  return request.filters.some(
+    (filter) => filter.dimension === "employee" && String(filter.id) === String(employeeId)
+  );
+}
+
+/**
+ * Match a question against the metrics and compile it. `dateRange` is
+ * the question's resolved range (see dateRange.js); its expression is
+ * removed before names are looked for. `employee` ({ id, name }) is the
+ * employee the question is about, if any; metrics that cannot be
+ * filtered by employee do not match such questions.
+ *
+ * Returns compileMetric's result plus { dimension, filters }, or null.
+ */
+export async function matchMetric(question, { dateRange, employee, now } = {}) {
+  let text = String(question || "");
+  if (dateRange?.expression) text = text.replace(dateRange.expression, " ");
+  const found = findMetric(text);
+  if (!found) return null;
+  const metric = metrics[found.name];
+  const allows = (dimension) => metric.dimensions.includes(dimension);
+  if (employee && !allows("employee")) return null;
+
+  text = text.replace(found.mention, " ");
+  const dimension = findDimension(text, metric);
+  const filters = [];
+  if (employee) {
+    filters.push({ dimension: "employee", id: employee.id, name: employee.name });
+  }
+  if (allows("department") && dimension !== "department") {
+    const department = await findDepartment(text);
+    if (department) filters.push({ dimension: "department", id: department.id, name: department.name });
+  }
+  if (allows("leave_type") && dimension !== "leave_type") {
+    const leaveType = await findLeaveType(text);
+    if (leaveType) filters.push({ dimension: "leave_type", id: leaveType.id, name: leaveType.name });
+  }
+
+  return {
+    ...compileMetric(found.name, { dimension, filters, dateRange, now }),
+    dimension,
+    filters
+  };
+}
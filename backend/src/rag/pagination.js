@@ -0,0 +1,139 @@
+import pkg from "node-sql-parser";
+import { config } from "../config/env.js";
+import { sqlDialect } from "../db/dialects/index.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = sqlDialect().parserOptions;
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+// Questions about the size of the result already shown. They must be the
+// whole question: "how many records does Ali have in attendance" is a new
+// question, not a request for the previous count.
+const RESULT_NOUN = "(?:results|rows|records|matches|entries)";
+const TOTAL_REQUESTS = [
+  // "how many results are there in total", "how many rows did it return"
+  new RegExp(
+    `^(?:and |so )?how many ${RESULT_NOUN}(?: (?:are|were) there| (?:are|were) (?:found|returned)| did (?:it|that|the query) (?:find|return))?(?: in total| altogether| overall)?$`
+  ),
+  // "how many in total", "how many are there altogether"
+  /^(?:and |so )?how many(?: (?:are|were) there)? (?:in total|altogether|overall)$/,
+  // "total results", "what's the total number of rows"
+  new RegExp(
+    `^(?:what(?:'s| is) the )?(?:total|overall) (?:number of ${RESULT_NOUN}|${RESULT_NOUN}|count)$`
+  ),
+  /^(?:results|rows|records|matches|entries) in total$/
+];
+
+// Paging commands must be the whole message, apart from politeness and
+// "show me"/"go to" style lead-ins: "what does page 3 of the leave policy
+// say" and "employees who came back from leave" are new questions.
+const LEAD_IN =
+  /^(?:(?:ok(?:ay)?|please|now|then|and|so|can you|could you|can i see|let me see|show me|show|give me|go to|go|jump to|skip to|take me to|move to|make it|set|change|to|the)(?:\s+|$))+/;
+const TRAILER = /(?:\s+(?:please|then|thanks))+$/;
+const PAGE_SIZE_SUFFIX =
+  /(?:^|,?\s+(?:with\s+|and\s+|showing\s+)?)(\d{1,4})\s+(?:(?:results?|rows?|records?|items?|entries)\s+)?(?:at a time|per page)$/;
+const PAGE_SIZE_COMMAND = /^page size\s+(?:of\s+|to\s+)?(\d{1,4})$/;
+
+const PAGE_COMMANDS = [
+  ["first", /^(?:back to )?(?:the )?(?:first|1st) page$|^start over$|^back to (?:the )?start$/],
+  ["last", /^(?:the )?(?:last|final) page$/],
+  ["next", /^(?:next|more|next page|next one|next set|more results|(?:load|see) more)$/],
+  ["previous", /^(?:previous|prev|previous page|previous set|back|go back)$/]
+];
+const PAGE_NUMBER = /^(?:the )?page\s+(?:no\.?\s*|number\s+)?(\d{1,5})$/;
+
+/**
+ * Recognize paging follow-ups such as "next", "page 3", "last page",
+ * "show 10 at a time" or "how many results are there in total". The
+ * whole message has to be the paging command.
+ *
+ * Returns null, or { type, page?, pageSize? } where type is one of
+ * "next", "previous", "first", "last", "page", "resize" or "total".
+ * "page" and "resize" may carry both page and pageSize
+ * ("page 2 with 10 per page").
+ */
+export function detectPaginationRequest(question) {
+  const q = (question || "").trim().toLowerCase().replace(/[\s?.!]+$/, "");
+  if (!q) return null;
+
+  if (TOTAL_REQUESTS.some((re) => re.test(q))) {
+    return { type: "total" };
+  }
+
+  let command = q.replace(TRAILER, "");
+  let pageSize;
+  const sizeMatch = PAGE_SIZE_SUFFIX.exec(command);
+  if (sizeMatch) {
+    pageSize = clampPageSize(Number(sizeMatch[1]));
+    command = command.slice(0, sizeMatch.index);
+  }
+  command = command.replace(LEAD_IN, "").replace(/,$/, "").trim();
+
+  const sizeCommand = PAGE_SIZE_COMMAND.exec(command);
+  if (sizeCommand && !pageSize) {
+    return { type: "resize", pageSize: clampPageSize(Number(sizeCommand[1])) };
+  }
+  if (!command) return pageSize ? { type: "resize", pageSize } : null;
+
+  const pageMatch = PAGE_NUMBER.exec(command);
+  if (pageMatch) return { type: "page", page: Number(pageMatch[1]), pageSize };
+
+  for (const [type, pattern] of PAGE_COMMANDS) {
+    if (!pattern.test(command)) continue;
+    return type === "first" || type === "last" ? { type, pageSize } : { type };
+  }
+  return null;
+}
+
+export function clampPageSize(size) {
+  if (!Number.isFinite(size) || size < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(Math.floor(size), config.maxPageSize);
+}
+
+// LIMIT of a UNION belongs to its last branch.
+function outermost(ast) {
+  let node = Array.isArray(ast) ? ast[0] : ast;
+  while (node?._next) node = node._next;
+  return node;
+}
+
+function limitValues(node) {
+  const values = (node?.limit?.value || []).map((v) => Number(v.value));
+  if (!values.length) return { limit: null, offset: 0 };
+  if (node.limit.seperator === ",") return { offset: values[0], limit: values[1] };
+  return { limit: values[0], offset: values[1] || 0 };
+}
+
+/** LIMIT of a statement, or null when it has none or cannot be parsed. */
+export function readLimit(sql) {
+  try {
+    return limitValues(outermost(parser.astify(sql, PARSER_OPTIONS))).limit;
+  } catch {
+    return null;
+  }
+}
+
+/** The statement with its LIMIT/OFFSET replaced. */
+export function paginateSql(sql, limit, offset) {
+  const ast = parser.astify(sql, PARSER_OPTIONS);
+  outermost(ast).limit = sqlDialect().limitClause(
+    Math.max(1, Math.floor(limit) || DEFAULT_PAGE_SIZE),
+    Math.max(0, Math.floor(offset) || 0)
+  );
+  return parser.sqlify(ast, PARSER_OPTIONS);
+}
+
+/**
+ * COUNT(*) over every row the statement can return: LIMIT, OFFSET and
+ * ORDER BY are dropped and the rest is wrapped as a derived table.
+ */
+export function countSql(sql) {
+  const ast = parser.astify(sql, PARSER_OPTIONS);
+  const root = Array.isArray(ast) ? ast[0] : ast;
+  outermost(ast).limit = null;
+  if (!root._next) root.orderby = null;
+  const inner = parser.sqlify(ast, PARSER_OPTIONS);
+  return `SELECT COUNT(*) AS total FROM (${inner}) AS counted`;
+}
@@ -0,0 +1,324 @@
+import { config } from "../config/env.js";
+import {
+  calendarPeriods,
+  calendarUnitOf,
+  companyToday,
+  formatDate,
+  recentPeriods,
+  resolveDateRange
+} from "./dateRange.js";
+
+/**
+ * Comparative questions are answered by running one query per period and
+ * working out the changes in code, not by asking the LLM for self-joins
+ * or arithmetic:
+ *
+ *   "did late arrivals go up compared to last month?"  last month, this month
+ *   "salary growth since last year"                    last year, this year
+ *   "headcount trend over the last 6 months"           six calendar months
+ *
+ * A comparison is { mode, unit, periods, question }: mode "compare" (two
+ * periods) or "trend" (consecutive calendar periods), unit the calendar
+ * unit of the periods ("month", or null for arbitrary ranges), periods
+ * oldest first as { start, end, label }, and question the text without
+ * the comparison, which the query is written for.
+ *
+ * A compared period still under way ("this month") ends today, and the
+ * period it is compared with is cut to as many days ("last month" up to
+ * the same day), so that part of a month is not set against a whole one.
+ */
+
+const NUMBER_WORDS = {
+  two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8,
+  nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Periods in a trend that names no span ("monthly headcount trend").
+const DEFAULT_TREND_LENGTH = { week: 8, month: 6, quarter: 4, year: 3 };
+
+const UNIT_ADJECTIVES = { weekly: "week", monthly: "month", quarterly: "quarter", yearly: "year", annual: "year" };
+
+// The whole phrase goes, with its article and preposition: "show the
+// trend of late arrivals" is asked as "show late arrivals".
+const TREND_CUE = /(?:\b(?:the|a)\s+)?\b(?:trends?|trending|over\s+time|(week|month|quarter|year)[\s-]+(?:over|on|by)[\s-]+\1)\b(?:\s+(?:of|in|for)\b)?/i;
+const UNIT_ADJECTIVE = /\b(weekly|monthly|quarterly|yearly|annual)\b/i;
+const TREND_SPAN = /\b(?:(?:over|in|for|during|across)\s+)?(?:the\s+)?(?:last|past|previous)\s+(\d{1,2}|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s+(weeks?|months?|quarters?|years?)\b/i;
+
+// The period after these is the one compared with.
+const COMPARE_CUES = /\b(?:compared\s+(?:to|with)|in\s+comparison\s+(?:to|with)|relative\s+to|versus|vs\.?)\s+/gi;
+// "since last year" and "than last month" compare only in a question
+// about change; otherwise they are ordinary ranges ("attendance since
+// March", "salary higher than last year"). "earlier than 2025-01-01" and
+// the like are always date filters.
+const CHANGE_CUES = /\b(?:since|(?<!\b(?:earlier|later|before|after|sooner|older|newer|prior)\s+)than)\s+/gi;
+const CHANGE_WORDS = /\b(?:growth|grow|grew|change[sd]?|increased?|decreased?|rise|rose|risen|drop(?:ped)?|fell|fallen|went\s+(?:up|down)|go(?:ne)?\s+(?:up|down)|improved?|worse|better|difference)\b/i;
+
+// Words left dangling where a phrase was taken out: "the" before a
+// preposition or the end, and a preposition or article at the end.
+const DANGLING_ARTICLE = /\b(?:the|a)\s+(?=(?:of|in|for|by|over|during)\b|[?.!,]|$)/gi;
+const TRAILING_WORD = /\s+(?:of|in|for|by|over|during|the|a)\s*([?.!]?)\s*$/i;
+
+function tidy(text) {
+  let rest = text.replace(/\s+/g, " ").trim();
+  for (let previous; previous !== rest; ) {
+    previous = rest;
+    rest = rest.replace(DANGLING_ARTICLE, "").replace(TRAILING_WORD, "$1").trim();
+  }
+  return rest
+    .replace(/\s+/g, " ")
+    .replace(/\s+([?.!,])/g, "$1")
+    .replace(/^[\s,;:]+|[\s,;:]+$/g, "")
+    .replace(/,([?.!])/g, "$1");
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return formatDate(shifted);
+}
+
+function daysIn(range) {
+  return Math.round((Date.parse(range.end) - Date.parse(range.start)) / 86400000) + 1;
+}
+
+function overlaps(a, b) {
+  return a.start <= b.end && b.start <= a.end;
+}
+
+function period(range) {
+  return { start: range.start, end: range.end, label: range.label };
+}
+
+// Keep the latest periods when a trend asks for more than allowed.
+function capped(periods) {
+  const max = Math.max(2, Math.floor(config.comparisonMaxPeriods));
+  return periods.length > max ? periods.slice(-max) : periods;
+}
+
+function trendComparison(text, now) {
+  const cue = TREND_CUE.exec(text);
+  if (!cue) return null;
+  let rest = text.replace(cue[0], " ");
+
+  const adjective = UNIT_ADJECTIVE.exec(rest);
+  if (adjective) rest = rest.replace(adjective[0], " ");
+  const span = TREND_SPAN.exec(rest);
+  const spanUnit = span?.[2].toLowerCase().replace(/s$/, "");
+  const unit =
+    cue[1]?.toLowerCase() ||
+    UNIT_ADJECTIVES[adjective?.[1].toLowerCase()] ||
+    spanUnit ||
+    "month";
+
+  const today = formatDate(companyToday(now));
+  let periods;
+  if (span) {
+    rest = rest.replace(span[0], " ");
+    const count = Number(span[1]) || NUMBER_WORDS[span[1].toLowerCase()];
+    periods = calendarPeriods(unit, recentPeriods(spanUnit, count, { now })[0].start, today);
+  } else {
+    const range = resolveDateRange(rest, { now });
+    if (range) {
+      rest = rest.replace(range.expression, " ");
+      periods = calendarPeriods(unit, range.start, range.end < today ? range.end : today);
+    } else {
+      periods = recentPeriods(unit, DEFAULT_TREND_LENGTH[unit], { now });
+    }
+  }
+  if (periods.length < 2) return null;
+  return { mode: "trend", unit, periods: capped(periods), question: tidy(rest) };
+}
+
+// The period a baseline is compared with when the question names only
+// the baseline: the current week/month/quarter/year, today, or as many
+// days up to today.
+function currentPeriodFor(baseline, now) {
+  const unit = calendarUnitOf(baseline);
+  if (unit) return resolveDateRange(`this ${unit}`, { now });
+  const today = formatDate(companyToday(now));
+  if (baseline.start === baseline.end) return { start: today, end: today, label: "today" };
+  const days = daysIn(baseline);
+  return { start: shiftDate(today, 1 - days), end: today, label: `last ${days} days` };
+}
+
+// A current period that runs past today ends today; a baseline before it
+// keeps as many days from its start.
+function toDate(baseline, current, now) {
+  const today = formatDate(companyToday(now));
+  if (current.end <= today || current.start > today || baseline.end >= current.start) {
+    return [period(baseline), period(current)];
+  }
+  const days = daysIn({ start: current.start, end: today });
+  const end = shiftDate(baseline.start, days - 1);
+  return [
+    end < baseline.end
+      ? { start: baseline.start, end, label: `${baseline.label}, first ${days} days` }
+      : period(baseline),
+    { start: current.start, end: today, label: `${current.label} so far` }
+  ];
+}
+
+// The date expression right after a cue ("compared to [the] last month").
+function baselineAfter(text, cue, now) {
+  const after = text.slice(cue.index + cue[0].length);
+  const range = resolveDateRange(after, { now });
+  if (!range) return null;
+  const before = after.slice(0, after.indexOf(range.expression));
+  if (!/^(?:the\s+)?$/i.test(before)) return null;
+  return { range, rest: `${text.slice(0, cue.index)} ${after.slice(before.length + range.expression.length)}` };
+}
+
+function changeComparison(text, now) {
+  const cues = [...text.matchAll(COMPARE_CUES)];
+  if (CHANGE_WORDS.test(text)) cues.push(...text.matchAll(CHANGE_CUES));
+
+  for (const cue of cues) {
+    const found = baselineAfter(text, cue, now);
+    if (!found) continue;
+    let rest = found.rest;
+    const named = resolveDateRange(rest, { now });
+    if (named) rest = rest.replace(named.expression, " ");
+    const current = named || currentPeriodFor(found.range, now);
+    if (!current || overlaps(found.range, current)) continue;
+
+    const periods = toDate(found.range, current, now).sort((a, b) =>
+      a.start < b.start ? -1 : 1
+    );
+    return {
+      mode: "compare",
+      unit: calendarUnitOf(found.range),
+      periods,
+      question: tidy(rest)
+    };
+  }
+  return null;
+}
+
+/** The comparison a question asks for, or null; see the top of this file. */
+export function detectComparison(question, { now = new Date() } = {}) {
+  const text = String(question || "");
+  if (!text.trim()) return null;
+  return trendComparison(text, now) || changeComparison(text, now);
+}
+
+function span(range) {
+  return range.start === range.end ? range.start : `${range.start} to ${range.end}`;
+}
+
+/** One line stating the periods an answer compares. */
+export function describeComparison(comparison) {
+  const { periods } = comparison;
+  if (comparison.mode === "trend") {
+    const first = periods[0];
+    const last = periods[periods.length - 1];
+    return `Trend by ${comparison.unit}: ${periods.length} periods, ${first.label} to ${last.label} (${first.start} to ${last.end}).`;
+  }
+  const [earlier, later] = periods;
+  return `Periods compared: ${span(earlier)} (${earlier.label}) and ${span(later)} (${later.label}).`;
+}
+
+// Monthly trends are charted over time; other periods as categories.
+function periodColumn(comparison) {
+  if (comparison.mode !== "trend") return "period";
+  return comparison.unit === "month" || comparison.unit === "year" ? comparison.unit : "period";
+}
+
+/**
+ * The rows of every period in one list, each labelled with its period in
+ * a leading column ("month" for monthly trends, "year" for yearly ones,
+ * "period" otherwise). `results` is [{ period, rows }], oldest first.
+ */
+export function periodRows(comparison, results) {
+  const column = periodColumn(comparison);
+  return results.flatMap(({ period: { label }, rows }) =>
+    (rows || []).map((row) => ({ [column]: label, ...row }))
+  );
+}
+
+// Ids and date parts are numbers but not measures.
+const NOT_MEASURES = /^(?:id|year|month|week|day|quarter)$|_(?:id|year|month|week|day|date)$/;
+
+function numberOf(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  if (typeof value === "bigint") return Number(value);
+  if (typeof value === "string" && /^-?\d+(?:\.\d+)?$/.test(value.trim())) return Number(value);
+  return undefined;
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function change(from, to, fromPeriod, toPeriod) {
+  const available = from != null && to != null;
+  return {
+    from: fromPeriod.label,
+    to: toPeriod.label,
+    change: available ? round(to - from, 2) : null,
+    percentChange: available && from !== 0 ? round(((to - from) / Math.abs(from)) * 100, 1) : null
+  };
+}
+
+/**
+ * The changes between periods, worked out from each period's rows.
+ * Numeric columns are measures; the other columns identify a group
+ * (e.g. a department), matched across periods. Without such columns,
+ * rows are matched by position.
+ *
+ * Returns { mode, unit, periods, series: [{ group?, measure, values,
+ * changes, overall? }] }: values per period (null where the group has no
+ * row), changes between consecutive periods as { from, to, change,
+ * percentChange } (percentChange null from zero) and, for trends of
+ * more than two periods, overall from the first period to the last.
+ */
+export function summarizeComparison(comparison, results) {
+  const allRows = results.flatMap((result) => result.rows || []);
+  const columns = [...new Set(allRows.flatMap((row) => Object.keys(row || {})))];
+  const measures = columns.filter(
+    (column) =>
+      !NOT_MEASURES.test(column) &&
+      allRows.some((row) => row[column] != null) &&
+      allRows.every((row) => row[column] == null || numberOf(row[column]) !== undefined)
+  );
+  const keys = columns.filter((column) => !measures.includes(column));
+
+  const groupOf = (row) => Object.fromEntries(keys.map((key) => [key, row[key] ?? null]));
+  const rowsByGroup = (rows) => {
+    const byGroup = new Map();
+    (rows || []).forEach((row, index) => {
+      const id = keys.length ? JSON.stringify(Object.values(groupOf(row))) : String(index);
+      if (!byGroup.has(id)) byGroup.set(id, row);
+    });
+    return byGroup;
+  };
+  const valuesByPeriod = results.map((result) => rowsByGroup(result.rows));
+
+  // Groups in the order of the latest period's rows, then any others.
+  const groups = new Map();
+  for (const byGroup of [...valuesByPeriod].reverse()) {
+    for (const [id, row] of byGroup) {
+      if (!groups.has(id)) groups.set(id, keys.length ? groupOf(row) : null);
+    }
+  }
+
+  const { periods } = comparison;
+  const series = [];
+  for (const [id, group] of groups) {
+    for (const measure of measures) {
+      const values = valuesByPeriod.map((byGroup) => numberOf(byGroup.get(id)?.[measure]) ?? null);
+      const entry = {
+        ...(group && { group }),
+        ...(!group && groups.size > 1 && { row: Number(id) + 1 }),
+        measure,
+        values,
+        changes: values.slice(1).map((value, i) => change(values[i], value, periods[i], periods[i + 1]))
+      };
+      if (comparison.mode === "trend" && values.length > 2) {
+        entry.overall = change(values[0], values[values.length - 1], periods[0], periods[periods.length - 1]);
+      }
+      series.push(entry);
+    }
+  }
+  return { mode: comparison.mode, unit: comparison.unit, periods, series };
+}
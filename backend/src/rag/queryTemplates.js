@@ -0,0 +1,297 @@
+/**
+ * Registry of named, parameterized queries for recurring HR questions.
+ *
+ * Each template declares:
+ * - slots: name -> { type, required?, values?, default? } where type is
+ *   "text", "integer", "date" (YYYY-MM-DD) or "enum" (one of `values`)
+ * - match(question, { dateRange, employee }): raw slot values when the
+ *   question fits, else null; employee is the one the question names, if
+ *   any (see employeeResolver.js). Templates filter such an employee by
+ *   id, as a name can be part of another ("Ali Khan", "Ali Khanzada").
+ * - sql: a SELECT using :slot placeholders; every slot is bound (absent
+ *   optional slots as NULL), values are never spliced into the SQL text.
+ *   It must run on every SQL dialect (see db/dialects), so dates such as
+ *   today come in as slots rather than CURDATE().
+ * - dateRange: true when the template filters by the question's date
+ *   range (see dateRange.js), bound as :range_start and :range_end.
+ *   Questions with a date range only match such templates.
+ *
+ * The SQL still goes through validation and the access policy like
+ * LLM-generated SQL does.
+ */
+
+import { companyToday, formatDate } from "./dateRange.js";
+
+const LEAVE_TYPES = ["casual", "sick", "annual", "earned", "unpaid", "paid"];
+
+function parseDate(value) {
+  const text = String(value ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return undefined;
+  const date = new Date(`${text}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || formatDate(date) !== text
+    ? undefined
+    : text;
+}
+
+function currentYearBound(month, day) {
+  return () => formatDate(new Date(Date.UTC(companyToday().getUTCFullYear(), month, day)));
+}
+
+// Each coercer returns the typed value, or undefined when the raw value
+// does not fit the slot.
+const SLOT_TYPES = {
+  text: (value) => {
+    const text = String(value ?? "").trim().replace(/\s+/g, " ");
+    return text && text.length <= 100 ? text : undefined;
+  },
+  integer: (value) => {
+    const n = Number.parseInt(value, 10);
+    return Number.isFinite(n) ? n : undefined;
+  },
+  date: parseDate,
+  enum: (value, slot) => {
+    const text = String(value ?? "").trim().toLowerCase();
+    return slot.values.includes(text) ? text : undefined;
+  }
+};
+
+// "... of Ali Khan", "... for Sara" at the end of the question (or before
+// a preposition). Date expressions are removed before templates match.
+function personAfter(question, words = ["of", "for"]) {
+  const pattern = new RegExp(
+    `\\b(?:${words.join("|")})\\s+([a-z][a-z.'-]*(?:\\s+[a-z][a-z.'-]*)*?)(?=\\s+(?:from|on|between|in|during)\\b|\\s*[?.!]?\\s*$)`,
+    "i"
+  );
+  return pattern.exec(question)?.[1];
+}
+
+// The person a question is about: the resolved employee's id, else the
+// name as written.
+function personSlots(employee, name) {
+  return employee ? { employee_id: employee.id } : { employee_name: name };
+}
+
+// Holidays someone took ("how many holidays did Ali take", "on holiday")
+// are leaves, not the public holiday calendar.
+function aboutTakenHolidays(question, employee) {
+  return (
+    Boolean(employee) ||
+    /\b(?:take|takes|took|taken|taking|use|used|using|avail(?:ed)?|spen[dt]|appl(?:y|ied)|my|his|her|their)\b/i.test(question) ||
+    /\bon\s+holidays?\b/i.test(question)
+  );
+}
+
+const PUBLIC_HOLIDAYS =
+  /\b(?:public|national|official|gazetted|company)\s+holidays?\b|\bholidays?\s+(?:list|calendar|schedule)\b|\blist\s+of\s+holidays\b/i;
+
+export const queryTemplates = [
+  {
+    name: "leave_balance_by_type",
+    description: "Remaining leaves of one leave type, optionally for one employee",
+    slots: {
+      leave_type: { type: "enum", values: LEAVE_TYPES, required: true },
+      employee_id: { type: "integer" },
+      employee_name: { type: "text" }
+    },
+    match(question, { employee } = {}) {
+      if (/\b(request|requests|applied|application)\b/i.test(question)) return null;
+      const leaveType = /\b(casual|sick|annual|earned|unpaid|paid)\s+leaves?\b/i.exec(question);
+      if (!leaveType) return null;
+      const name =
+        personAfter(question) ||
+        /\bdoes\s+([a-z][a-z.'-]*(?:\s+[a-z][a-z.'-]*)*?)\s+have\b/i.exec(question)?.[1];
+      return { leave_type: leaveType[1], ...personSlots(employee, name) };
+    },
+    sql: `SELECT employees.employee_name, leave_types.leave_name AS category_name,
+  employee_leaves.leave_type_id AS category_id, employee_leaves.remaining_leaves, employee_leaves.year
+FROM employee_leaves
+JOIN employees ON employee_leaves.employee_id = employees.id
+JOIN leave_types ON employee_leaves.leave_type_id = leave_types.id
+WHERE LOWER(leave_types.leave_name) LIKE CONCAT('%', :leave_type, '%')
+  AND (:employee_id IS NULL OR employees.id = :employee_id)
+  AND (:employee_name IS NULL OR employees.employee_name LIKE CONCAT('%', :employee_name, '%'))
+LIMIT 50`
+  },
+  {
+    name: "pending_leave_requests",
+    description: "Leave requests waiting for approval",
+    slots: {},
+    match(question) {
+      return /\bpending\b.*\bleave\s+(requests?|applications?)\b/i.test(question)
+        ? {}
+        : null;
+    },
+    sql: `SELECT employees.employee_name, leave_types.leave_name AS category_name,
+  requested_leaves.start_from, requested_leaves.to_end, requested_leaves.total_leaves,
+  requested_leaves.employee_reason
+FROM requested_leaves
+JOIN employees ON requested_leaves.employee_id = employees.id
+JOIN leave_types ON requested_leaves.leave_type_id = leave_types.id
+WHERE requested_leaves.status = 'Pending'
+ORDER BY requested_leaves.start_from
+LIMIT 50`
+  },
+  {
+    name: "attendance_for_date_range",
+    description: "Attendance records in the question's date range, optionally for one employee",
+    dateRange: true,
+    slots: {
+      range_start: { type: "date", required: true },
+      range_end: { type: "date", required: true },
+      employee_id: { type: "integer" },
+      employee_name: { type: "text" }
+    },
+    match(question, { dateRange, employee } = {}) {
+      if (!dateRange || !/\battendance\b/i.test(question)) return null;
+      return {
+        range_start: dateRange.start,
+        range_end: dateRange.end,
+        ...personSlots(employee, personAfter(question))
+      };
+    },
+    sql: `SELECT employees.employee_name, attendances.date, attendances.status,
+  attendances.check_in, attendances.check_out, attendances.reason
+FROM attendances
+JOIN employees ON attendances.attendance_device_id = employees.attendance_device_id
+WHERE attendances.date BETWEEN :range_start AND :range_end
+  AND (:employee_id IS NULL OR employees.id = :employee_id)
+  AND (:employee_name IS NULL OR employees.employee_name LIKE CONCAT('%', :employee_name, '%'))
+ORDER BY attendances.date, employees.employee_name
+LIMIT 50`
+  },
+  {
+    name: "direct_reports",
+    description: "Active employees whose line manager is the given person",
+    slots: {
+      manager_id: { type: "integer" },
+      manager_name: { type: "text", required: true }
+    },
+    match(question, { employee } = {}) {
+      const manager =
+        /\b(?:who\s+reports?\s+to|reporting\s+to)\s+([a-z][a-z.'-]*(?:\s+[a-z][a-z.'-]*)*)\s*[?.!]?\s*$/i.exec(
+          question
+        )?.[1] ||
+        (/\b(?:direct\s+reports|team\s+members|reportees)\b/i.test(question)
+          ? personAfter(question, ["of"])
+          : undefined);
+      if (!manager) return null;
+      return employee
+        ? { manager_id: employee.id, manager_name: employee.name }
+        : { manager_name: manager };
+    },
+    // line_manager holds either the manager's name or their employee id.
+    sql: `SELECT employee_name, designation, department, office_email
+FROM employees
+WHERE is_active = 1
+  AND (
+    (:manager_id IS NOT NULL
+      AND (line_manager = :manager_name
+        OR line_manager IN (SELECT CAST(id AS CHAR) FROM employees WHERE id = :manager_id)))
+    OR (:manager_id IS NULL
+      AND (line_manager LIKE CONCAT('%', :manager_name, '%')
+        OR line_manager IN (
+          SELECT CAST(id AS CHAR) FROM employees
+          WHERE employee_name LIKE CONCAT('%', :manager_name, '%')
+        )))
+  )
+ORDER BY employee_name
+LIMIT 50`
+  },
+  {
+    name: "upcoming_holidays",
+    description: "Public holidays from today onwards",
+    slots: {
+      today: { type: "date", default: () => formatDate(companyToday()) }
+    },
+    match(question, { employee } = {}) {
+      if (aboutTakenHolidays(question, employee)) return null;
+      return /\b(upcoming|next|coming)\b.*\bholidays?\b/i.test(question) ? {} : null;
+    },
+    sql: `SELECT name, holiday_date
+FROM public_holidays
+WHERE holiday_date >= :today
+ORDER BY holiday_date
+LIMIT 50`
+  },
+  {
+    name: "holidays_in_range",
+    description: "Public holidays in the question's date range (the current year by default)",
+    dateRange: true,
+    slots: {
+      range_start: { type: "date", default: currentYearBound(0, 1) },
+      range_end: { type: "date", default: currentYearBound(11, 31) }
+    },
+    // "public holidays", "holiday calendar", or holidays in a named
+    // period ("holidays in December")
+    match(question, { dateRange, employee } = {}) {
+      if (aboutTakenHolidays(question, employee)) return null;
+      const asked = PUBLIC_HOLIDAYS.test(question) || (dateRange && /\bholidays\b/i.test(question));
+      if (!asked) return null;
+      return { range_start: dateRange?.start, range_end: dateRange?.end };
+    },
+    sql: `SELECT name, holiday_date
+FROM public_holidays
+WHERE holiday_date BETWEEN :range_start AND :range_end
+ORDER BY holiday_date
+LIMIT 50`
+  },
+  {
+    name: "recent_activity_logs",
+    description: "Latest entries of the audit trail",
+    slots: {},
+    match(question) {
+      return /\b(activity|audit|system)\s+logs?\b/i.test(question) ? {} : null;
+    },
+    sql: `SELECT user_id, module, action, record_id, created_at
+FROM activity_logs
+ORDER BY created_at DESC
+LIMIT 50`
+  }
+];
+
+function bindSlots(template, raw) {
+  const params = {};
+  for (const [name, slot] of Object.entries(template.slots)) {
+    const given = raw[name];
+    let value =
+      given === undefined || given === null
+        ? undefined
+        : SLOT_TYPES[slot.type](given, slot);
+    if (value === undefined && slot.default !== undefined) {
+      value = typeof slot.default === "function" ? slot.default() : slot.default;
+    }
+    if (value === undefined) {
+      if (slot.required) return null;
+      value = null;
+    }
+    params[name] = value;
+  }
+  return params;
+}
+
+/**
+ * First template whose matcher accepts the question and whose required
+ * slots all hold valid values. `dateRange` is the question's resolved
+ * date range (see dateRange.js), if any; its expression is removed from
+ * the text the matchers see. `employee` is the employee the question
+ * names, if any.
+ *
+ * Returns { name, sql, params } or null.
+ */
+export function matchTemplate(question, { dateRange, employee, templates = queryTemplates } = {}) {
+  let text = String(question || "").trim();
+  if (dateRange?.expression) {
+    text = text.replace(dateRange.expression, " ").replace(/\s+/g, " ").trim();
+  }
+  if (!text) return null;
+
+  for (const template of templates) {
+    if (dateRange && !template.dateRange) continue;
+    const raw = template.match(text, { dateRange, employee });
+    if (!raw) continue;
+    const params = bindSlots(template, raw);
+    if (!params) continue;
+    return { name: template.name, sql: template.sql, params };
+  }
+  return null;
+}
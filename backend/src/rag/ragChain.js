@@ -99,12 +99,12 @@ function buildHistoryText(history) {
     .join("\n");
 }
 
-async function invokeLlm(messages) {
+async function invokeLlm(messages, onToken) {
   const llm = new ChatOpenAI({
     apiKey: config.openaiApiKey,
     model: config.openaiModel,
     temperature: config.openaiTemperature,
-    streaming: false
+    streaming: Boolean(onToken)
   });
 
   const chain = RunnableSequence.from([
@@ -113,10 +113,26 @@ async function invokeLlm(messages) {
     new StringOutputParser()
   ]);
 
-  return chain.invoke({});
+  if (!onToken) {
+    return chain.invoke({});
+  }
+
+  // Stream tokens to the caller while still returning the full answer.
+  let answer = "";
+  const stream = await chain.stream({});
+  for await (const token of stream) {
+    if (!token) continue;
+    answer += token;
+    onToken(token);
+  }
+  return answer;
 }
 
-export async function runRag(question, history = []) {
+/**
+ * Answer a question from the knowledge base.
+ * Pass `options.onToken` to receive answer tokens as they are generated.
+ */
+export async function runRag(question, history = [], options = {}) {
   if (!retriever) {
     throw new Error("RAG not initialized. Call initializeRag() first.");
   }
@@ -138,6 +154,6 @@ export async function runRag(question, history = []) {
     new HumanMessage(normalizedQuestion || "")
   ];
 
-  const answer = await invokeLlm(messages);
+  const answer = await invokeLlm(messages, options.onToken);
   return { answer, source: "rag" };
 }
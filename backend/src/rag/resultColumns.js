@@ -0,0 +1,127 @@
+import pkg from "node-sql-parser";
+import { entityForTable } from "./schemaCatalog.js";
+import { sqlDialect } from "../db/dialects/index.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = sqlDialect().parserOptions;
+
+/**
+ * Column metadata for SQL result rows, so clients can render them as a
+ * table: { name, label, type, source?, description? } per column.
+ *
+ * `source` ("table.column") and `description` come from semanticSchema
+ * when the column can be traced to a table column; computed columns and
+ * fields added by row enrichment only get a name, label and type.
+ */
+
+// Every key that appears in any row, in first-seen order (enrichment may
+// add fields to some rows only).
+export function columnsOf(rows) {
+  const columns = new Set();
+  for (const row of rows || []) {
+    for (const key of Object.keys(row || {})) columns.add(key);
+  }
+  return [...columns];
+}
+
+// leave_type_name -> "Leave Type Name"
+export function humanizeColumn(column) {
+  return String(column)
+    .split("_")
+    .filter(Boolean)
+    .map((word) => (word === "id" ? "ID" : word[0].toUpperCase() + word.slice(1)))
+    .join(" ");
+}
+
+function identifier(node) {
+  const value = node?.expr?.value ?? node?.value ?? node;
+  return typeof value === "string" ? value : null;
+}
+
+// Output column name -> { table, column } for columns selected directly
+// from a table (including `*` and `alias.*`).
+function columnSources(sql) {
+  const sources = new Map();
+  let select;
+  try {
+    const ast = parser.astify(sql, PARSER_OPTIONS);
+    select = Array.isArray(ast) ? ast[0] : ast;
+  } catch {
+    return sources;
+  }
+  if (select?.type !== "select") return sources;
+
+  const tables = new Map();
+  for (const item of select.from || []) {
+    if (typeof item.table === "string") tables.set(item.as || item.table, item.table);
+  }
+  const tablesFor = (qualifier) =>
+    qualifier ? [tables.get(qualifier)].filter(Boolean) : [...tables.values()];
+
+  for (const col of Array.isArray(select.columns) ? select.columns : []) {
+    const expr = col.expr || col;
+    if (expr.type !== "column_ref") continue;
+    const column = identifier(expr.column);
+    if (!column) continue;
+    const candidates = tablesFor(identifier(expr.table));
+
+    if (column === "*") {
+      for (const table of candidates) {
+        for (const name of Object.keys(entityForTable(table)?.columns || {})) {
+          if (!sources.has(name)) sources.set(name, { table, column: name });
+        }
+      }
+      continue;
+    }
+    const table = candidates.find((t) => entityForTable(t)?.columns?.[column]);
+    const name = (typeof col.as === "string" && col.as) || column;
+    if (table) sources.set(name, { table, column });
+  }
+  return sources;
+}
+
+const NUMERIC_TEXT = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+const DATE_TEXT = /^\d{4}-\d{2}-\d{2}$/;
+
+function typeOf(value) {
+  if (typeof value === "number" || typeof value === "bigint") return "number";
+  if (typeof value === "boolean") return "boolean";
+  if (value instanceof Date) return "datetime";
+  if (typeof value === "object") return "json";
+  const text = String(value);
+  // mysql2 returns DECIMAL columns as strings.
+  if (NUMERIC_TEXT.test(text)) return "number";
+  if (DATE_TEXT.test(text)) return "date";
+  return "string";
+}
+
+// One type for a column: "number", "string", "date", "datetime",
+// "boolean", "json", or "unknown" when every value is null.
+function columnType(rows, column) {
+  let type = null;
+  for (const row of rows) {
+    const value = row?.[column];
+    if (value === null || value === undefined || value === "") continue;
+    const found = typeOf(value);
+    if (!type) type = found;
+    else if (type !== found) return "string";
+  }
+  return type || "unknown";
+}
+
+export function describeColumns(rows, sql) {
+  const sources = sql ? columnSources(sql) : new Map();
+  return columnsOf(rows).map((name) => {
+    const source = sources.get(name);
+    const description = source
+      ? entityForTable(source.table)?.columns?.[source.column]
+      : undefined;
+    return {
+      name,
+      label: humanizeColumn(name),
+      type: columnType(rows, name),
+      ...(source && { source: `${source.table}.${source.column}`, description })
+    };
+  });
+}
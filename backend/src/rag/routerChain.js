@@ -1,16 +1,100 @@
 import { classifyQuestionIntent } from "./intentChain.js";
 import { runRag } from "./ragChain.js";
-import { runSqlChain, runSqlPage } from "./sqlChain.js";
+import { countSqlRows, runSqlChain, runSqlPage } from "./sqlChain.js";
+import { DEFAULT_PAGE_SIZE, detectPaginationRequest } from "./pagination.js";
+import { promoteExample } from "./sqlExamples.js";
+import { pickCandidate } from "./employeeResolver.js";
+import { rewriteFollowUp, updateFocus } from "./conversationFocus.js";
+import { createSessionStore } from "../session/sessionStore.js";
+import { resolveAccess } from "../auth/accessPolicy.js";
 
-const sessionState = new Map();
+const sessionStore = createSessionStore();
 const MAX_HISTORY_MESSAGES = 12;
 
-function getSessionState(sessionId) {
+async function getSessionState(sessionId) {
   if (!sessionId) return null;
-  if (!sessionState.has(sessionId)) {
-    sessionState.set(sessionId, { lastDatabaseQuery: null, history: [] });
+  const stored = await sessionStore.get(sessionId);
+  return stored || { lastDatabaseQuery: null, focus: null, history: [] };
+}
+
+async function saveSessionState(sessionId, session) {
+  if (!sessionId || !session) return;
+  try {
+    await sessionStore.set(sessionId, session);
+  } catch (err) {
+    console.warn(
+      `[ROUTER] Failed to persist session ${sessionId}:`,
+      err?.message || err
+    );
+  }
+}
+
+/**
+ * Read-only view of a session for support/debugging. Does not extend the
+ * session's idle TTL.
+ */
+export async function getSessionSnapshot(sessionId) {
+  if (!sessionId) return null;
+  const stored = await sessionStore.get(sessionId, { touch: false });
+  if (!stored) return null;
+  return {
+    sessionId,
+    history: stored.history || [],
+    lastDatabaseQuery: stored.lastDatabaseQuery || null,
+    focus: stored.focus || null
+  };
+}
+
+export async function resetSession(sessionId) {
+  if (!sessionId) return false;
+  return sessionStore.delete(sessionId);
+}
+
+export async function listSessions({ offset = 0, limit = 20 } = {}) {
+  return sessionStore.list({ offset, limit });
+}
+
+/** Stop the session sweeper and release the store, on shutdown. */
+export async function closeSessionStore() {
+  await sessionStore.close();
+}
+
+/**
+ * Record a rating for the session's latest database answer. A thumbs-up
+ * from HR (see auth/accessPolicy.js) promotes the question and its SQL
+ * into the few-shot example library; other ratings are only logged.
+ *
+ * Returns { promoted: boolean, reason? } or null when the session has no
+ * database answer to rate.
+ */
+export async function rateLastAnswer(sessionId, { rating, identity } = {}) {
+  const session = sessionId
+    ? await sessionStore.get(sessionId, { touch: false })
+    : null;
+  const last = session?.lastDatabaseQuery;
+  if (!last) return null;
+
+  console.log(
+    `[ROUTER] Feedback "${rating}" for session ${sessionId}: ${last.originalQuestion}`
+  );
+  if (rating !== "up") return { promoted: false };
+  if (resolveAccess(identity).level !== "all") {
+    return { promoted: false, reason: "Only HR can add examples to the library." };
+  }
+  if (!last.example) {
+    return {
+      promoted: false,
+      reason: "Answers about the person asking are not added to the library."
+    };
+  }
+
+  try {
+    await promoteExample(last.example);
+    return { promoted: true };
+  } catch (err) {
+    console.warn("[ROUTER] Example promotion failed:", err?.message || err);
+    return { promoted: false, reason: "The query could not be added to the library." };
   }
-  return sessionState.get(sessionId);
 }
 
 function appendHistory(session, role, content) {
@@ -29,141 +113,381 @@ function buildGeneralChatAnswer(question) {
   return `${greeting} (You said: ${trimmed})`;
 }
 
-function detectPaginationDirection(question) {
-  const q = (question || "").trim().toLowerCase();
-  if (!q) return null;
-
-  const nextPatterns = [
-    /^(next|next page)\b/,
-    /^show more\b/,
-    /^more\b/,
-    /\bmore results\b/,
-    /\bnext set\b/
-  ];
+const DATABASE_EXPLANATION =
+  "This answer is based on live HR database records.";
+const PAGINATED_DATABASE_EXPLANATION =
+  "This answer is based on live HR database records (paginated results).";
+const RAG_EXPLANATION =
+  "This answer is based on company documents and knowledge-base content.";
+const GENERAL_EXPLANATION =
+  "This is a general conversational response and does not use internal company data.";
 
-  const prevPatterns = [
-    /^(previous|previous page|prev)\b/,
-    /\bgo back\b/,
-    /\bback\b/
-  ];
-
-  if (nextPatterns.some((re) => re.test(q))) return "next";
-  if (prevPatterns.some((re) => re.test(q))) return "previous";
-  return null;
+function combineAnswer(explanation, answer) {
+  return answer ? `${explanation}\n\n${answer}` : explanation;
 }
 
-function buildDatabaseAnswer(result, paginated = false) {
+function buildDatabaseAnswer(result, paginated = false, pagination) {
   const explanation = paginated
-    ? "This answer is based on live HR database records (paginated results)."
-    : "This answer is based on live HR database records.";
-  const combinedAnswer = result?.answer
-    ? `${explanation}\n\n${result.answer}`
-    : explanation;
+    ? PAGINATED_DATABASE_EXPLANATION
+    : DATABASE_EXPLANATION;
+
+  const metadata = result?.attempts
+    ? {
+        sqlAttempts: result.attempts,
+        schemaSelection: result.schemaSelection,
+        template: result.template,
+        metric: result.metric,
+        comparison: result.comparison
+      }
+    : {};
+  if (pagination) metadata.pagination = pagination;
+  if (result?.clarification) metadata.clarification = result.clarification;
 
-  return { ...result, answer: combinedAnswer };
+  return {
+    ...result,
+    answer: combineAnswer(explanation, result?.answer),
+    metadata: Object.keys(metadata).length ? metadata : undefined
+  };
 }
 
-export async function routeQuestion(question, sessionId) {
-  const trimmedQuestion = (question || "").trim();
-  const session = getSessionState(sessionId);
-  const direction = detectPaginationDirection(trimmedQuestion);
+/**
+ * Paging controls for the UI: { page, pageSize, total, hasNext }. total is
+ * null if the count query failed; hasNext then falls back to whether the
+ * page came back full.
+ */
+function paginationInfo({ offset = 0, pageSize, total, rowCount }) {
+  return {
+    page: Math.floor(offset / pageSize) + 1,
+    pageSize,
+    total,
+    hasNext:
+      total != null ? offset + rowCount < total : rowCount >= pageSize
+  };
+}
 
-  if (trimmedQuestion) {
-    appendHistory(session, "user", trimmedQuestion);
+// Total rows of the session's stored query, counted once and cached.
+async function storedQueryTotal(last, options) {
+  if (last.total == null) {
+    last.total = await countSqlRows(last.sql, {
+      identity: options.identity,
+      params: last.params
+    });
   }
+  return last.total;
+}
+
+function pageCount(total, pageSize) {
+  return Math.max(1, Math.ceil(total / pageSize));
+}
 
-  if (direction) {
-    if (!session?.lastDatabaseQuery) {
-      return {
-        intent: "GENERAL_CHAT",
-        source: "general",
-        answer:
-          "I don't have any earlier database results to navigate. Please ask a data question first."
-      };
+/**
+ * Work out the offset a paging request asks for. Returns { offset } or
+ * { answer } when the request cannot be served (e.g. page 9 of 3).
+ */
+function resolvePageRequest(request, last, pageSize, total) {
+  const current = last.offset || 0;
+  switch (request.type) {
+    case "next":
+      if (total != null && current + pageSize >= total) {
+        return { answer: "You're already on the last page of results." };
+      }
+      return { offset: current + pageSize };
+    case "previous":
+      return { offset: Math.max(0, current - pageSize) };
+    case "first":
+      return { offset: 0 };
+    case "last":
+      if (total == null) {
+        return { answer: "I couldn't work out how many results there are, so I can't jump to the last page." };
+      }
+      return { offset: (pageCount(total, pageSize) - 1) * pageSize };
+    case "page": {
+      if (request.page < 1) return { answer: "Pages are numbered from 1." };
+      if (total != null && request.page > pageCount(total, pageSize)) {
+        const pages = pageCount(total, pageSize);
+        return {
+          answer: `There ${pages === 1 ? "is only 1 page" : `are only ${pages} pages`} of results (${total} in total, ${pageSize} per page).`
+        };
+      }
+      return { offset: (request.page - 1) * pageSize };
     }
+    case "resize":
+      // Stay on the page that contains the first row currently shown.
+      return { offset: Math.floor(current / pageSize) * pageSize };
+    default:
+      return { offset: current };
+  }
+}
+
+async function routePaginationRequest(request, session, options, stream) {
+  const last = session.lastDatabaseQuery;
+  const pageSize = request.pageSize || last.limit || DEFAULT_PAGE_SIZE;
+  const total = await storedQueryTotal(last, options);
 
-    const { sql, originalQuestion, offset = 0, limit = 50 } =
-      session.lastDatabaseQuery;
-    const pageSize = Number.isFinite(limit) && limit > 0 ? limit : 50;
-    const newOffset =
-      direction === "next"
-        ? offset + pageSize
-        : Math.max(0, offset - pageSize);
-
-    const pageResult = await runSqlPage(
-      sql,
-      originalQuestion,
-      newOffset,
-      pageSize
+  const cannedAnswer = (answer, offset) => {
+    stream.begin("DATABASE_QUERY", "database", PAGINATED_DATABASE_EXPLANATION);
+    stream.finish(answer);
+    return {
+      intent: "DATABASE_QUERY",
+      source: "database",
+      ...buildDatabaseAnswer(
+        { answer },
+        true,
+        paginationInfo({ offset, pageSize, total, rowCount: last.rowCount ?? 0 })
+      )
+    };
+  };
+
+  if (request.type === "total") {
+    if (total == null) {
+      return cannedAnswer("I couldn't count the results of the previous query.", last.offset || 0);
+    }
+    const pages = pageCount(total, pageSize);
+    return cannedAnswer(
+      `The previous query matched ${total} result${total === 1 ? "" : "s"} in total (${pages} page${pages === 1 ? "" : "s"} of ${pageSize}).`,
+      last.offset || 0
     );
+  }
+
+  const target = resolvePageRequest(request, last, pageSize, total);
+  if (target.answer) return cannedAnswer(target.answer, last.offset || 0);
 
-    if (pageResult?.sql) {
-      session.lastDatabaseQuery = {
-        sql: pageResult.sql,
-        originalQuestion,
-        offset: newOffset,
-        limit: pageSize
-      };
+  stream.begin("DATABASE_QUERY", "database", PAGINATED_DATABASE_EXPLANATION);
+  const pageResult = await runSqlPage(
+    last.sql,
+    last.originalQuestion,
+    target.offset,
+    pageSize,
+    { identity: options.identity, params: last.params, onToken: stream.onToken }
+  );
+  stream.finish(pageResult?.answer);
+
+  const rowCount = pageResult?.rows?.length ?? 0;
+  if (pageResult?.sql) {
+    // The stored statement stays unpaged; only the position changes.
+    Object.assign(last, { offset: target.offset, limit: pageSize, rowCount });
+  }
+
+  return {
+    intent: "DATABASE_QUERY",
+    source: "database",
+    ...buildDatabaseAnswer(
+      pageResult,
+      true,
+      pageResult?.sql
+        ? paginationInfo({ offset: target.offset, pageSize, total, rowCount })
+        : undefined
+    )
+  };
+}
+
+/**
+ * Wraps the caller's streaming callbacks so every route emits the same
+ * sequence: a start event with intent/source, the explanation line, then
+ * the answer tokens. Chains that return a canned answer (errors, empty
+ * results) never stream, so their text is emitted once they finish.
+ */
+function createAnswerStream(options = {}) {
+  const { onStart, onToken } = options;
+  if (!onToken) {
+    return { onToken: undefined, begin() {}, finish() {} };
+  }
+
+  let streamed = false;
+  return {
+    onToken(token) {
+      streamed = true;
+      onToken(token);
+    },
+    begin(intent, source, explanation) {
+      if (onStart) onStart({ intent, source });
+      onToken(`${explanation}\n\n`);
+    },
+    finish(answer) {
+      if (!streamed && answer) onToken(answer);
     }
+  };
+}
 
-    const payload = {
-      intent: "DATABASE_QUERY",
-      source: "database",
-      ...buildDatabaseAnswer(pageResult, true)
+/**
+ * Run a database question and record it in the session: the query for
+ * paging, the entities it was about for follow-ups (see
+ * conversationFocus.js), or the candidates when a name was ambiguous.
+ * `selectedEmployee` is the answer to an earlier clarifying question or
+ * the employee a follow-up referred to.
+ */
+async function answerDatabaseQuestion(question, session, options, stream, selectedEmployee) {
+  stream.begin("DATABASE_QUERY", "database", DATABASE_EXPLANATION);
+  const result = await runSqlChain(question, {
+    identity: options.identity,
+    onToken: stream.onToken,
+    selectedEmployee
+  });
+  stream.finish(result?.answer);
+
+  if (session && result?.clarification) {
+    session.pendingClarification = { question, ...result.clarification };
+  }
+  if (session && result?.sql) {
+    session.focus = await updateFocus(session.focus, question, result);
+  }
+
+  let pagination;
+  if (session && result?.comparison) {
+    // Rows from several runs of the statement: nothing to page or export.
+    session.lastDatabaseQuery = null;
+  } else if (session && result?.sql) {
+    const pageSize = result.pageSize || DEFAULT_PAGE_SIZE;
+    const rowCount = result.rows?.length ?? 0;
+    session.lastDatabaseQuery = {
+      sql: result.sql,
+      params: result.params,
+      originalQuestion: question,
+      offset: 0,
+      limit: pageSize,
+      rowCount,
+      // A short first page is the whole result; no need to count.
+      total: rowCount < pageSize ? rowCount : null,
+      // Candidate few-shot pair if the answer is rated thumbs-up.
+      // Template and metric answers are already covered by their
+      // definition, SQL using :range_start/:range_end needs the resolved
+      // range and SQL about one employee filters by their id.
+      example:
+        result.callerSpecific || result.template || result.metric || result.dateRange || result.employee
+          ? null
+          : { question: result.sqlQuestion, sql: result.sql }
     };
+    const total = await storedQueryTotal(session.lastDatabaseQuery, options);
+    pagination = paginationInfo({ offset: 0, pageSize, total, rowCount });
+  }
 
+  return {
+    intent: "DATABASE_QUERY",
+    source: "database",
+    ...buildDatabaseAnswer(result, false, pagination)
+  };
+}
+
+/**
+ * Route a question to the database, knowledge-base or general chat path.
+ *
+ * Options:
+ * - identity: the authenticated caller (see auth/identity.js), or null.
+ * - onStart({ intent, source }): called once the route is known.
+ * - onToken(token): called for each piece of answer text as it is produced.
+ */
+export async function routeQuestion(question, sessionId, options = {}) {
+  const session = await getSessionState(sessionId);
+  try {
+    return await routeWithSession(question, session, options);
+  } finally {
+    // Persist whatever the turn changed (history, last query), even if the
+    // answer itself failed, so the user's message is not lost.
+    await saveSessionState(sessionId, session);
+  }
+}
+
+async function routeWithSession(question, session, options) {
+  const trimmedQuestion = (question || "").trim();
+  const pageRequest = detectPaginationRequest(trimmedQuestion);
+  const stream = createAnswerStream(options);
+
+  if (trimmedQuestion) {
+    appendHistory(session, "user", trimmedQuestion);
+  }
+
+  // A reply to "Did you mean A or B?" re-runs the original question for
+  // the chosen employee; anything else is a new question.
+  const pending = session?.pendingClarification;
+  if (pending) {
+    session.pendingClarification = null;
+    const chosen = pickCandidate(trimmedQuestion, pending.candidates);
+    if (chosen) {
+      const payload = await answerDatabaseQuestion(
+        pending.question,
+        session,
+        options,
+        stream,
+        { ...chosen, mention: pending.mention }
+      );
+      appendHistory(session, "assistant", payload.answer);
+      return payload;
+    }
+  }
+
+  // Paging commands only page through an earlier database answer; without
+  // one, the message is routed like any other question.
+  if (pageRequest && session?.lastDatabaseQuery?.sql) {
+    const payload = await routePaginationRequest(
+      pageRequest,
+      session,
+      options,
+      stream
+    );
     appendHistory(session, "assistant", payload.answer);
     return payload;
   }
 
+  // "what about her attendance?" and "and for QA?" become standalone
+  // questions before anything else reads them.
+  const followUp = await rewriteFollowUp(trimmedQuestion, session?.focus, {
+    access: resolveAccess(options.identity)
+  });
+  const standaloneQuestion = followUp.question;
+  if (standaloneQuestion !== trimmedQuestion) {
+    console.log(`[ROUTER] Follow-up rewritten: "${trimmedQuestion}" -> "${standaloneQuestion}"`);
+  }
+  const withRewrite = (payload) =>
+    standaloneQuestion === trimmedQuestion
+      ? payload
+      : {
+          ...payload,
+          metadata: { ...payload.metadata, rewrittenQuestion: standaloneQuestion }
+        };
+
   const intent = await classifyQuestionIntent(
-    trimmedQuestion,
+    standaloneQuestion,
     session?.history || []
   );
 
   if (intent === "DATABASE_QUERY") {
-    const result = await runSqlChain(trimmedQuestion, session?.history || []);
-    if (session && result?.sql) {
-      const match = result.sql.match(/\blimit\s+(\d+)/i);
-      const limit = match ? parseInt(match[1], 10) : 50;
-      session.lastDatabaseQuery = {
-        sql: result.sql,
-        originalQuestion: trimmedQuestion,
-        offset: 0,
-        limit: Number.isFinite(limit) && limit > 0 ? limit : 50
-      };
-    }
-
-    const payload = {
-      intent,
-      source: "database",
-      ...buildDatabaseAnswer(result)
-    };
-
+    const payload = withRewrite(
+      await answerDatabaseQuestion(
+        standaloneQuestion,
+        session,
+        options,
+        stream,
+        followUp.employee
+      )
+    );
     appendHistory(session, "assistant", payload.answer);
     return payload;
   }
 
   if (intent === "RAG_QUERY") {
-    const result = await runRag(trimmedQuestion, session?.history || []);
-    const explanation =
-      "This answer is based on company documents and knowledge-base content.";
-    const combinedAnswer = result?.answer
-      ? `${explanation}\n\n${result.answer}`
-      : explanation;
-
-    const payload = { intent, source: "rag", ...result, answer: combinedAnswer };
+    stream.begin(intent, "rag", RAG_EXPLANATION);
+    const result = await runRag(standaloneQuestion, session?.history || [], {
+      onToken: stream.onToken
+    });
+    stream.finish(result?.answer);
+
+    const payload = withRewrite({
+      intent,
+      source: "rag",
+      ...result,
+      answer: combineAnswer(RAG_EXPLANATION, result?.answer)
+    });
     appendHistory(session, "assistant", payload.answer);
     return payload;
   }
 
   const base = buildGeneralChatAnswer(trimmedQuestion);
-  const explanation =
-    "This is a general conversational response and does not use internal company data.";
+  stream.begin("GENERAL_CHAT", "general", GENERAL_EXPLANATION);
+  stream.finish(base);
   const payload = {
     intent: "GENERAL_CHAT",
     source: "general",
-    answer: `${explanation}\n\n${base}`
+    answer: combineAnswer(GENERAL_EXPLANATION, base)
   };
 
   appendHistory(session, "assistant", payload.answer);
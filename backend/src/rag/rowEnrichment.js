@@ -0,0 +1,178 @@
+import { semanticSchema } from "./semanticSchema.js";
+import { entityForTable } from "./schemaCatalog.js";
+import { maskRecord, visibleSensitivity } from "./sensitivity.js";
+import { AccessDeniedError, applyAccessPolicy } from "../auth/accessPolicy.js";
+
+/**
+ * Attach human-readable fields to SQL result rows that only carry ids.
+ *
+ * Reference columns come from `relations` in semanticSchema: a join
+ * `a.col = b.<primary key>` means a `col` value identifies a `b` row. The
+ * display fields of every referenced row are fetched in one query per
+ * table and added next to the id, e.g. leave_type_id -> leave_type_name,
+ * employee_id -> employee_name, role_id -> role_name.
+ *
+ * Lookups go through the caller's access policy and column masking, so
+ * enrichment never reveals more than the caller could query directly.
+ */
+
+function primaryKeyOf(entity) {
+  return entity?.primaryKey || "id";
+}
+
+// column name -> referenced table, e.g. { leave_type_id: "leave_types" }
+function buildReferenceColumns() {
+  const references = {};
+  for (const entity of Object.values(semanticSchema)) {
+    for (const relation of Object.values(entity.relations || {})) {
+      const match = /^\s*(\w+)\.(\w+)\s*=\s*(\w+)\.(\w+)\s*$/.exec(relation.join || "");
+      if (!match) continue;
+      const sides = [
+        { table: match[1], column: match[2] },
+        { table: match[3], column: match[4] }
+      ];
+      for (const [from, to] of [sides, [...sides].reverse()]) {
+        const target = entityForTable(to.table);
+        if (!target || to.column !== primaryKeyOf(target)) continue;
+        if (from.column === primaryKeyOf(entityForTable(from.table))) continue;
+        references[from.column] ||= to.table;
+      }
+    }
+  }
+  return references;
+}
+
+const REFERENCE_COLUMNS = buildReferenceColumns();
+
+// The entity a column points at: an exact reference column, or one with a
+// qualifying prefix such as target_employee_id or manager_employee_id.
+function referenceFor(column) {
+  if (REFERENCE_COLUMNS[column]) {
+    return { table: REFERENCE_COLUMNS[column], prefix: column.replace(/_id$/, "") };
+  }
+  for (const [refColumn, table] of Object.entries(REFERENCE_COLUMNS)) {
+    if (column.endsWith(`_${refColumn}`)) {
+      return { table, prefix: column.replace(/_id$/, "") };
+    }
+  }
+  return null;
+}
+
+// activity_logs.record_id points at whichever entity `module` names.
+function polymorphicReference(row) {
+  if (row.record_id == null || typeof row.module !== "string") return null;
+  const module = row.module.trim().toLowerCase();
+  const entity = Object.values(semanticSchema).find(
+    (e) => e.entity?.toLowerCase() === module || e.table === module
+  );
+  return entity ? { table: entity.table, prefix: "record", column: "record_id" } : null;
+}
+
+// Name of the attached field: leave_types.leave_name for prefix
+// "leave_type" becomes leave_type_name, employees.employee_name for
+// "target_employee" becomes target_employee_name, departments.description
+// for "department" becomes department_description.
+function fieldName(prefix, table, field) {
+  if (field.startsWith(prefix)) return field;
+  const token = table.split("_")[0].replace(/s$/, "");
+  if (field === token || field.startsWith(`${token}_`)) {
+    return `${prefix}${field.slice(token.length)}`;
+  }
+  return `${prefix}_${field}`;
+}
+
+function idOf(value) {
+  const n = Number(value);
+  return value !== null && value !== "" && Number.isInteger(n) ? n : null;
+}
+
+function collectReferences(rows) {
+  const wanted = new Map(); // table -> Set of ids
+  const perRow = rows.map((row) => {
+    if (!row || typeof row !== "object") return [];
+    const refs = [];
+    for (const column of Object.keys(row)) {
+      const reference = referenceFor(column);
+      if (reference) refs.push({ ...reference, column });
+    }
+    const polymorphic = polymorphicReference(row);
+    if (polymorphic) refs.push(polymorphic);
+
+    return refs.filter((ref) => {
+      const id = idOf(row[ref.column]);
+      const entity = entityForTable(ref.table);
+      if (id === null || !entity?.displayFields?.length) return false;
+      if (!wanted.has(ref.table)) wanted.set(ref.table, new Set());
+      wanted.get(ref.table).add(id);
+      ref.id = id;
+      return true;
+    });
+  });
+  return { wanted, perRow };
+}
+
+async function lookupTable(table, ids, { access, execute }) {
+  const entity = entityForTable(table);
+  const key = primaryKeyOf(entity);
+  const fields = [key, ...entity.displayFields.filter((f) => f !== key)];
+  const sql = `SELECT ${fields.map((f) => `\`${f}\``).join(", ")} FROM \`${table}\` WHERE \`${key}\` IN (${[...ids].join(", ")})`;
+
+  let scopedSql;
+  try {
+    scopedSql = applyAccessPolicy(sql, access);
+  } catch (err) {
+    if (err instanceof AccessDeniedError) return new Map();
+    throw err;
+  }
+
+  const found = new Map();
+  const maxVisible = visibleSensitivity(access);
+  for (const row of (await execute(scopedSql)) || []) {
+    const id = idOf(row?.[key]);
+    if (id !== null) found.set(id, maskRecord(row, table, maxVisible));
+  }
+  return found;
+}
+
+/**
+ * Returns new row objects with display fields of referenced entities
+ * added. Existing row values are never overwritten; failed lookups leave
+ * rows as they were.
+ *
+ * Options: access (see auth/accessPolicy.js) and execute(sql), which runs
+ * a lookup query and resolves to rows.
+ */
+export async function enrichRows(rows, { access, execute }) {
+  if (!Array.isArray(rows) || rows.length === 0) return rows;
+
+  const { wanted, perRow } = collectReferences(rows);
+  if (wanted.size === 0) return rows;
+
+  const lookups = new Map();
+  await Promise.all(
+    [...wanted].map(async ([table, ids]) => {
+      try {
+        lookups.set(table, await lookupTable(table, ids, { access, execute }));
+      } catch (err) {
+        console.warn(`[ENRICH] Lookup of ${table} failed:`, err?.message || err);
+      }
+    })
+  );
+
+  return rows.map((row, i) => {
+    if (!perRow[i].length) return row;
+    const enriched = { ...row };
+    for (const ref of perRow[i]) {
+      const record = lookups.get(ref.table)?.get(ref.id);
+      if (!record) continue;
+      const entity = entityForTable(ref.table);
+      for (const field of entity.displayFields) {
+        const name = fieldName(ref.prefix, ref.table, field);
+        if (enriched[name] == null && record[field] != null) {
+          enriched[name] = record[field];
+        }
+      }
+    }
+    return enriched;
+  });
+}
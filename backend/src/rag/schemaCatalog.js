@@ -0,0 +1,45 @@
+import { semanticSchema } from "./semanticSchema.js";
+
+/**
+ * Lookups derived from semanticSchema, so table lists and prompt hints are
+ * never maintained by hand.
+ */
+
+export function entityForTable(tableName) {
+  const name = String(tableName || "").toLowerCase();
+  return Object.values(semanticSchema).find((entity) => entity.table === name);
+}
+
+export function schemaTables() {
+  return Object.values(semanticSchema).map((entity) => entity.table);
+}
+
+// Tables text-to-SQL may use.
+export function queryableTables() {
+  return Object.values(semanticSchema)
+    .filter((entity) => entity.queryable !== false)
+    .map((entity) => entity.table)
+    .sort();
+}
+
+export function displayFieldsFor(tableName) {
+  return entityForTable(tableName)?.displayFields || [];
+}
+
+/**
+ * One line per queryable table listing its real columns, e.g.
+ *   - leave_types: id, leave_name, total_leaves, is_active
+ * Secret columns are left out.
+ */
+export function buildColumnHints(tables = queryableTables()) {
+  return tables
+    .map((table) => {
+      const entity = entityForTable(table);
+      const columns = Object.keys(entity?.columns || {}).filter(
+        (column) => entity.sensitivity?.[column] !== "secret"
+      );
+      return columns.length ? ` - ${table}: ${columns.join(", ")}` : null;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
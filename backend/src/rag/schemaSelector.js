@@ -0,0 +1,196 @@
+import { config } from "../config/env.js";
+import { semanticSchema } from "./semanticSchema.js";
+import { buildPromptSchema } from "./sensitivity.js";
+import { entityForTable } from "./schemaCatalog.js";
+import { cosineSimilarity, queryEmbeddings } from "./similarity.js";
+
+/**
+ * Picks the part of semanticSchema a text-to-SQL prompt needs:
+ * 1. seed tables whose synonyms / names appear in the question,
+ * 2. plus the entities whose descriptions are most similar to the question
+ *    (embeddings; skipped if the embeddings call fails),
+ * 3. expanded along `relations` with the tables the seeds reference and
+ *    any table that bridges two seeds.
+ * Falls back to the full schema when nothing matches.
+ */
+
+function normalize(text) {
+  return ` ${String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+}
+
+function queryableEntities() {
+  return Object.values(semanticSchema).filter((entity) => entity.queryable !== false);
+}
+
+function synonymScore(entity, normalizedQuestion) {
+  const terms = new Set([
+    ...(entity.synonyms || []),
+    entity.entity,
+    entity.table,
+    entity.table.replace(/_/g, " ")
+  ]);
+  let score = 0;
+  for (const term of terms) {
+    const phrase = normalize(term);
+    const plural = `${phrase.trimEnd()}s `;
+    if (
+      phrase.trim() &&
+      (normalizedQuestion.includes(phrase) || normalizedQuestion.includes(plural))
+    ) {
+      // Multi-word phrases ("leave balance") are stronger signals.
+      score += phrase.trim().split(" ").length;
+    }
+  }
+  return score;
+}
+
+function entityText(entity) {
+  return `${entity.entity}: ${entity.description}. Columns: ${Object.keys(
+    entity.columns || {}
+  ).join(", ")}`;
+}
+
+let entityVectorsPromise;
+
+// Entity descriptions only change with the code, so embed them once.
+function entityVectors() {
+  if (!entityVectorsPromise) {
+    const entities = queryableEntities();
+    entityVectorsPromise = queryEmbeddings()
+      .embedDocuments(entities.map(entityText))
+      .then((vectors) =>
+        entities.map((entity, i) => ({ table: entity.table, vector: vectors[i] }))
+      )
+      .catch((err) => {
+        entityVectorsPromise = null;
+        throw err;
+      });
+  }
+  return entityVectorsPromise;
+}
+
+async function embeddingMatches(question) {
+  const [entities, questionVector] = await Promise.all([
+    entityVectors(),
+    queryEmbeddings().embedQuery(question)
+  ]);
+  return entities
+    .map(({ table, vector }) => ({ table, score: cosineSimilarity(questionVector, vector) }))
+    .filter((match) => match.score >= config.schemaSelectionMinSimilarity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.schemaSelectionTopK);
+}
+
+// Undirected relations graph. An edge records, per side, whether that
+// table holds the reference (its join column is not its primary key),
+// e.g. employee_leaves -> leave_types but not leave_types -> employee_leaves.
+function relationGraph() {
+  const graph = new Map();
+  const link = (from, to, references) => {
+    if (!graph.has(from)) graph.set(from, new Map());
+    const edges = graph.get(from);
+    edges.set(to, Boolean(edges.get(to)) || references);
+  };
+
+  for (const entity of queryableEntities()) {
+    for (const relation of Object.values(entity.relations || {})) {
+      const other = entityForTable(relation.table);
+      if (!other || other.queryable === false) continue;
+      const match = /(\w+)\.(\w+)\s*=\s*(\w+)\.(\w+)/.exec(relation.join || "");
+      const columnOf = (table) => {
+        if (!match) return null;
+        if (match[1] === table) return match[2];
+        if (match[3] === table) return match[4];
+        return null;
+      };
+      const holdsReference = (e) =>
+        columnOf(e.table) !== (e.primaryKey || "id");
+      link(entity.table, other.table, holdsReference(entity));
+      link(other.table, entity.table, holdsReference(other));
+    }
+  }
+  return graph;
+}
+
+/**
+ * Seed tables plus their join neighbours: tables a seed references, and
+ * intermediate tables on a two-hop path between two seeds
+ * (employees -> employee_roles -> roles).
+ */
+export function expandWithNeighbours(tables) {
+  const graph = relationGraph();
+  const seeds = new Set(tables);
+  const expanded = new Set(tables);
+
+  for (const table of seeds) {
+    for (const [neighbour, references] of graph.get(table) || []) {
+      if (references) expanded.add(neighbour);
+      for (const [next] of graph.get(neighbour) || []) {
+        if (next !== table && seeds.has(next)) expanded.add(neighbour);
+      }
+    }
+  }
+  return [...expanded].sort();
+}
+
+/** Prompt schema (see buildPromptSchema) restricted to the given tables. */
+export function promptSchemaFor(tables) {
+  const wanted = new Set(tables);
+  return Object.fromEntries(
+    Object.entries(buildPromptSchema()).filter(([, entity]) =>
+      wanted.has(entity.table)
+    )
+  );
+}
+
+/**
+ * Choose the tables for a question.
+ *
+ * Returns { tables, matches, fallback } where `matches` lists the seed
+ * tables and why they were picked ({ table, via: "synonym"|"embedding",
+ * score }), for debugging.
+ */
+export async function selectSchema(question) {
+  const allTables = queryableEntities().map((entity) => entity.table).sort();
+  if (!config.schemaSelection) {
+    return { tables: allTables, matches: [], fallback: true };
+  }
+
+  const normalizedQuestion = normalize(question);
+  const matches = queryableEntities()
+    .map((entity) => ({
+      table: entity.table,
+      via: "synonym",
+      score: synonymScore(entity, normalizedQuestion)
+    }))
+    .filter((match) => match.score > 0);
+
+  try {
+    for (const match of await embeddingMatches(question)) {
+      if (matches.some((m) => m.table === match.table)) continue;
+      matches.push({
+        table: match.table,
+        via: "embedding",
+        score: Number(match.score.toFixed(3))
+      });
+    }
+  } catch (err) {
+    console.warn(
+      "[SCHEMA_SELECTOR] Embedding match failed, using synonyms only:",
+      err?.message || err
+    );
+  }
+
+  if (!matches.length) {
+    console.log("[SCHEMA_SELECTOR] No table matched; using the full schema.");
+    return { tables: allTables, matches, fallback: true };
+  }
+
+  const tables = expandWithNeighbours(matches.map((match) => match.table));
+  console.log(
+    `[SCHEMA_SELECTOR] ${tables.join(", ")} (matched: ${matches
+      .map((m) => `${m.table}/${m.via}`)
+      .join(", ")})`
+  );
+  return { tables, matches, fallback: false };
+}
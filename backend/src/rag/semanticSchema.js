@@ -1,3 +1,21 @@
+/**
+ * Single source of truth for the HR database schema used by text-to-SQL,
+ * SQL validation, masking and the structured loader.
+ *
+ * Entry fields:
+ * - entity, description, synonyms: natural-language description for the LLM
+ * - table, primaryKey, columns (name -> description), relations
+ *   ({ table, join } or, for a JSON array of ids, { table, jsonArrayJoin:
+ *   { array, value } })
+ * - displayFields: human-readable fields that name a record, most useful first
+ * - sensitivity: column -> level (see SENSITIVITY_LEVELS)
+ * - queryable: false to keep the table out of text-to-SQL
+ *
+ * Named measures (headcount, attrition, ...) are defined in `metrics`
+ * below.
+ *
+ * Run `npm run schema:check` to compare this file with the live database.
+ */
 export const semanticSchema = {
 
   /* =========================
@@ -9,6 +27,7 @@ export const semanticSchema = {
     description: "All employees working in the organization including personal, contact, employment, and salary-related information",
     table: "employees",
     primaryKey: "id",
+    displayFields: ["employee_name", "designation", "department"],
 
     synonyms: [
       "employee",
@@ -62,6 +81,26 @@ export const semanticSchema = {
       updated_at: "Record update timestamp",
     },
 
+    // Columns not listed are "internal". See SENSITIVITY_LEVELS below.
+    sensitivity: {
+      id: "public",
+      employee_name: "public",
+      office_email: "public",
+      department: "public",
+      designation: "public",
+      personal_contact_number: "restricted",
+      emergency_contact_number: "restricted",
+      cnic: "restricted",
+      personal_email: "restricted",
+      employee_address: "restricted",
+      date_of_birth: "restricted",
+      marital_status: "restricted",
+      current_salary: "restricted",
+      exit_reason: "restricted",
+      notes: "restricted",
+      password: "secret",
+    },
+
     relations: {
       attendances: {
         table: "attendances",
@@ -108,6 +147,11 @@ export const semanticSchema = {
         join: "employees.id = employee_roles.employee_id",
         description: "Roles assigned to employee",
       },
+      department: {
+        table: "departments",
+        join: "employees.department = departments.id",
+        description: "Only when employees.department holds a department id",
+      },
     },
   },
 
@@ -120,6 +164,7 @@ export const semanticSchema = {
     description: "Employee attendance records including check-in and check-out information",
     table: "attendances",
     primaryKey: "id",
+    displayFields: ["date", "status", "reason"],
 
     synonyms: [
       "attendance",
@@ -135,7 +180,7 @@ export const semanticSchema = {
 
     columns: {
       id: "Attendance record ID",
-      employee_id: "Employee internal reference",
+      employee_id: "Employee internal reference (often null; join employees on attendance_device_id instead)",
       attendance_device_id: "Biometric device ID",
       leave_type_id: "Associated leave type if on leave",
       check_in: "Employee check-in time",
@@ -160,6 +205,11 @@ export const semanticSchema = {
         join: "attendances.leave_type_id = leave_types.id",
         description: "Leave type used in attendance",
       },
+      device: {
+        table: "attendance_device_info",
+        join: "attendances.attendance_device_id = attendance_device_info.id",
+        description: "Attendance machine that recorded the entry",
+      },
     },
   },
 
@@ -171,6 +221,7 @@ export const semanticSchema = {
     entity: "Employee Leave Balance",
     description: "Annual leave balance assigned to employees",
     table: "employee_leaves",
+    displayFields: [],
 
     synonyms: [
       "leave",
@@ -182,6 +233,7 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Leave balance record ID",
       employee_id: "Employee reference",
       leave_type_id: "Leave type identifier",
       total_leaves: "Total leaves allocated",
@@ -206,6 +258,7 @@ export const semanticSchema = {
     entity: "Leave Request",
     description: "Leave requests submitted by employees",
     table: "requested_leaves",
+    displayFields: ["start_from", "to_end", "status"],
 
     synonyms: [
       "leave request",
@@ -224,12 +277,24 @@ export const semanticSchema = {
       employee_reason: "Reason provided by employee",
       approval_reason: "Reason provided by approver",
     },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "requested_leaves.employee_id = employees.id",
+      },
+      leave_type: {
+        table: "leave_types",
+        join: "requested_leaves.leave_type_id = leave_types.id",
+      },
+    },
   },
 
   leave_types: {
     entity: "Leave Type",
     description: "Different types of leaves offered by company",
     table: "leave_types",
+    displayFields: ["leave_name"],
 
     synonyms: [
       "leave type",
@@ -239,6 +304,7 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Leave type ID",
       leave_name: "Name of leave",
       total_leaves: "Default total leaves",
       is_active: "Active status",
@@ -253,6 +319,7 @@ export const semanticSchema = {
     entity: "Salary History",
     description: "Salary changes and increments of employees",
     table: "employee_salary_records",
+    displayFields: [],
 
     synonyms: [
       "salary",
@@ -268,12 +335,25 @@ export const semanticSchema = {
       increment_amount: "Increment value",
       is_active: "Active record",
     },
+
+    sensitivity: {
+      previous_salary: "restricted",
+      increment_amount: "restricted",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "employee_salary_records.employee_id = employees.id",
+      },
+    },
   },
 
   employee_allowances: {
     entity: "Employee Allowance",
     description: "Allowances assigned to employees",
     table: "employee_allowances",
+    displayFields: ["allowance_type", "payment_type"],
 
     synonyms: [
       "allowance",
@@ -288,12 +368,62 @@ export const semanticSchema = {
       payment_type: "Payment frequency",
       amount: "Allowance amount",
     },
+
+    sensitivity: {
+      amount: "restricted",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "employee_allowances.employee_id = employees.id",
+      },
+    },
+  },
+
+  bank_info: {
+    entity: "Bank Information",
+    description: "Bank account details used to pay employee salaries",
+    table: "bank_info",
+    primaryKey: "id",
+    displayFields: ["bank_name", "account_holder_name"],
+
+    synonyms: [
+      "bank",
+      "bank info",
+      "bank account",
+      "salary account",
+    ],
+
+    columns: {
+      id: "Bank record ID",
+      employee_id: "Employee reference",
+      bank_name: "Name of the bank",
+      account_holder_name: "Name on the bank account",
+      account_number: "Bank account number",
+      iban: "International bank account number",
+    },
+
+    sensitivity: {
+      bank_name: "internal",
+      account_holder_name: "restricted",
+      account_number: "restricted",
+      iban: "restricted",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "bank_info.employee_id = employees.id",
+      },
+    },
   },
 
   allowances: {
     entity: "Allowance Type",
     description: "Master list of allowance types",
     table: "allowances",
+    displayFields: ["allowance_type"],
 
     synonyms: [
       "allowance type",
@@ -310,6 +440,7 @@ export const semanticSchema = {
     entity: "Allowance Item",
     description: "Allowance items and descriptions",
     table: "allowance_items",
+    displayFields: ["allowance_item", "allowance_description"],
 
     synonyms: [
       "allowance item",
@@ -327,6 +458,7 @@ export const semanticSchema = {
     entity: "Allowance Detail",
     description: "Mapping of allowance types and items",
     table: "allowance_details",
+    displayFields: ["allowance_amount"],
 
     synonyms: [
       "allowance detail",
@@ -338,6 +470,17 @@ export const semanticSchema = {
       allowance_item_id: "Allowance item reference",
       allowance_amount: "Allowance amount",
     },
+
+    relations: {
+      allowance_type: {
+        table: "allowances",
+        join: "allowance_details.allowance_type_id = allowances.id",
+      },
+      allowance_item: {
+        table: "allowance_items",
+        join: "allowance_details.allowance_item_id = allowance_items.id",
+      },
+    },
   },
 
   /* =========================
@@ -348,6 +491,7 @@ export const semanticSchema = {
     entity: "Department",
     description: "Company departments",
     table: "departments",
+    displayFields: ["department_name", "description"],
 
     synonyms: [
       "department",
@@ -357,6 +501,7 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Department ID",
       department_name: "Name of department",
       description: "Department description",
       is_active: "Active status",
@@ -367,6 +512,7 @@ export const semanticSchema = {
     entity: "Employment Type",
     description: "Employment categories",
     table: "employment_types",
+    displayFields: ["employee_type"],
 
     synonyms: [
       "employment type",
@@ -387,6 +533,7 @@ export const semanticSchema = {
     entity: "Role",
     description: "Roles defined in system",
     table: "roles",
+    displayFields: ["role_name"],
 
     synonyms: [
       "role",
@@ -395,9 +542,20 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Role ID",
       role_name: "Role name",
       description: "Role description",
-      permission_ids: "Permissions linked to role",
+      permission_ids: "JSON array of permission ids linked to the role",
+      is_active: "Active status",
+    },
+
+    relations: {
+      permissions: {
+        table: "permissions",
+        // No plain join: the condition is written for the configured SQL
+        // dialect when the prompt schema is built (see sensitivity.js).
+        jsonArrayJoin: { array: "roles.permission_ids", value: "permissions.id" },
+      },
     },
   },
 
@@ -405,6 +563,7 @@ export const semanticSchema = {
     entity: "Permission",
     description: "System permissions",
     table: "permissions",
+    displayFields: ["permission", "module", "route"],
 
     synonyms: [
       "permission",
@@ -414,10 +573,13 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Permission ID",
       module: "System module",
       permission: "Permission name",
       route: "Frontend or backend route",
+      api_endpoint: "Backend API endpoint",
       method: "HTTP method",
+      is_active: "Active status",
     },
   },
 
@@ -425,6 +587,7 @@ export const semanticSchema = {
     entity: "Employee Role",
     description: "Role assignments for employees",
     table: "employee_roles",
+    displayFields: [],
 
     synonyms: [
       "employee role",
@@ -432,8 +595,21 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Role assignment ID",
       employee_id: "Employee reference",
       role_id: "Role reference",
+      is_active: "Active status",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "employee_roles.employee_id = employees.id",
+      },
+      role: {
+        table: "roles",
+        join: "employee_roles.role_id = roles.id",
+      },
     },
   },
 
@@ -441,16 +617,196 @@ export const semanticSchema = {
     entity: "Role Permission",
     description: "Permissions assigned directly to employees",
     table: "role_permissions",
+    displayFields: [],
+
+    synonyms: [
+      "direct permission",
+      "permission grant",
+      "employee permission",
+    ],
+
+    columns: {
+      id: "Direct permission grant ID",
+      employee_id: "Employee reference",
+      permission_id: "Permission reference (there is no role_id column)",
+      is_active: "Active status",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "role_permissions.employee_id = employees.id",
+      },
+      permission: {
+        table: "permissions",
+        join: "role_permissions.permission_id = permissions.id",
+      },
+    },
+  },
+
+  users: {
+    entity: "User",
+    description: "Login accounts of the HR system; activity_logs.user_id refers to these",
+    table: "users",
+    primaryKey: "id",
+    // Used for lookups (e.g. naming the actor of an activity log) but never
+    // offered to text-to-SQL.
+    queryable: false,
+    displayFields: ["first_name", "last_name", "email"],
+
+    synonyms: [
+      "user",
+      "users",
+      "user account",
+      "login account",
+    ],
+
+    columns: {
+      id: "User ID",
+      first_name: "First name",
+      last_name: "Last name",
+      email: "Login email address",
+      password: "Login password (hashed)",
+    },
+
+    sensitivity: {
+      password: "secret",
+    },
   },
 
   /* =========================
      SUPPORTING TABLES
   ==========================*/
 
+  attendance_device_info: {
+    entity: "Attendance Device",
+    description: "Biometric attendance machines that record check-ins",
+    table: "attendance_device_info",
+    primaryKey: "id",
+    displayFields: ["name"],
+
+    synonyms: [
+      "attendance device",
+      "attendance machine",
+      "biometric device",
+    ],
+
+    columns: {
+      id: "Attendance device ID",
+      name: "Device name",
+      ip: "Device IP address",
+      port: "Device port",
+      is_active: "Active status",
+    },
+  },
+
+  employee_dependent: {
+    entity: "Employee Dependent",
+    description: "Family members and dependents registered by employees",
+    table: "employee_dependent",
+    primaryKey: "id",
+    displayFields: ["name"],
+
+    synonyms: [
+      "dependent",
+      "dependents",
+      "family member",
+    ],
+
+    columns: {
+      id: "Dependent record ID",
+      employee_id: "Employee reference",
+      name: "Dependent name",
+      relation_type_id: "Relationship to the employee",
+    },
+
+    sensitivity: {
+      name: "restricted",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "employee_dependent.employee_id = employees.id",
+      },
+      relation_type: {
+        table: "relation_types",
+        join: "employee_dependent.relation_type_id = relation_types.id",
+      },
+    },
+  },
+
+  employee_documents: {
+    entity: "Employee Document",
+    description: "Documents uploaded for employees (contracts, certificates, IDs)",
+    table: "employee_documents",
+    primaryKey: "id",
+    displayFields: ["document_name", "employee_document"],
+
+    synonyms: [
+      "employee document",
+      "employee documents",
+      "attachment",
+    ],
+
+    columns: {
+      id: "Document record ID",
+      employee_id: "Employee reference",
+      document_name: "Document name",
+      employee_document: "Stored document file",
+    },
+
+    relations: {
+      employee: {
+        table: "employees",
+        join: "employee_documents.employee_id = employees.id",
+      },
+    },
+  },
+
+  relation_types: {
+    entity: "Relation Type",
+    description: "Kinds of family relationship used for employee dependents",
+    table: "relation_types",
+    primaryKey: "id",
+    displayFields: ["relation_type"],
+
+    synonyms: [
+      "relation type",
+      "relationship",
+    ],
+
+    columns: {
+      id: "Relation type ID",
+      relation_type: "Relationship name (e.g. spouse, child)",
+    },
+  },
+
+  configurations: {
+    entity: "Configuration",
+    description: "System configuration settings of the HR application",
+    table: "configurations",
+    primaryKey: "id",
+    displayFields: ["config_key"],
+
+    synonyms: [
+      "configuration",
+      "setting",
+      "settings",
+    ],
+
+    columns: {
+      id: "Configuration ID",
+      config_key: "Setting name",
+      config_value: "Setting value",
+    },
+  },
+
   activity_logs: {
     entity: "Activity Log",
     description: "Audit trail of system activities",
     table: "activity_logs",
+    displayFields: ["module", "action"],
 
     synonyms: [
       "activity log",
@@ -459,18 +815,28 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Activity log ID",
       user_id: "User performing action",
       module: "Module name",
       action: "Performed action",
       record_id: "Affected record",
       created_at: "Action timestamp",
     },
+
+    relations: {
+      user: {
+        table: "users",
+        join: "activity_logs.user_id = users.id",
+        description: "Login account that performed the action",
+      },
+    },
   },
 
   public_holidays: {
     entity: "Public Holiday",
     description: "Official public holidays",
     table: "public_holidays",
+    displayFields: ["name"],
 
     synonyms: [
       "holiday",
@@ -479,15 +845,210 @@ export const semanticSchema = {
     ],
 
     columns: {
+      id: "Holiday ID",
       holiday_date: "Holiday date",
       name: "Holiday name",
     },
   },
+};
+
+/* =========================
+   METRICS
+==========================*/
+
+// Employed on :as_of: joined by then and not yet left.
+const EMPLOYED_ON_AS_OF =
+  "employees.joining_date <= :as_of AND (employees.exit_date IS NULL OR employees.exit_date > :as_of)";
+
+/**
+ * Dimensions a metric can be grouped ("by department") or filtered ("in
+ * QA") by:
+ * - label, synonyms: how questions name the dimension
+ * - column: the value grouped by
+ * - filterColumn: the column compared with a resolved id when filtering
+ *   (column when absent)
+ * - table: the table the columns are reached from; "employees" is joined
+ *   through the metric's employeeJoin when it is not the metric's table
+ * - joins: further JOIN clauses, after that
+ */
+export const metricDimensions = {
+  department: {
+    label: "Department",
+    synonyms: ["department", "departments", "dept", "team", "teams"],
+    column: "departments.department_name",
+    filterColumn: "departments.id",
+    table: "employees",
+    joins: ["LEFT JOIN departments ON departments.id = employees.department"],
+  },
+  designation: {
+    label: "Designation",
+    synonyms: ["designation", "designations", "job title", "job titles"],
+    column: "employees.designation",
+    table: "employees",
+    joins: [],
+  },
+  employment_type: {
+    label: "Employment type",
+    synonyms: ["employment type", "employment types", "contract type", "contract types"],
+    column: "employees.employment_type",
+    table: "employees",
+    joins: [],
+  },
+  employee: {
+    label: "Employee",
+    synonyms: ["employee", "employees", "person", "staff member"],
+    column: "employees.employee_name",
+    filterColumn: "employees.id",
+    table: "employees",
+    joins: [],
+  },
+  leave_type: {
+    label: "Leave type",
+    synonyms: ["leave type", "leave types", "type of leave"],
+    column: "leave_types.leave_name",
+    filterColumn: "leave_types.id",
+    table: "employee_leaves",
+    joins: ["LEFT JOIN leave_types ON leave_types.id = employee_leaves.leave_type_id"],
+  },
+};
+
+/**
+ * Named HR measures with fixed definitions. Questions that name one are
+ * compiled into SQL by metricCompiler.js instead of free-form
+ * text-to-SQL.
+ *
+ * Metric fields:
+ * - label, description, synonyms: how questions name the metric; the
+ *   description is also given to the answer prompt
+ * - table: the table measured; employeeJoin joins employees to it when
+ *   it is another table
+ * - measure: the SELECT expression, or (dialect) => expression when it
+ *   needs SQL that differs between dialects (see db/dialects)
+ * - unit: "count", "percent", "years" or "amount"; decimals: rounding
+ * - filters: conditions every measured row meets
+ * - period: how the question's date range applies. { column } keeps rows
+ *   whose column falls in it, { yearColumn } rows of the year it starts
+ *   in, "snapshot" measures as of its end and "range" leaves it to the
+ *   measure (:range_start to :as_of). Metrics without one ignore dates.
+ *   :as_of is the end of the range, or today if that is earlier.
+ * - defaultPeriod: the period measured when the question names none
+ * - params: fixed values for other placeholders in the definition
+ * - dimensions: keys of metricDimensions it can be grouped or filtered by
+ */
+export const metrics = {
+  headcount: {
+    label: "Headcount",
+    description: "Number of employees employed on the date: joined on or before it and not exited by then",
+    synonyms: ["headcount", "head count", "employee count", "staff count", "team size"],
+    table: "employees",
+    measure: "COUNT(*)",
+    unit: "count",
+    decimals: 0,
+    filters: [EMPLOYED_ON_AS_OF],
+    period: "snapshot",
+    dimensions: ["department", "designation", "employment_type"],
+  },
+
+  attrition_rate: {
+    label: "Attrition rate",
+    description: "Employees who exited in the period as a percentage of the average headcount (mean of the headcount at its start and end)",
+    synonyms: ["attrition", "attrition rate", "employee turnover", "staff turnover", "turnover rate"],
+    table: "employees",
+    measure: `100.0 * SUM(CASE WHEN employees.exit_date BETWEEN :range_start AND :as_of THEN 1 ELSE 0 END)
+  / NULLIF((SUM(CASE WHEN employees.joining_date <= :range_start AND (employees.exit_date IS NULL OR employees.exit_date >= :range_start) THEN 1 ELSE 0 END)
+    + SUM(CASE WHEN ${EMPLOYED_ON_AS_OF} THEN 1 ELSE 0 END)) / 2.0, 0)`,
+    unit: "percent",
+    decimals: 1,
+    filters: [],
+    period: "range",
+    defaultPeriod: "this year",
+    dimensions: ["department", "designation", "employment_type"],
+  },
+
+  average_tenure: {
+    label: "Average tenure",
+    description: "Average years from joining to the date, over employees employed on it",
+    synonyms: ["average tenure", "avg tenure", "mean tenure", "length of service"],
+    table: "employees",
+    measure: (dialect) => `AVG(${dialect.daysBetween("employees.joining_date", ":as_of")}) / 365.25`,
+    unit: "years",
+    decimals: 1,
+    filters: [EMPLOYED_ON_AS_OF],
+    period: "snapshot",
+    dimensions: ["department", "designation", "employment_type", "employee"],
+  },
 
-  
+  average_salary: {
+    label: "Average salary",
+    description: "Average current salary of active employees (salary history is not considered)",
+    synonyms: ["average salary", "avg salary", "mean salary", "average pay"],
+    table: "employees",
+    measure: "AVG(employees.current_salary)",
+    unit: "amount",
+    decimals: 0,
+    filters: ["employees.is_active = 1"],
+    dimensions: ["department", "designation", "employment_type"],
+  },
+
+  attendance_rate: {
+    label: "Attendance rate",
+    description: "Present days as a percentage of present and absent days; leave days are not counted",
+    synonyms: ["attendance rate", "attendance percentage", "presence rate"],
+    table: "attendances",
+    employeeJoin: "JOIN employees ON employees.attendance_device_id = attendances.attendance_device_id",
+    measure: "100.0 * SUM(CASE WHEN LOWER(attendances.status) = 'present' THEN 1 ELSE 0 END) / NULLIF(COUNT(*), 0)",
+    unit: "percent",
+    decimals: 1,
+    filters: ["LOWER(attendances.status) IN ('present', 'absent')"],
+    period: { column: "attendances.date" },
+    defaultPeriod: "this month",
+    dimensions: ["department", "designation", "employment_type", "employee"],
+  },
+
+  on_time_rate: {
+    label: "On-time rate",
+    description: "Present days with a check-in at or before 09:15 as a percentage of present days with a check-in",
+    synonyms: ["on-time rate", "on time rate", "on-time percentage", "on time percentage", "punctuality"],
+    table: "attendances",
+    employeeJoin: "JOIN employees ON employees.attendance_device_id = attendances.attendance_device_id",
+    measure: "100.0 * SUM(CASE WHEN TIME(attendances.check_in) <= :on_time_until THEN 1 ELSE 0 END) / NULLIF(COUNT(*), 0)",
+    unit: "percent",
+    decimals: 1,
+    filters: ["LOWER(attendances.status) = 'present'", "attendances.check_in IS NOT NULL"],
+    period: { column: "attendances.date" },
+    defaultPeriod: "this month",
+    // Office hours start at 09:00, with a 15-minute grace period.
+    params: { on_time_until: "09:15:00" },
+    dimensions: ["department", "designation", "employment_type", "employee"],
+  },
 
+  leave_utilisation: {
+    label: "Leave utilisation",
+    description: "Leaves used (allocated minus remaining) as a percentage of leaves allocated for the leave year",
+    synonyms: ["leave utilisation", "leave utilization", "leave usage", "leave utilisation rate", "leave utilization rate"],
+    table: "employee_leaves",
+    employeeJoin: "JOIN employees ON employees.id = employee_leaves.employee_id",
+    measure: "100.0 * SUM(employee_leaves.total_leaves - employee_leaves.remaining_leaves) / NULLIF(SUM(employee_leaves.total_leaves), 0)",
+    unit: "percent",
+    decimals: 1,
+    filters: [],
+    period: { yearColumn: "employee_leaves.year" },
+    defaultPeriod: "this year",
+    dimensions: ["department", "designation", "employment_type", "employee", "leave_type"],
+  },
 };
 
+/**
+ * Column sensitivity, from least to most sensitive:
+ * - public: safe to show to any caller
+ * - internal: visible to authenticated callers allowed to read the row (default)
+ * - restricted: masked unless the caller has HR-wide access
+ * - secret: never sent to the LLM or returned (dropped from the prompt schema)
+ */
+export const SENSITIVITY_LEVELS = ["public", "internal", "restricted", "secret"];
+
+export const DEFAULT_SENSITIVITY = "internal";
+
 export const ENTITY_KEYWORDS = [
   // Employees
   "employee",
@@ -735,8 +1296,15 @@ export const SQL_ACTION_KEYWORDS = [
   "latest",
   "recent",
   "today",
+  "yesterday",
+  "this week",
+  "last week",
   "this month",
+  "last month",
+  "this quarter",
   "this year",
+  "last year",
+  "fiscal year",
 
   "remaining",
   "balance",
@@ -0,0 +1,300 @@
+import pkg from "node-sql-parser";
+import {
+  DEFAULT_SENSITIVITY,
+  SENSITIVITY_LEVELS,
+  semanticSchema
+} from "./semanticSchema.js";
+import { entityForTable } from "./schemaCatalog.js";
+import { sqlDialect } from "../db/dialects/index.js";
+
+const { Parser } = pkg;
+const parser = new Parser();
+const PARSER_OPTIONS = sqlDialect().parserOptions;
+
+const SECRET_MASK = "[REDACTED]";
+
+function rank(level) {
+  const idx = SENSITIVITY_LEVELS.indexOf(level);
+  return idx === -1 ? SENSITIVITY_LEVELS.indexOf(DEFAULT_SENSITIVITY) : idx;
+}
+
+function stricter(a, b) {
+  return rank(a) >= rank(b) ? a : b;
+}
+
+export function columnSensitivity(tableName, column) {
+  const entity = entityForTable(tableName);
+  return entity?.sensitivity?.[column] || DEFAULT_SENSITIVITY;
+}
+
+/**
+ * Highest sensitivity level a caller may see unmasked.
+ * `access` comes from resolveAccess() in auth/accessPolicy.js.
+ */
+export function visibleSensitivity(access) {
+  return access?.level === "all" ? "restricted" : "internal";
+}
+
+function promptRelation({ jsonArrayJoin, ...relation }) {
+  if (!jsonArrayJoin) return relation;
+  return {
+    ...relation,
+    join: sqlDialect().jsonArrayContains(jsonArrayJoin.array, jsonArrayJoin.value)
+  };
+}
+
+/**
+ * Semantic schema as sent to the LLM: non-queryable tables and secret
+ * columns are removed, and annotations the LLM does not need are left out.
+ * JSON array relations get a join condition in the configured dialect.
+ */
+export function buildPromptSchema(schema = semanticSchema) {
+  const promptSchema = {};
+  for (const [key, entity] of Object.entries(schema)) {
+    if (entity.queryable === false) continue;
+    const { sensitivity = {}, displayFields: _display, ...rest } = entity;
+    if (rest.columns) {
+      rest.columns = Object.fromEntries(
+        Object.entries(rest.columns).filter(
+          ([column]) => sensitivity[column] !== "secret"
+        )
+      );
+    }
+    if (rest.relations) {
+      rest.relations = Object.fromEntries(
+        Object.entries(rest.relations).map(([name, relation]) => [name, promptRelation(relation)])
+      );
+    }
+    promptSchema[key] = rest;
+  }
+  return promptSchema;
+}
+
+export function maskValue(value, level) {
+  if (value === null || value === undefined || value === "") return value;
+  if (level === "secret") return SECRET_MASK;
+
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Keep the last few characters so people can still tell records apart.
+  const visible = text.length > 8 ? text.slice(-4) : "";
+  return `****${visible}`;
+}
+
+function shouldMask(level, maxVisible) {
+  return level === "secret" || rank(level) > rank(maxVisible);
+}
+
+/**
+ * Mask the columns of a single table row, e.g. for documents built from
+ * raw table rows.
+ */
+export function maskRecord(row, tableName, maxVisible = "internal") {
+  if (!row || typeof row !== "object") return row;
+  const masked = {};
+  for (const [key, value] of Object.entries(row)) {
+    const level = columnSensitivity(tableName, key);
+    masked[key] = shouldMask(level, maxVisible) ? maskValue(value, level) : value;
+  }
+  return masked;
+}
+
+function collectColumnRefs(node, refs = []) {
+  if (!node || typeof node !== "object") return refs;
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectColumnRefs(child, refs));
+    return refs;
+  }
+  if (node.type === "column_ref") {
+    refs.push(node);
+    return refs;
+  }
+  Object.values(node).forEach((child) => collectColumnRefs(child, refs));
+  return refs;
+}
+
+// Quoted identifiers are parsed as { type, value } nodes.
+function identifier(node) {
+  const value = node?.expr?.value ?? node?.value ?? node;
+  return typeof value === "string" ? value : null;
+}
+
+function columnName(ref) {
+  return identifier(ref.column);
+}
+
+// Column -> sensitivity for each FROM source, keyed by alias (or table name).
+// `ctes` maps the names of enclosing WITH queries to their output columns.
+function sourcesOf(select, ctes) {
+  const sources = new Map();
+  for (const item of select.from || []) {
+    if (item.expr?.ast) {
+      sources.set(item.as, outputSensitivity(item.expr.ast, ctes));
+    } else if (typeof item.table === "string") {
+      if (!item.db && ctes.has(item.table.toLowerCase())) {
+        sources.set(item.as || item.table, ctes.get(item.table.toLowerCase()));
+        continue;
+      }
+      const entity = entityForTable(item.table);
+      const columns = new Map();
+      for (const column of Object.keys(entity?.columns || {})) {
+        columns.set(column, columnSensitivity(item.table, column));
+      }
+      for (const [column, level] of Object.entries(entity?.sensitivity || {})) {
+        columns.set(column, level);
+      }
+      columns.table = item.table;
+      sources.set(item.as || item.table, columns);
+    }
+  }
+  return sources;
+}
+
+// Output columns of each WITH query, visible to later WITH queries and to
+// the statement body. A column list (`WITH t(a, b) AS ...`) renames the
+// outputs by position.
+function withSensitivity(select, ctes) {
+  if (!Array.isArray(select.with)) return ctes;
+  const scope = new Map(ctes);
+  for (const cte of select.with) {
+    const name = identifier(cte?.name);
+    if (!name) continue;
+    let output = outputSensitivity(cte.stmt?.ast ?? cte.stmt, scope);
+    const renamed = (cte.columns || []).map((col) => identifier(col?.column ?? col));
+    if (renamed.length > 0 && renamed.every(Boolean)) {
+      const levels = Array.from(output.values());
+      const strictest = levels.reduce(stricter, "public");
+      output = new Map(
+        renamed.map((column, i) => [
+          column,
+          levels.length === renamed.length ? levels[i] : strictest
+        ])
+      );
+    }
+    scope.set(name.toLowerCase(), output);
+  }
+  return scope;
+}
+
+function refSensitivity(ref, sources) {
+  const column = columnName(ref);
+  if (!column) return DEFAULT_SENSITIVITY;
+
+  const table = identifier(ref.table);
+  const candidates = table
+    ? [sources.get(table)].filter(Boolean)
+    : Array.from(sources.values());
+
+  let level = null;
+  for (const columns of candidates) {
+    const found =
+      columns.get(column) ??
+      (columns.table ? columnSensitivity(columns.table, column) : undefined);
+    if (found) level = level ? stricter(level, found) : found;
+  }
+  return level || DEFAULT_SENSITIVITY;
+}
+
+/**
+ * Map each output column of a SELECT to the sensitivity of the source
+ * columns it is computed from. Expressions take the strictest level of
+ * every column they reference; `*` expands to the source's columns. WITH
+ * queries and derived tables are traced to their own sources, and UNION
+ * branches (named after the first branch) take the strictest level at
+ * each position.
+ */
+function outputSensitivity(select, ctes = new Map()) {
+  if (!select || select.type !== "select") return new Map();
+
+  const scope = withSensitivity(select, ctes);
+  const output = branchSensitivity(select, scope);
+  for (let next = select._next; next; next = next._next) {
+    const levels = Array.from(branchSensitivity(next, scope).values());
+    const names = Array.from(output.keys());
+    // Positions cannot be matched up (e.g. `*` over an unknown source):
+    // every column takes the strictest level of the branch.
+    const strictest = levels.reduce(stricter, DEFAULT_SENSITIVITY);
+    names.forEach((name, i) => {
+      const level = levels.length === names.length ? levels[i] : strictest;
+      output.set(name, stricter(output.get(name), level));
+    });
+  }
+  return output;
+}
+
+function branchSensitivity(select, ctes) {
+  const output = new Map();
+  const sources = sourcesOf(select, ctes);
+  const columns = Array.isArray(select.columns) ? select.columns : [];
+
+  for (const col of columns) {
+    const expr = col.expr || col;
+    if (expr.type === "column_ref" && columnName(expr) === "*") {
+      const table = identifier(expr.table);
+      const targets = table
+        ? [sources.get(table)].filter(Boolean)
+        : Array.from(sources.values());
+      for (const source of targets) {
+        for (const [name, level] of source) {
+          output.set(name, stricter(output.get(name) || "public", level));
+        }
+      }
+      continue;
+    }
+
+    const refs = collectColumnRefs(expr);
+    const level = refs.reduce(
+      (acc, ref) => stricter(acc, refSensitivity(ref, sources)),
+      "public"
+    );
+    const name =
+      (typeof col.as === "string" && col.as) ||
+      (expr.type === "column_ref" ? columnName(expr) : null);
+    if (name) output.set(name, refs.length ? level : DEFAULT_SENSITIVITY);
+  }
+
+  return output;
+}
+
+/**
+ * Mask SQL result rows according to the semantic schema and the caller's
+ * access. Columns that cannot be traced to a source fall back to a lookup
+ * by name across the tables the query reads, so renamed or computed
+ * columns are not a way around masking.
+ */
+export function maskRows(rows, sql, access) {
+  if (!Array.isArray(rows) || rows.length === 0) return rows;
+
+  const maxVisible = visibleSensitivity(access);
+  let output = new Map();
+  let tables = [];
+  try {
+    const ast = parser.astify(sql, PARSER_OPTIONS);
+    const first = Array.isArray(ast) ? ast[0] : ast;
+    output = outputSensitivity(first);
+    tables = parser
+      .tableList(sql, PARSER_OPTIONS)
+      .map((entry) => entry.split("::").pop());
+  } catch (err) {
+    console.warn("[MASKING] Could not analyze SQL, masking by column name:", err?.message || err);
+    tables = Object.values(semanticSchema).map((entity) => entity.table);
+  }
+
+  const levelFor = (key) => {
+    if (output.has(key)) return output.get(key);
+    return tables.reduce(
+      (acc, table) => stricter(acc, columnSensitivity(table, key)),
+      "public"
+    );
+  };
+
+  return rows.map((row) => {
+    if (!row || typeof row !== "object") return row;
+    const masked = {};
+    for (const [key, value] of Object.entries(row)) {
+      const level = levelFor(key);
+      masked[key] = shouldMask(level, maxVisible) ? maskValue(value, level) : value;
+    }
+    return masked;
+  });
+}
@@ -0,0 +1,51 @@
+import { OpenAIEmbeddings } from "@langchain/openai";
+import { config } from "../config/env.js";
+
+let embeddings;
+
+/**
+ * Embeddings client for lookups that sit in front of every generated
+ * query (schema selection, few-shot examples): fail fast so callers can
+ * fall back to lexical matching instead of retrying for long.
+ */
+export function queryEmbeddings() {
+  if (!embeddings) {
+    embeddings = new OpenAIEmbeddings({
+      apiKey: config.openaiApiKey,
+      maxRetries: 1,
+      timeout: 5000
+    });
+  }
+  return embeddings;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/** Edit distance: insertions, deletions and substitutions. */
+export function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return prev[b.length];
+}
@@ -1,37 +1,49 @@
+import pkg from "node-sql-parser";
 import { ChatOpenAI } from "@langchain/openai";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { StringOutputParser } from "@langchain/core/output_parsers";
 import { config } from "../config/env.js";
-import { queryDb } from "../db/query.js";
-import { semanticSchema } from "./semanticSchema.js";
-
-const allowedTables = [
-  'activity_logs',
-  'allowance_details',
-  'allowance_items',
-  'allowances',
-  'attendance_device_info',
-  'attendances',
-  'bank_info',
-  'configurations',
-  'departments',
-  'employee_allowances',
-  'employee_dependent',
-  'employee_documents',
-  'employee_leaves',
-  'employee_roles',
-  'employee_salary_records',
-  'employees',
-  'employment_types',
-  'leave_types',
-  'permissions',
-  'public_holidays',
-  'relation_types',
-  'requested_leaves',
-  'role_permissions',
-  'roles',
-];
-
+import { QueryLimitError, queryDb } from "../db/query.js";
+import { SqlValidationError, validateSelectSql } from "../db/sqlValidator.js";
+import { sqlDialect } from "../db/dialects/index.js";
+import { buildPromptSchema, maskRows } from "./sensitivity.js";
+import { buildColumnHints, queryableTables } from "./schemaCatalog.js";
+import { findSimilarExamples, formatExamples } from "./sqlExamples.js";
+import { matchTemplate } from "./queryTemplates.js";
+import { compileMetric, matchMetric, measuresOnlyEmployee } from "./metricCompiler.js";
+import {
+  describeComparison,
+  detectComparison,
+  periodRows,
+  summarizeComparison
+} from "./periodComparison.js";
+import { enrichRows } from "./rowEnrichment.js";
+import { buildChartSpec } from "./chartSpec.js";
+import { clarificationQuestion, resolveEmployee } from "./employeeResolver.js";
+import {
+  dateRangeFromParams,
+  dateRangeParams,
+  describeDateRange,
+  resolveDateRange
+} from "./dateRange.js";
+import { clampPageSize, countSql, paginateSql, readLimit } from "./pagination.js";
+import {
+  expandWithNeighbours,
+  promptSchemaFor,
+  selectSchema
+} from "./schemaSelector.js";
+import {
+  AccessDeniedError,
+  applyAccessPolicy,
+  resolveAccess
+} from "../auth/accessPolicy.js";
+
+const sqlParser = new pkg.Parser();
+
+const dialect = sqlDialect();
+const permissionJoin = dialect.jsonArrayContains("roles.permission_ids", "permissions.id");
+
+const allowedTables = queryableTables();
 
 const joinGuidance = `Join rules:
 - Primary link: attendances.attendance_device_id = employees.attendance_device_id (employee_id is often null in attendances)
@@ -42,13 +54,14 @@ const joinGuidance = `Join rules:
 - For roles/permissions:
   - employee_roles.employee_id = employees.id
   - employee_roles.role_id = roles.id
-  - roles.permission_ids is a JSON array of permission ids → join permissions with JSON_CONTAINS(roles.permission_ids, CAST(permissions.id AS JSON))
+  - roles.permission_ids is a JSON array of permission ids → join permissions with ${permissionJoin}
   - If using role_permissions, join role_permissions.employee_id = employees.id and role_permissions.permission_id = permissions.id (there is no role_id column there)`;
 
-const semanticSchemaText = JSON.stringify(semanticSchema, null, 2);
+// Secret columns (e.g. employees.password) never reach the LLM.
+const semanticSchemaText = JSON.stringify(buildPromptSchema(), null, 2);
 
 const sqlPrompt = ChatPromptTemplate.fromTemplate(
-  `You are a MySQL text-to-SQL assistant for Convier Solutions.
+  `You are a ${dialect.label} text-to-SQL assistant for Convier Solutions.
 
 You have access to the following semantic database schema.
 Use ONLY the tables, columns, and joins defined below.
@@ -59,18 +72,10 @@ Always use relations when data spans multiple entities.
 
 Use ONLY these tables: {tableList}.
 {joinGuidance}
+{dialectGuidance}
 
  Column hints (use real columns only):
- - employees: id, employee_name, attendance_device_id, personal_contact_number, emergency_contact_number, personal_email, employee_address, department, designation, office_email, joining_date, current_salary, is_active
- - attendances: id, employee_id (often null), attendance_device_id, check_in, check_out, date, status
- - attendance_device_info: id, name, ip, port, is_active
- - departments: id, department_name, description, is_active
- - employee_leaves: id, employee_id, leave_type_id, total_leaves, year, remaining_leaves, is_active
- - leave_types: id, leave_name, total_leaves, is_active
- - employee_roles: id, employee_id, role_id, is_active
- - roles: id, role_name, description, permission_ids (JSON array of permission ids), is_active
- - role_permissions: id, employee_id, permission_id, is_active (no role_id column)
- - permissions: id, module, permission, route, api_endpoint, method, is_active
+{columnHints}
 
  Rules:
 - SELECT statements only.
@@ -108,9 +113,13 @@ Use ONLY these tables: {tableList}.
  - Always also include leave_type_id as category_id in the SELECT for clarity.
 
  Permissions via roles:
- - roles.permission_ids is a JSON array of permission ids. To join permissions, use JSON_CONTAINS(roles.permission_ids, CAST(permissions.id AS JSON)).
+ - roles.permission_ids is a JSON array of permission ids. To join permissions, use ${permissionJoin}.
  - If employee_roles is present, link employee_roles.role_id = roles.id, then expand permissions via the JSON array.
 
+Verified examples for similar questions (follow their patterns, adapting
+names, dates and filters to the question):
+{examples}
+
 Return ONLY the SQL statement and nothing else.
 
 User question:
@@ -128,16 +137,66 @@ SQL executed:
 
 Rows (JSON):
 {rowsJson}
-
+{comparison}
 Provide a concise, friendly answer using ONLY the data shown. Summarize patterns instead of dumping raw JSON.
 - Start by clearly mentioning that this answer is based on live HR/operations database records.
 - If rows include category_id (leave_type_id), present it clearly (e.g., "Category 2: 8 remaining leaves").
 - If the employee name is present, echo it; if not, describe the match (e.g., matched by attendance device ID).
 - If no rows, explicitly say that no matching records were found in the database.
+- If a period comparison is given, rows carry the period they belong to. Report the changes and percentage changes exactly as computed there; do not recalculate them.
+- Rows may carry looked-up descriptive fields next to id columns (e.g. leave_type_name for leave_type_id, employee_name for employee_id, record_name for an activity log's record_id). Use them instead of the ids.
 - If the SQL query uses the activity_logs table, describe each log entry in natural language (for example: who did what, on which module/record, and when), instead of listing raw IDs.
 - Prefer describing entities using their descriptive fields (names, emails, statuses, dates) and use raw IDs only when absolutely necessary for clarity.
 - Unless the user explicitly asks for IDs, do not mention internal numeric identifiers like id, employee_id, record_id, or user_id in the answer. Instead, refer to records generically (e.g., "an employee record" or "a leave record") or by human-readable fields such as names.
-- Do not fabricate category names if none are present; just use the category_id.`
+- Do not fabricate names that are not in the rows; fall back to the id (e.g. category_id) when no name is present.`
+);
+
+const ACCESS_DENIED_ANSWER =
+  "You don't have access to that information. Employees can only view their own HR records; please contact HR for anything else.";
+
+// The access policy would narrow any other metric to the caller's own
+// rows and present e.g. "headcount = 1" as the company figure.
+const orgMetricDeniedAnswer = (metric) =>
+  `${metric.label} beyond your own records is only available to HR. You can ask about your own figures instead, e.g. "my on-time rate this month".`;
+
+// Answers for a question whose SQL never ran successfully, by the stage
+// of the last attempt.
+const FAILED_QUERY_ANSWERS = {
+  validation:
+    "I couldn't generate a safe database query for that request. Please rephrase or narrow the question.",
+  plan:
+    "That question would need to read too many records at once. Please narrow it, for example to a date range, department or employee.",
+  execution:
+    "I couldn't run that database query safely. Please adjust the question or try a simpler one.",
+};
+
+const repairPrompt = ChatPromptTemplate.fromTemplate(
+  `You are a ${dialect.label} text-to-SQL assistant for Convier Solutions.
+
+A SELECT statement you wrote for the question below failed. Fix it so it
+answers the question and runs on ${dialect.label}.
+
+User question:
+{question}
+
+Failing SQL:
+{sql}
+
+Error:
+{error}
+
+Relevant part of the semantic schema (use ONLY these tables and columns):
+{semanticSchema}
+
+{joinGuidance}
+{dialectGuidance}
+
+Rules:
+- SELECT statements only; keep the original intent and projection where possible.
+- Change only what is needed to fix the error.
+- Add LIMIT 50 unless counting/aggregating.
+
+Return ONLY the corrected SQL statement and nothing else.`
 );
 
 function buildLlm(options = {}) {
@@ -145,7 +204,7 @@ function buildLlm(options = {}) {
     apiKey: config.openaiApiKey,
     model: config.openaiModel,
     temperature: options.temperature ?? 0,
-    streaming: false,
+    streaming: options.streaming ?? false,
   });
 }
 
@@ -158,37 +217,6 @@ function stripMarkdown(sql) {
   return cleaned;
 }
 
-function ensureSelectOnly(sql) {
-  const normalized = (sql || "").trim();
-  const trimmed = normalized.replace(/;+\s*$/g, "");
-
-  if (!/^select\b/i.test(trimmed)) {
-    throw new Error("Only SELECT statements are allowed.");
-  }
-  const forbidden = /(insert|update|delete|drop|alter|truncate|create|grant|revoke|replace|;)/i;
-  if (forbidden.test(trimmed)) {
-    throw new Error("Statement contains non-SELECT or unsafe content.");
-  }
-  return trimmed;
-}
-
-function ensureAllowedTables(sql) {
-  const lowerSql = sql.toLowerCase();
-  for (const word of [" from ", " join ", " into ", " update ", " delete "]) {
-    if (!lowerSql.includes(word.trim())) continue;
-  }
-  const tablePattern = /\b(from|join)\s+`?([a-zA-Z0-9_]+)`?/gi;
-  let match;
-  while ((match = tablePattern.exec(lowerSql))) {
-    const raw = match[2];
-    const table = raw.includes(".") ? raw.split(".").pop() : raw;
-    if (!allowedTables.includes(table)) {
-      throw new Error(`Table ${table} is not allowed.`);
-    }
-  }
-  return sql;
-}
-
 function ensureLimit(sql) {
   const isCount = /\bcount\s*\(/i.test(sql);
   const hasLimit = /\blimit\b/i.test(sql);
@@ -198,289 +226,330 @@ function ensureLimit(sql) {
   return sql;
 }
 
-async function generateSql(question) {
-  const llm = buildLlm({ temperature: 0 });
-  const chain = sqlPrompt.pipe(llm).pipe(new StringOutputParser());
-  const rawSql = await chain.invoke({
-    question,
-    tableList: allowedTables.join(", "),
-    joinGuidance,
-    semanticSchema: semanticSchemaText,
-  });
+function prepareSql(rawSql) {
   let sql = stripMarkdown(rawSql);
-  sql = ensureSelectOnly(sql);
-  sql = ensureAllowedTables(sql);
-  sql = ensureLimit(sql);
-  console.log(`[SQL_CHAIN] Generated SQL: ${sql}`);
-  return sql;
+  sql = validateSelectSql(sql, { allowedTables });
+  return ensureLimit(sql);
 }
 
-async function executeSql(sql) {
-  const timeoutMs = 3000;
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(() => reject(new Error("SQL execution timed out")), timeoutMs)
-  );
-  const rows = await Promise.race([queryDb(sql), timeoutPromise]);
-  return rows;
-}
+// The resolved range goes to the LLM as placeholders, never as dates to
+// work out itself.
+function withDateRangeHint(question, dateRange) {
+  if (!dateRange) return question;
+  return `${question}
 
-async function formatAnswer(question, sql, rows) {
-  const llm = buildLlm({ temperature: config.openaiTemperature ?? 0 });
-  const chain = answerPrompt.pipe(llm).pipe(new StringOutputParser());
-  const rowsJson = JSON.stringify(rows ?? []).slice(0, 6000);
-  return chain.invoke({ question, sql, rowsJson });
+Date range "${dateRange.label}" is already resolved (inclusive, company time): :range_start = ${dateRange.start}, :range_end = ${dateRange.end}. Filter with these placeholders, e.g. attendances.date BETWEEN :range_start AND :range_end (wrap DATETIME/TIMESTAMP columns in DATE()). Do not compute dates or write date literals for this range.`;
 }
 
-async function enrichRowsWithEmployees(sql, rows) {
-  if (!rows || rows.length === 0) return rows;
-
-  const lowerSql = (sql || "").toLowerCase();
-  const touchesActivityLogs = lowerSql.includes("activity_logs");
-
-  const employeeIds = new Set();
-  const userIds = new Set();
-
-  for (const row of rows) {
-    if (row && typeof row === "object") {
-      if (row.employee_id && Number.isFinite(Number(row.employee_id))) {
-        employeeIds.add(Number(row.employee_id));
-      }
-      if (row.target_employee_id && Number.isFinite(Number(row.target_employee_id))) {
-        employeeIds.add(Number(row.target_employee_id));
-      }
-      if (
-        touchesActivityLogs &&
-        row.module === "Employee" &&
-        row.record_id &&
-        Number.isFinite(Number(row.record_id))
-      ) {
-        employeeIds.add(Number(row.record_id));
-      }
+// Only the tables picked for the question (and their join neighbours)
+// are described in the prompt, along with the closest verified examples.
+async function generateSql(question, dateRange) {
+  const [selection, examples] = await Promise.all([
+    selectSchema(question),
+    findSimilarExamples(question),
+  ]);
+  const llm = buildLlm({ temperature: 0 });
+  const chain = sqlPrompt.pipe(llm).pipe(new StringOutputParser());
+  const rawSql = await chain.invoke({
+    question: withDateRangeHint(question, dateRange),
+    tableList: selection.tables.join(", "),
+    columnHints: buildColumnHints(selection.tables),
+    joinGuidance,
+    dialectGuidance: dialect.promptGuidance,
+    semanticSchema: selection.fallback
+      ? semanticSchemaText
+      : JSON.stringify(promptSchemaFor(selection.tables), null, 2),
+    examples: formatExamples(examples),
+  });
+  console.log(`[SQL_CHAIN] Generated SQL: ${rawSql}`);
+  return { rawSql: stripMarkdown(rawSql), selection };
+}
 
-      if (row.user_id && Number.isFinite(Number(row.user_id))) {
-        userIds.add(Number(row.user_id));
-      }
-    }
+// Schema entries for the tables a statement uses plus their join
+// neighbours, so a repair prompt stays focused.
+function schemaForSql(sql) {
+  let tables;
+  try {
+    tables = sqlParser
+      .tableList(sql, dialect.parserOptions)
+      .map((entry) => entry.split("::").pop().toLowerCase());
+  } catch {
+    return semanticSchemaText;
   }
 
-  if (employeeIds.size === 0 && userIds.size === 0) {
-    return rows;
-  }
+  const subset = promptSchemaFor(expandWithNeighbours(tables));
+  return Object.keys(subset).length
+    ? JSON.stringify(subset, null, 2)
+    : semanticSchemaText;
+}
 
-  const employeeMap = new Map();
-  const userMap = new Map();
+async function repairSql(question, failedSql, error) {
+  const llm = buildLlm({ temperature: 0 });
+  const chain = repairPrompt.pipe(llm).pipe(new StringOutputParser());
+  const rawSql = await chain.invoke({
+    question,
+    sql: failedSql,
+    error,
+    joinGuidance,
+    dialectGuidance: dialect.promptGuidance,
+    semanticSchema: schemaForSql(failedSql),
+  });
+  console.log(`[SQL_CHAIN] Repaired SQL: ${rawSql}`);
+  return stripMarkdown(rawSql);
+}
 
-  if (employeeIds.size > 0) {
-    const idsArray = Array.from(employeeIds);
-    const idList = idsArray.join(",");
+// Only problems with the statement itself are worth another LLM round:
+// validator rejections and database errors such as an unknown column.
+// Connection failures and timeouts are not.
+function isRepairable(err) {
+  if (err instanceof SqlValidationError) return true;
+  return dialect.isStatementError(err);
+}
 
+/**
+ * Validate, scope and run a candidate statement. When validation or the
+ * database rejects it, the error and the failing SQL are sent back to the
+ * LLM for a corrected statement, up to SQL_REPAIR_MAX_ATTEMPTS times.
+ *
+ * Access-policy denials are never repaired; they are rethrown.
+ */
+async function executeWithRepair(question, rawSql, access, params = {}) {
+  const attempts = [];
+  let candidate = rawSql;
+
+  for (let attempt = 1; ; attempt += 1) {
+    let stage = "validation";
     try {
-      const lookupSql = `SELECT id, employee_name, office_email FROM employees WHERE id IN (${idList})`;
-      const employeeRows = await executeSql(lookupSql);
-      for (const emp of employeeRows || []) {
-        if (!emp || !Number.isFinite(Number(emp.id))) continue;
-        employeeMap.set(Number(emp.id), {
-          employee_name: emp.employee_name,
-          office_email: emp.office_email,
-        });
-      }
+      const sql = prepareSql(candidate);
+      const executedSql = applyAccessPolicy(sql, access);
+      stage = "execution";
+      const rows = await executeSql(executedSql, params);
+      attempts.push({ attempt, stage, error: null });
+      return { sql, executedSql, rows, attempts };
     } catch (err) {
-      console.warn("Employee enrichment lookup failed:", err?.message || err);
-    }
-  }
-
-  if (userIds.size > 0) {
-    const idsArray = Array.from(userIds);
-    const idList = idsArray.join(",");
-
-    try {
-      const lookupSql = `SELECT id, first_name, last_name, email FROM users WHERE id IN (${idList})`;
-      const userRows = await executeSql(lookupSql);
-      for (const u of userRows || []) {
-        if (!u || !Number.isFinite(Number(u.id))) continue;
-        const fullName = [u.first_name, u.last_name].filter(Boolean).join(" ") || undefined;
-        userMap.set(Number(u.id), {
-          name: fullName,
-          email: u.email,
-        });
+      if (err instanceof AccessDeniedError) throw err;
+      const error = err?.message || String(err);
+      // Statements rejected by the EXPLAIN pre-check never ran.
+      const failedStage = err instanceof QueryLimitError && err.reason === "scan_limit"
+        ? "plan"
+        : stage;
+      console.warn(`[SQL_CHAIN] Attempt ${attempt} failed (${failedStage}): ${error}`);
+      attempts.push({ attempt, stage: failedStage, error });
+
+      if (!isRepairable(err) || attempt > config.sqlRepairMaxAttempts) {
+        return { sql: null, executedSql: null, rows: null, attempts };
+      }
+      try {
+        candidate = await repairSql(question, candidate, error);
+      } catch (repairErr) {
+        console.warn("SQL repair failed:", repairErr?.message || repairErr);
+        return { sql: null, executedSql: null, rows: null, attempts };
       }
-    } catch (err) {
-      console.warn("User enrichment lookup failed:", err?.message || err);
     }
   }
-
-  if (employeeMap.size === 0 && userMap.size === 0) return rows;
-
-  const enriched = rows.map((row) => {
-    if (!row || typeof row !== "object") return row;
-
-    let employeeIdCandidate = null;
-    if (row.employee_id && Number.isFinite(Number(row.employee_id))) {
-      employeeIdCandidate = Number(row.employee_id);
-    } else if (
-      row.target_employee_id &&
-      Number.isFinite(Number(row.target_employee_id))
-    ) {
-      employeeIdCandidate = Number(row.target_employee_id);
-    } else if (
-      touchesActivityLogs &&
-      row.module === "Employee" &&
-      row.record_id &&
-      Number.isFinite(Number(row.record_id))
-    ) {
-      employeeIdCandidate = Number(row.record_id);
-    }
-
-    const maybeEmployeeInfo =
-      employeeIdCandidate != null && employeeMap.has(employeeIdCandidate)
-        ? employeeMap.get(employeeIdCandidate)
-        : null;
-
-    const maybeUserInfo =
-      row.user_id && userMap.has(Number(row.user_id))
-        ? userMap.get(Number(row.user_id))
-        : null;
-
-    return {
-      ...row,
-      employee_name:
-        maybeEmployeeInfo?.employee_name ?? row.employee_name,
-      employee_office_email:
-        maybeEmployeeInfo?.office_email ?? row.employee_office_email,
-      actor_name: maybeUserInfo?.name ?? row.actor_name,
-      actor_email: maybeUserInfo?.email ?? row.actor_email,
-    };
-  });
-
-  return enriched;
 }
 
-function buildRuleBasedSql(question) {
-  const q = (question || "").toLowerCase();
-  if (!q) return "";
-
-  const leaveTypeMatch = q.match(/\b(casual|sick|annual|earned|unpaid|paid)\s+leave\b/i);
-  const employeeNameMatch = q.match(/\bof\s+([a-zA-Z\s.'-]+)$/i);
-
-  if (leaveTypeMatch) {
-    const leaveType = leaveTypeMatch[1].toLowerCase();
-    const name = employeeNameMatch ? employeeNameMatch[1].trim() : "";
-    const nameFilter = name
-      ? ` AND employees.employee_name LIKE '%${name.replace(/'/g, "''")}%'`
-      : "";
-
-    return `SELECT employees.employee_name, leave_types.leave_name AS category_name, employee_leaves.remaining_leaves, employee_leaves.year FROM employee_leaves JOIN employees ON employee_leaves.employee_id = employees.id JOIN leave_types ON employee_leaves.leave_type_id = leave_types.id WHERE LOWER(leave_types.leave_name) LIKE '%${leaveType}%'${nameFilter} LIMIT 50`;
-  }
-
-  const wantsActivityLogs =
-    q.includes("activity log") ||
-    q.includes("activity logs") ||
-    q.includes("audit log") ||
-    q.includes("system log");
-
-  if (wantsActivityLogs) {
-    return `SELECT user_id, module, action, record_id, created_at FROM activity_logs ORDER BY created_at DESC LIMIT 50`;
-  }
+function executeSql(sql, params = {}, timeoutMs = config.sqlTimeoutMs) {
+  return queryDb(sql, params, { timeoutMs });
+}
 
-  return "";
+// SQL as shown to the answer prompt, with template values spelled out
+// and the definition of the metric it computes, if any.
+function describeSql(sql, params = {}, metric) {
+  const described = Object.keys(params).length
+    ? `${sql}\n-- parameters: ${JSON.stringify(params)}`
+    : sql;
+  return metric
+    ? `${described}\n-- metric: ${metric.label} (${metric.unit}): ${metric.description}`
+    : described;
 }
 
-function applyLimitOffset(sql, limit, offset) {
-  const cleaned = (sql || "").replace(/;+\s*$/g, "").trim();
-  if (!cleaned) return "";
+// The answer opens with the period(s) it covers, stated from the
+// resolved ranges rather than left to the LLM.
+async function answerWithNote(note, produceAnswer, onToken) {
+  if (!note) return produceAnswer();
+  const opening = `${note}\n\n`;
+  if (onToken) onToken(opening);
+  return opening + (await produceAnswer());
+}
 
-  const safeLimit = Number.isFinite(limit) && limit > 0 ? limit : 50;
-  const safeOffset = Math.max(0, Number.isFinite(offset) ? offset : 0);
+function answerWithDateRange(dateRange, produceAnswer, onToken) {
+  return answerWithNote(dateRange && describeDateRange(dateRange), produceAnswer, onToken);
+}
 
-  // If this is a COUNT query, we generally don't paginate further.
-  if (/\bcount\s*\(/i.test(cleaned)) {
-    return cleaned;
+// `comparison` is the summary of a period comparison (see
+// periodComparison.js); its changes are given to the LLM ready-made.
+async function formatAnswer(question, sql, rows, onToken, comparison) {
+  const llm = buildLlm({
+    temperature: config.openaiTemperature ?? 0,
+    streaming: Boolean(onToken),
+  });
+  const chain = answerPrompt.pipe(llm).pipe(new StringOutputParser());
+  const inputs = {
+    question,
+    sql,
+    rowsJson: JSON.stringify(rows ?? []).slice(0, 6000),
+    comparison: comparison
+      ? `\nPeriod comparison, computed from the rows (oldest period first):\n${JSON.stringify(comparison).slice(0, 6000)}\n`
+      : "",
+  };
+  if (!onToken) {
+    return chain.invoke(inputs);
   }
 
-  const limitClauseRegex = /\blimit\s+\d+(\s+offset\s+\d+)?/i;
-  if (limitClauseRegex.test(cleaned)) {
-    return cleaned.replace(limitClauseRegex, `LIMIT ${safeLimit} OFFSET ${safeOffset}`);
+  let answer = "";
+  const stream = await chain.stream(inputs);
+  for await (const token of stream) {
+    if (!token) continue;
+    answer += token;
+    onToken(token);
   }
-
-  return `${cleaned} LIMIT ${safeLimit} OFFSET ${safeOffset}`;
+  return answer;
 }
 
-function extractEmployeeNameFromHistory(history = []) {
-  if (!Array.isArray(history) || history.length === 0) return "";
-
-  const reversed = [...history].reverse();
-  for (const msg of reversed) {
-    const text = (msg?.content || "").trim();
-    if (!text) continue;
-
-    const whoIsMatch = text.match(/\bwho\s+is\s+([a-zA-Z\s.'-]+)\b/i);
-    if (whoIsMatch) return whoIsMatch[1].trim();
-
-    const aboutMatch = text.match(/\babout\s+([a-zA-Z\s.'-]+)\b/i);
-    if (aboutMatch) return aboutMatch[1].trim();
-
-    const isMatch = text.match(/\b([A-Z][a-zA-Z.'-]+\s+[A-Z][a-zA-Z.'-]+)\s+is\b/);
-    if (isMatch) return isMatch[1].trim();
-  }
-
-  return "";
+// First-person questions ("my leave balance") refer to the authenticated
+// caller, so spell out who that is for SQL generation.
+function applyCallerContext(question, identity) {
+  if (identity?.employeeId == null) return question;
+  if (!/\b(my|me|mine|myself|i)\b/i.test(question || "")) return question;
+  const who = identity.name ? `${identity.name}, ` : "";
+  return `${question} (the person asking is ${who}employee id ${identity.employeeId})`;
 }
 
-function shouldUseEmployeeContext(question) {
-  const q = (question || "").toLowerCase();
-  if (!q) return false;
-  return (
-    q.includes("attendance") ||
-    q.includes("leave") ||
-    q.includes("salary") ||
-    q.includes("contact") ||
-    q.includes("details") ||
-    q.includes("info") ||
-    q.includes("profile")
-  );
-}
+// First-person wording that makes a figure the caller's own.
+const CALLER_OWNED = /\b(?:my|mine|myself|(?:for|of) me)\b/i;
 
-function containsPronounReference(question) {
-  const q = (question || "").toLowerCase();
-  if (!q) return false;
-  return (
-    q.includes("his ") ||
-    q.includes("her ") ||
-    q.includes("their ") ||
-    q.includes("that employee") ||
-    q.includes("this employee") ||
-    q.includes("that person") ||
-    q.includes("this person")
-  );
+// Spell out the matched employee's full name where the question had a
+// partial or misspelled one.
+function nameEmployee(question, mention, name) {
+  if (mention && question.includes(mention)) return question.replace(mention, name);
+  return question.toLowerCase().includes(name.toLowerCase())
+    ? question
+    : `${question} for ${name}`;
 }
 
-function questionHasPersonName(question) {
-  const q = (question || "").trim();
-  if (!q) return false;
-  return /\b[A-Z][a-zA-Z.'-]+\s+[A-Z][a-zA-Z.'-]+\b/.test(q);
+// A comparison's periods are told apart only by the statement's period
+// placeholders.
+const PERIOD_PLACEHOLDERS = /:(?:range_start|range_end|range_year|as_of)\b/;
+
+/**
+ * Run the statement written for a comparison's latest period (whose
+ * `rows` are already known) for each earlier period, with that period's
+ * parameters from `paramsFor(period)`. Returns [{ period, rows }] oldest
+ * first, or null when the statement does not use the period.
+ */
+async function runForPeriods(comparison, executedSql, rows, paramsFor) {
+  if (!PERIOD_PLACEHOLDERS.test(executedSql)) return null;
+  const { periods } = comparison;
+  const results = [];
+  for (const period of periods.slice(0, -1)) {
+    results.push({ period, rows: await executeSql(executedSql, paramsFor(period)) });
+  }
+  results.push({ period: periods[periods.length - 1], rows });
+  return results;
 }
 
-export async function runSqlChain(question, history = []) {
-  let normalizedQuestion = question || "";
-  const hasName = questionHasPersonName(normalizedQuestion);
-  const useContext = shouldUseEmployeeContext(normalizedQuestion);
-  const hasPronoun = containsPronounReference(normalizedQuestion);
+/**
+ * Answer a question from live HR database records: SQL comes from a
+ * metric definition, a query template or the LLM, and is validated,
+ * scoped to the caller and repaired before it runs.
+ *
+ * Options:
+ * - identity: the authenticated caller, used to resolve "my"/"me" and to
+ *   restrict the query to the rows the caller may see.
+ * - selectedEmployee: { id, name, mention } the question is about, e.g.
+ *   the answer to a clarification.
+ * - onToken: stream the formatted answer as it is generated.
+ *
+ * Returns { answer, rows, sql, executedSql, params, attempts, ... }.
+ * `sql` is the validated statement before access scoping (reused for
+ * paging and export), `executedSql` what actually ran. `metric`,
+ * `template`, `schemaSelection`, `dateRange`, `comparison` and `employee`
+ * describe how the question was read. When a name matches several
+ * employees no SQL runs and `clarification` holds { mention, candidates }.
+ */
+export async function runSqlChain(question, options = {}) {
+  // The query is written for the latest period of a comparison and run
+  // again for the others.
+  const comparison = detectComparison(question || "");
+  const asked = comparison ? comparison.question : question || "";
+  let normalizedQuestion = applyCallerContext(asked, options.identity);
+  const refersToCaller = normalizedQuestion !== asked;
+  const access = resolveAccess(options.identity);
+  const dateRange = comparison
+    ? comparison.periods[comparison.periods.length - 1]
+    : resolveDateRange(normalizedQuestion);
+
+  let employee = null;
+  let employeeMention;
+  if (!refersToCaller) {
+    const selected = options.selectedEmployee;
+    const resolution = selected
+      ? { status: "resolved", employee: selected, mention: selected.mention }
+      : await resolveEmployee(normalizedQuestion, {
+          access,
+          ignore: dateRange?.expression,
+        });
 
-  if (!hasName && (useContext || hasPronoun)) {
-    const lastName = extractEmployeeNameFromHistory(history);
-    if (lastName) {
-      normalizedQuestion = `${normalizedQuestion} for ${lastName}`;
+    if (resolution.status === "ambiguous") {
+      const { mention, candidates } = resolution;
+      console.log(
+        `[SQL_CHAIN] "${mention}" matches ${candidates.length} employees; asking which one`
+      );
+      return {
+        sql: "",
+        rows: [],
+        answer: clarificationQuestion(resolution),
+        clarification: { mention, candidates },
+      };
     }
-  }
 
-  let sql;
+    if (resolution.status === "resolved") {
+      employee = resolution.employee;
+      employeeMention = resolution.mention;
+      normalizedQuestion = nameEmployee(normalizedQuestion, resolution.mention, employee.name);
+    }
+  }
+  // The LLM is told the id; templates and metrics get it through `employee`.
+  const sqlQuestion = employee
+    ? `${normalizedQuestion} (${employee.name} is employee id ${employee.id})`
+    : normalizedQuestion;
+
+  let rawSql;
+  let params = {};
+  let schemaSelection;
+  let metric = null;
+  let template = null;
   try {
-    const ruleSql = buildRuleBasedSql(normalizedQuestion);
-    if (ruleSql) {
-      sql = ruleSql;
-      console.log(`[SQL_CHAIN] Using rule-based SQL: ${sql}`);
+    // A metric is the caller's own only when the question says so ("my
+    // on-time rate"); "show me the headcount" is about everyone.
+    metric = await matchMetric(asked, {
+      dateRange,
+      employee: refersToCaller && CALLER_OWNED.test(asked)
+        ? { id: options.identity.employeeId, name: options.identity.name }
+        : employee,
+    });
+    // First-person questions go to the LLM, which is told who is asking;
+    // templates only understand named people.
+    template = metric || refersToCaller
+      ? null
+      : matchTemplate(normalizedQuestion, { dateRange, employee });
+    if (metric) {
+      ({ sql: rawSql, params } = metric);
+      console.log(
+        `[SQL_CHAIN] Using metric ${metric.name} ${JSON.stringify(params)}`
+      );
+    } else if (template) {
+      ({ sql: rawSql, params } = template);
+      console.log(
+        `[SQL_CHAIN] Using template ${template.name} ${JSON.stringify(params)}`
+      );
     } else {
-      sql = await generateSql(normalizedQuestion);
+      ({ rawSql, selection: schemaSelection } = await generateSql(
+        sqlQuestion,
+        dateRange
+      ));
+      if (dateRange) params = dateRangeParams(dateRange);
     }
   } catch (err) {
     console.warn("SQL generation failed:", err?.message || err);
@@ -491,26 +560,127 @@ export async function runSqlChain(question, history = []) {
         "I couldn't generate a safe database query for that request. Please rephrase or narrow the question.",
     };
   }
-  let rows = [];
+
+  if (metric && access.level !== "all" && !measuresOnlyEmployee(metric, access.employeeId)) {
+    console.log(`[SQL_CHAIN] Metric ${metric.name} is not the caller's own; HR access required`);
+    return { sql: "", rows: [], answer: orgMetricDeniedAnswer(metric) };
+  }
+
+  let execution;
   try {
-    rows = await executeSql(sql);
+    // Validation and the access policy are enforced on the final
+    // statement, whatever produced it.
+    execution = await executeWithRepair(
+      template || metric ? sqlQuestion : withDateRangeHint(sqlQuestion, dateRange),
+      rawSql,
+      access,
+      params
+    );
   } catch (err) {
-    console.warn("SQL execution failed:", err?.message || err);
+    console.warn(`[SQL_CHAIN] Access denied: ${err.message}`);
+    return { sql: "", rows: [], answer: ACCESS_DENIED_ANSWER };
+  }
+
+  const { sql, executedSql, rows, attempts } = execution;
+  if (!sql) {
+    const lastAttempt = attempts[attempts.length - 1];
     return {
-      sql,
+      sql: "",
       rows: [],
+      attempts,
+      schemaSelection,
       answer:
-        "I couldn't run that database query safely. Please adjust the question or try a simpler one.",
+        FAILED_QUERY_ANSWERS[lastAttempt?.stage] || FAILED_QUERY_ANSWERS.execution,
     };
   }
 
-  const enrichedRows = await enrichRowsWithEmployees(sql, rows);
-  const answer = await formatAnswer(question || "", sql, enrichedRows);
-  return { sql, answer, rows: enrichedRows };
+  let periodResults = null;
+  if (comparison) {
+    const paramsFor = (period) =>
+      metric
+        ? compileMetric(metric.name, {
+            dimension: metric.dimension,
+            filters: metric.filters,
+            dateRange: period,
+          }).params
+        : { ...params, ...dateRangeParams(period) };
+    try {
+      periodResults = await runForPeriods(comparison, executedSql, rows, paramsFor);
+    } catch (err) {
+      const stage = err instanceof QueryLimitError && err.reason === "scan_limit"
+        ? "plan"
+        : "execution";
+      console.warn(`[SQL_CHAIN] Comparison query failed (${stage}):`, err?.message || err);
+      return { sql: "", rows: [], attempts, answer: FAILED_QUERY_ANSWERS[stage] };
+    }
+    if (!periodResults) {
+      console.warn("[SQL_CHAIN] Query does not depend on the period; answering without the comparison");
+    }
+  }
+
+  let maskedRows;
+  let summary;
+  if (periodResults) {
+    const masked = periodResults.map((result) => ({
+      period: result.period,
+      rows: maskRows(result.rows, executedSql, access),
+    }));
+    summary = summarizeComparison(comparison, masked);
+    maskedRows = periodRows(comparison, masked);
+  } else {
+    maskedRows = maskRows(rows, executedSql, access);
+  }
+  const enrichedRows = await enrichRows(maskedRows, {
+    access,
+    execute: (lookupSql) => executeSql(lookupSql),
+  });
+  const answeredRange = metric ? metric.dateRange : dateRange;
+  const answer = await answerWithNote(
+    summary ? describeComparison(comparison) : answeredRange && describeDateRange(answeredRange),
+    () => formatAnswer(
+      question || "",
+      describeSql(executedSql, params, metric),
+      enrichedRows,
+      options.onToken,
+      summary
+    ),
+    options.onToken
+  );
+  return {
+    sql,
+    executedSql,
+    params,
+    pageSize: readLimit(sql),
+    template: template?.name,
+    metric: metric?.name,
+    answer,
+    rows: enrichedRows,
+    chart: buildChartSpec(enrichedRows, { sql: executedSql }),
+    attempts,
+    schemaSelection,
+    sqlQuestion: normalizedQuestion,
+    callerSpecific: refersToCaller,
+    dateRange: answeredRange,
+    comparison: summary,
+    employee: employee && { id: employee.id, name: employee.name, mention: employeeMention },
+  };
 }
 
-export async function runSqlPage(previousSql, originalQuestion, offset, limit) {
-  const pagedSql = applyLimitOffset(previousSql || "", limit, offset);
+export async function runSqlPage(
+  previousSql,
+  originalQuestion,
+  offset,
+  limit,
+  options = {}
+) {
+  let pagedSql = "";
+  try {
+    pagedSql = previousSql
+      ? paginateSql(previousSql, clampPageSize(limit), offset)
+      : "";
+  } catch (err) {
+    console.warn("[SQL_CHAIN] Could not paginate stored SQL:", err?.message || err);
+  }
   if (!pagedSql) {
     return {
       sql: "",
@@ -520,13 +690,24 @@ export async function runSqlPage(previousSql, originalQuestion, offset, limit) {
     };
   }
 
+  const access = resolveAccess(options.identity);
+  let executedSql;
+  try {
+    executedSql = applyAccessPolicy(pagedSql, access);
+  } catch (err) {
+    console.warn(`[SQL_CHAIN] Access denied (pagination): ${err.message}`);
+    return { sql: "", rows: [], answer: ACCESS_DENIED_ANSWER };
+  }
+
+  const params = options.params || {};
   let rows = [];
   try {
-    rows = await executeSql(pagedSql);
+    rows = await executeSql(executedSql, params);
   } catch (err) {
     console.warn("SQL execution failed (pagination):", err?.message || err);
     return {
       sql: pagedSql,
+      executedSql,
       rows: [],
       answer:
         "I couldn't fetch the next set of database results safely. Please try again or adjust the request.",
@@ -538,8 +719,78 @@ export async function runSqlPage(previousSql, originalQuestion, offset, limit) {
     ? `${originalQuestion} (showing results starting from row ${pageStart})`
     : `Follow-up page of results starting from row ${pageStart}`;
 
-  const enrichedRows = await enrichRowsWithEmployees(pagedSql, rows);
-  const answer = await formatAnswer(questionForAnswer, pagedSql, enrichedRows);
-  return { sql: pagedSql, answer, rows: enrichedRows };
+  const maskedRows = maskRows(rows, executedSql, access);
+  const enrichedRows = await enrichRows(maskedRows, {
+    access,
+    execute: (lookupSql) => executeSql(lookupSql),
+  });
+  const answer = await answerWithDateRange(
+    dateRangeFromParams(params),
+    () => formatAnswer(
+      questionForAnswer,
+      describeSql(executedSql, params),
+      enrichedRows,
+      options.onToken
+    ),
+    options.onToken
+  );
+  return {
+    sql: pagedSql,
+    executedSql,
+    params,
+    answer,
+    rows: enrichedRows,
+    chart: buildChartSpec(enrichedRows, { sql: executedSql }),
+  };
+}
+
+/**
+ * Number of rows a stored query matches across all pages: COUNT(*) over
+ * the statement without its LIMIT, scoped to what the caller may see.
+ * Returns null when the count cannot be run.
+ */
+export async function countSqlRows(sql, options = {}) {
+  try {
+    const executedSql = applyAccessPolicy(
+      countSql(sql),
+      resolveAccess(options.identity)
+    );
+    const rows = await executeSql(executedSql, options.params || {});
+    const total = Number(rows?.[0]?.total);
+    return Number.isFinite(total) ? total : null;
+  } catch (err) {
+    console.warn("[SQL_CHAIN] Counting results failed:", err?.message || err);
+    return null;
+  }
 }
 
+/**
+ * Every row of a stored query, for exports: the statement is re-run
+ * without its page limit (capped at EXPORT_MAX_ROWS), under the caller's
+ * access policy, with the same masking and enrichment as chat answers.
+ *
+ * Returns { rows, truncated }. Throws AccessDeniedError when the caller
+ * may not read the tables involved.
+ */
+export async function runSqlExport(previousSql, options = {}) {
+  const access = resolveAccess(options.identity);
+  const exportSql = paginateSql(previousSql, config.exportMaxRows + 1, 0);
+  const executedSql = applyAccessPolicy(exportSql, access);
+
+  const rows = await executeSql(
+    executedSql,
+    options.params || {},
+    config.exportTimeoutMs
+  );
+  const truncated = rows.length > config.exportMaxRows;
+  const maskedRows = maskRows(
+    truncated ? rows.slice(0, config.exportMaxRows) : rows,
+    executedSql,
+    access
+  );
+  const enrichedRows = await enrichRows(maskedRows, {
+    access,
+    execute: (lookupSql) => executeSql(lookupSql, {}, config.exportTimeoutMs),
+  });
+  return { rows: enrichedRows, truncated };
+}
@@ -0,0 +1,176 @@
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { config } from "../config/env.js";
+import { validateSelectSql } from "../db/sqlValidator.js";
+import { queryableTables } from "./schemaCatalog.js";
+import { cosineSimilarity, queryEmbeddings } from "./similarity.js";
+
+/**
+ * Library of verified question -> SQL pairs. The most similar pairs are
+ * shown to the LLM as few-shot examples.
+ *
+ * The shipped seed file (SQL_EXAMPLES_PATH, src/data/sql_examples.json by
+ * default) is only read. Answers rated thumbs-up are promoted into a
+ * separate file (SQL_EXAMPLES_LOCAL_PATH, data/sql_examples.local.json),
+ * which survives deploys; its pairs replace seed pairs for the same
+ * question.
+ *
+ * Entry: { question, sql, source: "seed" | "feedback", addedAt? }
+ */
+
+let libraryPromise;
+const vectorCache = new Map();
+let pendingWrite = Promise.resolve();
+
+function normalizeQuestion(question) {
+  return String(question || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// No promoted file yet is the normal state of a new install.
+async function readExamples(path, { optional = false } = {}) {
+  try {
+    const examples = JSON.parse(await readFile(path, "utf8"));
+    return Array.isArray(examples) ? examples : [];
+  } catch (err) {
+    if (!(optional && err?.code === "ENOENT")) {
+      console.warn(`[SQL_EXAMPLES] Could not load ${path}:`, err?.message || err);
+    }
+    return [];
+  }
+}
+
+// { seed, promoted }: the two files, read once.
+function loadLibrary() {
+  if (!libraryPromise) {
+    libraryPromise = Promise.all([
+      readExamples(config.sqlExamplesPath),
+      readExamples(config.sqlExamplesLocalPath, { optional: true })
+    ]).then(([seed, promoted]) => ({ seed, promoted }));
+  }
+  return libraryPromise;
+}
+
+async function loadExamples() {
+  const { seed, promoted } = await loadLibrary();
+  const byQuestion = new Map();
+  for (const example of [...seed, ...promoted]) {
+    byQuestion.set(normalizeQuestion(example.question), example);
+  }
+  return [...byQuestion.values()];
+}
+
+function words(text) {
+  return new Set(normalizeQuestion(text).split(" ").filter((w) => w.length > 2));
+}
+
+// Word overlap (Jaccard), used when embeddings are unavailable.
+function lexicalSimilarity(a, b) {
+  const left = words(a);
+  const right = words(b);
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  for (const word of left) {
+    if (right.has(word)) shared += 1;
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+async function exampleVectors(examples) {
+  const missing = examples.filter((e) => !vectorCache.has(e.question));
+  if (missing.length) {
+    const vectors = await queryEmbeddings().embedDocuments(
+      missing.map((e) => e.question)
+    );
+    missing.forEach((e, i) => vectorCache.set(e.question, vectors[i]));
+  }
+  return examples.map((e) => vectorCache.get(e.question));
+}
+
+async function scoreExamples(question, examples) {
+  try {
+    const [vectors, questionVector] = await Promise.all([
+      exampleVectors(examples),
+      queryEmbeddings().embedQuery(question)
+    ]);
+    return examples.map((example, i) => ({
+      example,
+      score: cosineSimilarity(questionVector, vectors[i])
+    }));
+  } catch (err) {
+    console.warn(
+      "[SQL_EXAMPLES] Embedding match failed, using word overlap:",
+      err?.message || err
+    );
+    return examples.map((example) => ({
+      example,
+      score: lexicalSimilarity(question, example.question)
+    }));
+  }
+}
+
+/**
+ * The `limit` library examples most similar to the question, best first.
+ */
+export async function findSimilarExamples(question, limit = config.sqlExamplesTopK) {
+  const examples = await loadExamples();
+  if (!examples.length || limit <= 0) return [];
+
+  const scored = await scoreExamples(question, examples);
+  return scored
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((entry) => entry.example);
+}
+
+/** Prompt text for a list of examples. */
+export function formatExamples(examples) {
+  if (!examples.length) return "(none)";
+  return examples
+    .map((e) => `Question: ${e.question}\nSQL: ${e.sql}`)
+    .join("\n\n");
+}
+
+async function persist(examples) {
+  const path = config.sqlExamplesLocalPath;
+  await mkdir(dirname(path), { recursive: true });
+  const tmpPath = `${path}.tmp`;
+  await writeFile(tmpPath, `${JSON.stringify(examples, null, 2)}\n`, "utf8");
+  await rename(tmpPath, path);
+}
+
+/**
+ * Add a verified pair to the promoted examples. The SQL must pass the
+ * SELECT validator (throws SqlValidationError otherwise). A question
+ * already in the library has its SQL replaced.
+ *
+ * Returns { added: boolean, example }.
+ */
+export async function promoteExample({ question, sql }) {
+  validateSelectSql(sql, { allowedTables: queryableTables() });
+  const { promoted } = await loadLibrary();
+  const key = normalizeQuestion(question);
+  const existing = promoted.find((e) => normalizeQuestion(e.question) === key);
+  const known = existing || (await loadExamples()).some((e) => normalizeQuestion(e.question) === key);
+
+  const example = {
+    question: String(question).trim(),
+    sql: String(sql).trim(),
+    source: "feedback",
+    addedAt: new Date().toISOString()
+  };
+  if (existing) {
+    Object.assign(existing, example);
+  } else {
+    promoted.push(example);
+  }
+
+  // Serialize writes so concurrent promotions don't interleave.
+  pendingWrite = pendingWrite.catch(() => {}).then(() => persist(promoted));
+  await pendingWrite;
+  console.log(`[SQL_EXAMPLES] Promoted example: ${example.question}`);
+  return { added: !known, example };
+}
@@ -1,27 +1,143 @@
-import { routeQuestion } from "../rag/routerChain.js";
+import { rateLastAnswer, routeQuestion } from "../rag/routerChain.js";
+import { sessionKeyFor } from "../auth/identity.js";
+import { resolveAccess } from "../auth/accessPolicy.js";
+import { describeColumns } from "../rag/resultColumns.js";
+import { openEventStream } from "./eventStream.js";
+
+// Session keys are stored in a VARCHAR(191) column (see
+// session/mysqlSessionStore.js); this leaves room for the caller prefix
+// sessionKeyFor adds.
+const MAX_SESSION_ID_LENGTH = 128;
+
+const INVALID_PAYLOAD = {
+  error: "Invalid payload: 'question' is required and must be a string."
+};
+
+const INVALID_SESSION_ID = {
+  error: `Invalid payload: 'sessionId' must be a string of at most ${MAX_SESSION_ID_LENGTH} characters.`
+};
+
+function validSessionId(sessionId) {
+  return (
+    sessionId === undefined ||
+    sessionId === null ||
+    (typeof sessionId === "string" && sessionId.length <= MAX_SESSION_ID_LENGTH)
+  );
+}
+
+// The chat payload, or { error } for a 400 response.
+function parseChatBody(request) {
+  const { question, sessionId, includeData, debug } = request.body || {};
+  if (!question || typeof question !== "string") {
+    return INVALID_PAYLOAD;
+  }
+  if (!validSessionId(sessionId)) {
+    return INVALID_SESSION_ID;
+  }
+  return {
+    question,
+    sessionId: sessionKeyFor(request.identity, sessionId),
+    identity: request.identity,
+    includeData: includeData === true,
+    debug: debug === true
+  };
+}
+
+// Answer fields shared by POST /chat and the stream's "end" event, plus
+// the opt-in data and debug sections of database answers.
+function answerBody(result, payload) {
+  const body = {
+    answer: result?.answer,
+    intent: result?.intent,
+    source: result?.source,
+    metadata: result?.metadata
+  };
+  if (result?.source !== "database") return body;
+  if (result.chart) body.chart = result.chart;
+
+  const isHr = resolveAccess(payload.identity).level === "all";
+  // Validator and database errors name tables and columns; HR only.
+  if (!isHr && Array.isArray(body.metadata?.sqlAttempts)) {
+    body.metadata = {
+      ...body.metadata,
+      sqlAttempts: body.metadata.sqlAttempts.map(({ attempt, stage }) => ({ attempt, stage }))
+    };
+  }
+
+  if (payload.includeData && Array.isArray(result.rows)) {
+    body.data = {
+      // The validated SQL, not executedSql: access scoping wraps tables in
+      // derived tables, which hides the column sources.
+      columns: describeColumns(result.rows, result.sql),
+      rows: result.rows
+    };
+  }
+  // The executed SQL reveals the access-policy rewrite; HR only.
+  if (payload.debug && result.sql && isHr) {
+    body.debug = {
+      sql: result.sql,
+      executedSql: result.executedSql,
+      params: result.params
+    };
+  }
+  return body;
+}
 
 /**
+ * Both routes require authentication (see auth/authPlugin.js). The
+ * client's sessionId is scoped to the authenticated user; it is at most
+ * 128 characters (400 otherwise).
+ *
  * POST /chat
- * Body: { "question": string, "sessionId"?: string }
+ * Body: { "question": string, "sessionId"?: string,
+ *         "includeData"?: boolean, "debug"?: boolean }
+ * Response: { answer, intent, source, metadata?, chart?, data?, debug? }
+ *   metadata.sqlAttempts lists each SQL validation/execution attempt
+ *   ({ attempt, stage, error }) for database answers; callers other
+ *   than HR get { attempt, stage } only;
+ *   metadata.schemaSelection shows which tables were described to the LLM;
+ *   metadata.pagination is { page, pageSize, total, hasNext }.
+ *   metadata.clarification is { mention, candidates: [{ id, name,
+ *   designation, department }] } when a name matched several employees
+ *   and the answer asks which one was meant; reply with a name, number
+ *   or department.
+ *   metadata.rewrittenQuestion is the standalone question a follow-up
+ *   ("and for QA?") was rewritten to (see rag/conversationFocus.js).
+ *   Aggregate database answers carry chart: a Vega-Lite spec (see
+ *   rag/chartSpec.js). With includeData, database answers carry data: { columns, rows }
+ *   where each column is { name, label, type, source?, description? }
+ *   (see rag/resultColumns.js). With debug, HR callers also get
+ *   debug: { sql, executedSql, params }.
+ *
+ * POST /chat/stream
+ * Same body; responds with Server-Sent Events:
+ *   { "event": "start", "intent": string, "source": string }
+ *   { "event": "token", "data": string }   (repeated)
+ *   { "event": "end", "answer", "intent", "source", "metadata"?, "chart"?, "data"?, "debug"? }
+ *   { "event": "error", "error": string }  (instead of "end" on failure)
+ *
+ * POST /chat/feedback
+ * Body: { "sessionId"?: string, "rating": "up" | "down" }
+ * Rates the session's latest database answer. A thumbs-up from HR adds
+ * the question and its SQL to the few-shot example library.
+ * Response: { promoted, reason? }; 404 if there is no answer to rate.
  */
 export async function registerChatRoutes(fastify) {
-  fastify.post("/chat", async (request, reply) => {
-    const { question, sessionId } = request.body || {};
+  const auth = { preHandler: fastify.authenticate };
 
-    if (!question || typeof question !== "string") {
+  fastify.post("/chat", auth, async (request, reply) => {
+    const payload = parseChatBody(request);
+
+    if (payload.error) {
       reply.code(400);
-      return {
-        error: "Invalid payload: 'question' is required and must be a string."
-      };
+      return payload;
     }
 
     try {
-      const result = await routeQuestion(question, sessionId);
-      return {
-        answer: result?.answer,
-        intent: result?.intent,
-        source: result?.source
-      };
+      const result = await routeQuestion(payload.question, payload.sessionId, {
+        identity: payload.identity
+      });
+      return answerBody(result, payload);
     } catch (err) {
       request.log.error({ err }, "Error during chat invocation");
       reply.code(500);
@@ -30,4 +146,52 @@ export async function registerChatRoutes(fastify) {
       };
     }
   });
+
+  fastify.post("/chat/stream", auth, async (request, reply) => {
+    const payload = parseChatBody(request);
+
+    if (payload.error) {
+      reply.code(400);
+      return payload;
+    }
+
+    // Tokens are flushed to the client as they arrive.
+    const { send, end } = openEventStream(reply);
+
+    try {
+      const result = await routeQuestion(payload.question, payload.sessionId, {
+        identity: payload.identity,
+        onStart: ({ intent, source }) => send({ event: "start", intent, source }),
+        onToken: (token) => send({ event: "token", data: token })
+      });
+      send({ event: "end", ...answerBody(result, payload) });
+    } catch (err) {
+      request.log.error({ err }, "Error during streaming chat invocation");
+      send({ event: "error", error: "Internal error while generating answer." });
+    } finally {
+      end();
+    }
+  });
+
+  fastify.post("/chat/feedback", auth, async (request, reply) => {
+    const { sessionId, rating } = request.body || {};
+    if (rating !== "up" && rating !== "down") {
+      reply.code(400);
+      return { error: "Invalid payload: 'rating' must be \"up\" or \"down\"." };
+    }
+    if (!validSessionId(sessionId)) {
+      reply.code(400);
+      return INVALID_SESSION_ID;
+    }
+
+    const result = await rateLastAnswer(
+      sessionKeyFor(request.identity, sessionId),
+      { rating, identity: request.identity }
+    );
+    if (!result) {
+      reply.code(404);
+      return { error: "No database answer to rate in this session." };
+    }
+    return result;
+  });
 }
@@ -0,0 +1,33 @@
+/**
+ * Take over a Fastify reply as a server-sent event stream. Headers already
+ * set by plugins (e.g. CORS) are carried over.
+ *
+ * Returns { send(event), end() }: send writes one `data:` frame and does
+ * nothing once the client has gone away or the stream has ended.
+ */
+export function openEventStream(reply) {
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    ...reply.getHeaders(),
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+
+  // The request emits "close" as soon as its body has been read; only the
+  // response closing before it ended means the client left.
+  let clientClosed = false;
+  reply.raw.on("close", () => {
+    if (!reply.raw.writableEnded) clientClosed = true;
+  });
+
+  return {
+    send(event) {
+      if (clientClosed || reply.raw.writableEnded) return;
+      reply.raw.write(`data: ${JSON.stringify(event)}\n\n`);
+    },
+    end() {
+      reply.raw.end();
+    }
+  };
+}
@@ -0,0 +1,156 @@
+import { PassThrough, Readable } from "node:stream";
+import ExcelJS from "exceljs";
+import { AccessDeniedError } from "../auth/accessPolicy.js";
+import { sessionKeyFor } from "../auth/identity.js";
+import { QueryLimitError } from "../db/query.js";
+import { columnsOf, humanizeColumn } from "../rag/resultColumns.js";
+import { getSessionSnapshot } from "../rag/routerChain.js";
+import { runSqlExport } from "../rag/sqlChain.js";
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+function cellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString("base64");
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+// Quote when needed; text that a spreadsheet would run as a formula is
+// prefixed with an apostrophe. Numbers (also decimals read as strings,
+// e.g. "-500.00"), dates and booleans are written unchanged.
+function csvField(value) {
+  let text = String(cellValue(value));
+  const isText =
+    typeof value !== "number" &&
+    typeof value !== "bigint" &&
+    typeof value !== "boolean" &&
+    !(value instanceof Date);
+  if (isText && /^[=+\-@\t\r]/.test(text) && !/^-\d+(?:\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function* csvLines(rows, columns) {
+  // The byte-order mark makes Excel read the file as UTF-8.
+  yield "\uFEFF" + columns.map((c) => csvField(humanizeColumn(c))).join(",") + "\r\n";
+  for (const row of rows) {
+    yield columns.map((c) => csvField(row[c])).join(",") + "\r\n";
+  }
+}
+
+function* jsonChunks(rows) {
+  yield "[";
+  for (let i = 0; i < rows.length; i++) {
+    yield (i ? ",\n" : "\n") + JSON.stringify(rows[i]);
+  }
+  yield rows.length ? "\n]\n" : "]\n";
+}
+
+function xlsxStream(rows, columns) {
+  const stream = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream });
+  const sheet = workbook.addWorksheet("Results");
+  sheet.columns = columns.map((c) => ({ header: humanizeColumn(c), key: c, width: 20 }));
+  for (const row of rows) {
+    const values = {};
+    for (const c of columns) {
+      const value = row[c];
+      values[c] =
+        value instanceof Date || typeof value === "number" || typeof value === "boolean"
+          ? value
+          : cellValue(value);
+    }
+    sheet.addRow(values).commit();
+  }
+  sheet.commit();
+  workbook.commit().catch((err) => stream.destroy(err));
+  return stream;
+}
+
+function exportBody(format, rows) {
+  const columns = columnsOf(rows);
+  if (format === "csv") return Readable.from(csvLines(rows, columns));
+  if (format === "xlsx") return xlsxStream(rows, columns);
+  return Readable.from(jsonChunks(rows));
+}
+
+/**
+ * Requires authentication (see auth/authPlugin.js).
+ *
+ * GET /exports/:id?format=csv|xlsx|json  (csv by default)
+ * `:id` is the session id the caller chats with. Admins can export any
+ * session with ?sessionKey=<stored key> (as returned by GET /sessions).
+ * Re-runs the session's last database query without its page limit (up
+ * to EXPORT_MAX_ROWS rows) under the caller's access and masking rules,
+ * and streams every row as a file download. CSV and XLSX headers are
+ * readable column names ("Leave Type Name"); JSON keeps the row keys.
+ * Response headers: X-Export-Rows, and X-Export-Truncated: true when
+ * the row cap was reached. 404 if the session has no database answer,
+ * 504 if the query outlived EXPORT_TIMEOUT_MS and 422 if its plan would
+ * read more than SQL_MAX_SCAN_ROWS rows.
+ */
+export async function registerExportRoutes(fastify) {
+  const auth = { preHandler: fastify.authenticate };
+
+  fastify.get("/exports/:id", auth, async (request, reply) => {
+    const format = String(request.query?.format || "csv").toLowerCase();
+    if (!CONTENT_TYPES[format]) {
+      reply.code(400);
+      return { error: "Invalid format: use csv, xlsx or json." };
+    }
+
+    const storedKey = request.query?.sessionKey;
+    if (storedKey && !request.identity?.isAdmin) {
+      reply.code(403);
+      return { error: "Admin access is required to export another session." };
+    }
+    const sessionKey = storedKey || sessionKeyFor(request.identity, request.params.id);
+    const snapshot = await getSessionSnapshot(sessionKey);
+    const last = snapshot?.lastDatabaseQuery;
+    if (!last?.sql) {
+      reply.code(404);
+      return { error: "No database answer to export in this session." };
+    }
+
+    let result;
+    try {
+      result = await runSqlExport(last.sql, {
+        identity: request.identity,
+        params: last.params
+      });
+    } catch (err) {
+      if (err instanceof AccessDeniedError) {
+        reply.code(403);
+        return { error: "You are not allowed to export this data." };
+      }
+      if (err instanceof QueryLimitError) {
+        request.log.warn({ err }, "Export query exceeded its limits");
+        reply.code(err.reason === "timeout" ? 504 : 422);
+        return {
+          error:
+            err.reason === "timeout"
+              ? "The export query took too long and was cancelled."
+              : "The export would read too many records. Please narrow the question first."
+        };
+      }
+      request.log.error({ err }, "Error while exporting query results");
+      reply.code(500);
+      return { error: "Internal error while exporting results." };
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    reply
+      .header("Content-Type", CONTENT_TYPES[format])
+      .header("Content-Disposition", `attachment; filename="export-${stamp}.${format}"`)
+      .header("X-Export-Rows", String(result.rows.length));
+    if (result.truncated) reply.header("X-Export-Truncated", "true");
+    return reply.send(exportBody(format, result.rows));
+  });
+}
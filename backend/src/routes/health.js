@@ -0,0 +1,42 @@
+import { checkDatabaseHealth } from "../db/database.js";
+
+/**
+ * GET /health  (no authentication, for load balancers)
+ *   -> 200 { status: "ok", dialect, database: { read: { ok, latencyMs }, write: { ok, latencyMs } } }
+ *   -> 503 with status "degraded" when a connection cannot reach the database.
+ *   SQLite (DB_DIALECT=sqlite) has no write connection, so only read is listed.
+ *
+ * GET /health/database  (admins only, see auth/authPlugin.js)
+ *   -> the full report of db/database.js checkDatabaseHealth(): per
+ *      connection the query and failure counts, slow queries and average
+ *      time, plus the MySQL user or the SQLite file.
+ */
+export async function registerHealthRoutes(fastify) {
+  fastify.get("/health", async (request, reply) => {
+    const health = await checkDatabaseHealth();
+    if (!health.ok) reply.code(503);
+    const database = {};
+    for (const mode of ["read", "write"]) {
+      if (health[mode]) database[mode] = { ok: health[mode].ok, latencyMs: health[mode].latencyMs };
+    }
+    return {
+      status: health.ok ? "ok" : "degraded",
+      dialect: health.dialect,
+      database
+    };
+  });
+
+  fastify.get(
+    "/health/database",
+    { preHandler: fastify.authenticate },
+    async (request, reply) => {
+      if (!request.identity?.isAdmin) {
+        reply.code(403);
+        return { error: "Admin access is required to view database health." };
+      }
+      const health = await checkDatabaseHealth();
+      if (!health.ok) reply.code(503);
+      return health;
+    }
+  );
+}
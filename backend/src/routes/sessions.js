@@ -0,0 +1,100 @@
+import { sessionKeyFor } from "../auth/identity.js";
+import { resolveAccess } from "../auth/accessPolicy.js";
+import {
+  getSessionSnapshot,
+  listSessions,
+  resetSession
+} from "../rag/routerChain.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function parsePositiveInt(raw, fallback) {
+  const n = Number(raw);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+}
+
+// Admins address sessions by their stored key (as returned by GET /sessions);
+// everyone else addresses their own sessions by the id they chat with.
+export function sessionKeyForRequest(request) {
+  const identity = request.identity;
+  if (identity?.isAdmin) return request.params.id;
+  return sessionKeyFor(identity, request.params.id);
+}
+
+// The stored SQL and its parameters (and the few-shot example built from
+// them) are HR only, as in the chat routes' debug section.
+export function snapshotForCaller(snapshot, identity) {
+  const query = snapshot?.lastDatabaseQuery;
+  if (!query || resolveAccess(identity).level === "all") return snapshot;
+  const { sql: _sql, params: _params, example: _example, ...rest } = query;
+  return { ...snapshot, lastDatabaseQuery: rest };
+}
+
+/**
+ * All routes require authentication (see auth/authPlugin.js).
+ *
+ * GET    /sessions/:id  -> { sessionId, history, lastDatabaseQuery, focus }
+ *        lastDatabaseQuery carries sql, params and example for HR callers only
+ * DELETE /sessions/:id  -> resets the conversation
+ * GET    /sessions?page=1&pageSize=20  (admins only)
+ *        -> { page, pageSize, total, sessions: [{ sessionId, updatedAt, expiresAt, messageCount }] }
+ */
+export async function registerSessionRoutes(fastify) {
+  const auth = { preHandler: fastify.authenticate };
+
+  fastify.get("/sessions", auth, async (request, reply) => {
+    if (!request.identity?.isAdmin) {
+      reply.code(403);
+      return { error: "Admin access is required to list sessions." };
+    }
+
+    const page = parsePositiveInt(request.query?.page, 1);
+    const pageSize = Math.min(
+      parsePositiveInt(request.query?.pageSize, DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    );
+
+    try {
+      const { total, sessions } = await listSessions({
+        offset: (page - 1) * pageSize,
+        limit: pageSize
+      });
+      return { page, pageSize, total, sessions };
+    } catch (err) {
+      request.log.error({ err }, "Error while listing sessions");
+      reply.code(500);
+      return { error: "Internal error while listing sessions." };
+    }
+  });
+
+  fastify.get("/sessions/:id", auth, async (request, reply) => {
+    try {
+      const snapshot = await getSessionSnapshot(sessionKeyForRequest(request));
+      if (!snapshot) {
+        reply.code(404);
+        return { error: "Session not found or expired." };
+      }
+      return snapshotForCaller(snapshot, request.identity);
+    } catch (err) {
+      request.log.error({ err }, "Error while reading session");
+      reply.code(500);
+      return { error: "Internal error while reading session." };
+    }
+  });
+
+  fastify.delete("/sessions/:id", auth, async (request, reply) => {
+    try {
+      const deleted = await resetSession(sessionKeyForRequest(request));
+      if (!deleted) {
+        reply.code(404);
+        return { error: "Session not found or expired." };
+      }
+      return { sessionId: request.params.id, reset: true };
+    } catch (err) {
+      request.log.error({ err }, "Error while resetting session");
+      reply.code(500);
+      return { error: "Internal error while resetting session." };
+    }
+  });
+}
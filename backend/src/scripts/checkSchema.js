@@ -0,0 +1,41 @@
+import {
+  detectSchemaDrift,
+  formatDriftReport,
+  generateEntitySkeleton,
+  hasDrift,
+  readDatabaseSchema
+} from "../db/schemaIntrospection.js";
+import { closeDatabase } from "../db/database.js";
+
+/**
+ * Compare semanticSchema.js with the live database.
+ *
+ *   npm run schema:check                # report drift, exit 1 if any
+ *   npm run schema:check -- --skeleton  # also print entries for unmapped tables
+ */
+async function main() {
+  const withSkeletons = process.argv.includes("--skeleton");
+  const dbSchema = await readDatabaseSchema();
+  const drift = detectSchemaDrift(dbSchema);
+
+  console.log(formatDriftReport(drift));
+
+  if (withSkeletons && drift.unmappedTables.length) {
+    console.log("\n// Suggested semanticSchema entries:");
+    for (const table of drift.unmappedTables) {
+      console.log(generateEntitySkeleton(table, dbSchema[table]));
+    }
+  }
+
+  return hasDrift(drift) ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error("[SCHEMA_CHECK] Failed:", err.message);
+    process.exitCode = 2;
+  })
+  .finally(() => closeDatabase());
@@ -2,7 +2,13 @@ import Fastify from "fastify";
 import cors from "@fastify/cors";
 import { config } from "./config/env.js";
 import { initializeRag } from "./rag/ragChain.js";
+import authPlugin from "./auth/authPlugin.js";
 import { registerChatRoutes } from "./routes/chat.js";
+import { registerSessionRoutes } from "./routes/sessions.js";
+import { registerExportRoutes } from "./routes/exports.js";
+import { registerHealthRoutes } from "./routes/health.js";
+import { closeDatabase } from "./db/database.js";
+import { closeSessionStore } from "./rag/routerChain.js";
 
 async function buildServer() {
   const fastify = Fastify({
@@ -13,12 +19,24 @@ async function buildServer() {
 
   await fastify.register(cors, {
     origin: ["http://localhost:5173"],
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Content-Disposition", "X-Export-Rows", "X-Export-Truncated"],
     credentials: true
   });
 
+  await fastify.register(authPlugin);
   await registerChatRoutes(fastify);
+  await registerSessionRoutes(fastify);
+  await registerExportRoutes(fastify);
+  await registerHealthRoutes(fastify);
+
+  // The MySQL session store writes through the database pools, so it
+  // closes first.
+  fastify.addHook("onClose", async () => {
+    await closeSessionStore();
+    await closeDatabase();
+  });
 
   return fastify;
 }
@@ -32,6 +50,21 @@ async function main() {
     const fastify = await buildServer();
     await fastify.listen({ port: config.port, host: "0.0.0.0" });
     console.log(`Server listening on port ${config.port}`);
+
+    // Finish in-flight requests, then close the session store and the
+    // database pools.
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.once(signal, () => {
+        console.log(`${signal} received, shutting down...`);
+        fastify.close().then(
+          () => process.exit(0),
+          (err) => {
+            console.error("Error during shutdown:", err);
+            process.exit(1);
+          }
+        );
+      });
+    }
   } catch (err) {
     console.error("Fatal error during startup:", err);
     process.exit(1);
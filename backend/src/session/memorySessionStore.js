@@ -0,0 +1,87 @@
+/**
+ * In-process session store. Sessions expire after `ttlMs` of inactivity and
+ * the least recently used session is evicted once `maxEntries` is reached.
+ *
+ * A Map keeps insertion order, so re-inserting on every access keeps the
+ * least recently used entry at the front.
+ */
+export function createMemorySessionStore({ ttlMs, maxEntries }) {
+  const entries = new Map();
+
+  function isExpired(entry, now = Date.now()) {
+    return ttlMs > 0 && entry.expiresAt <= now;
+  }
+
+  function touch(sessionId, state, updatedAt) {
+    const now = Date.now();
+    entries.delete(sessionId);
+    entries.set(sessionId, {
+      state,
+      updatedAt: updatedAt ?? now,
+      expiresAt: ttlMs > 0 ? now + ttlMs : Infinity
+    });
+
+    while (maxEntries > 0 && entries.size > maxEntries) {
+      const oldest = entries.keys().next().value;
+      entries.delete(oldest);
+    }
+  }
+
+  return {
+    name: "memory",
+
+    async get(sessionId, { touch: refresh = true } = {}) {
+      const entry = entries.get(sessionId);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(sessionId);
+        return null;
+      }
+      if (refresh) touch(sessionId, entry.state, entry.updatedAt);
+      return structuredClone(entry.state);
+    },
+
+    async set(sessionId, state) {
+      touch(sessionId, structuredClone(state));
+    },
+
+    async delete(sessionId) {
+      return entries.delete(sessionId);
+    },
+
+    async list({ offset = 0, limit = 20 } = {}) {
+      const now = Date.now();
+      const live = [...entries]
+        .filter(([, entry]) => !isExpired(entry, now))
+        .sort(([, a], [, b]) => b.updatedAt - a.updatedAt);
+
+      return {
+        total: live.length,
+        sessions: live.slice(offset, offset + limit).map(([sessionId, entry]) => ({
+          sessionId,
+          updatedAt: new Date(entry.updatedAt).toISOString(),
+          expiresAt: Number.isFinite(entry.expiresAt)
+            ? new Date(entry.expiresAt).toISOString()
+            : null,
+          messageCount: entry.state?.history?.length || 0
+        }))
+      };
+    },
+
+    async sweep() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [sessionId, entry] of entries) {
+        if (isExpired(entry, now)) {
+          entries.delete(sessionId);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    async close() {
+      entries.clear();
+    }
+  };
+}
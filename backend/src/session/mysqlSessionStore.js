@@ -0,0 +1,142 @@
+import { writeQuery } from "../db/mysql.js";
+
+/**
+ * Durable session store backed by a MySQL table. The table is created on
+ * first use; state is stored as JSON text together with an expiry
+ * timestamp (epoch milliseconds) that is pushed forward on every access.
+ */
+export function createMysqlSessionStore({ ttlMs, tableName }) {
+  if (!/^[a-zA-Z0-9_]+$/.test(tableName)) {
+    throw new Error(`Invalid session table name: ${tableName}`);
+  }
+
+  const table = `\`${tableName}\``;
+  let ready;
+
+  function ensureTable() {
+    if (!ready) {
+      ready = writeQuery(
+        `CREATE TABLE IF NOT EXISTS ${table} (
+          session_id VARCHAR(191) NOT NULL PRIMARY KEY,
+          state LONGTEXT NOT NULL,
+          updated_at BIGINT NOT NULL,
+          expires_at BIGINT NOT NULL,
+          INDEX idx_expires_at (expires_at)
+        )`
+      ).catch((err) => {
+        ready = null;
+        throw err;
+      });
+    }
+    return ready;
+  }
+
+  function expiryFrom(now) {
+    return ttlMs > 0 ? now + ttlMs : Number.MAX_SAFE_INTEGER;
+  }
+
+  return {
+    name: "mysql",
+
+    async get(sessionId, { touch = true } = {}) {
+      await ensureTable();
+      const now = Date.now();
+      const rows = await writeQuery(
+        `SELECT state FROM ${table} WHERE session_id = ? AND expires_at > ?`,
+        [sessionId, now]
+      );
+      if (!rows.length) return null;
+
+      if (touch) {
+        await writeQuery(
+          `UPDATE ${table} SET expires_at = ? WHERE session_id = ?`,
+          [expiryFrom(now), sessionId]
+        );
+      }
+
+      try {
+        return JSON.parse(rows[0].state);
+      } catch (err) {
+        console.warn(
+          `[SESSION] Discarding unreadable state for session ${sessionId}:`,
+          err?.message || err
+        );
+        return null;
+      }
+    },
+
+    async set(sessionId, state) {
+      await ensureTable();
+      const now = Date.now();
+      await writeQuery(
+        `INSERT INTO ${table} (session_id, state, updated_at, expires_at)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           state = VALUES(state),
+           updated_at = VALUES(updated_at),
+           expires_at = VALUES(expires_at)`,
+        [sessionId, JSON.stringify(state), now, expiryFrom(now)]
+      );
+    },
+
+    async delete(sessionId) {
+      await ensureTable();
+      const result = await writeQuery(
+        `DELETE FROM ${table} WHERE session_id = ?`,
+        [sessionId]
+      );
+      return result.affectedRows > 0;
+    },
+
+    async list({ offset = 0, limit = 20 } = {}) {
+      await ensureTable();
+      const now = Date.now();
+      const [countRow] = await writeQuery(
+        `SELECT COUNT(*) AS total FROM ${table} WHERE expires_at > ?`,
+        [now]
+      );
+      // LIMIT/OFFSET are validated integers; mysql2 prepared statements
+      // do not accept them as bound parameters.
+      const rows = await writeQuery(
+        `SELECT session_id, state, updated_at, expires_at FROM ${table}
+         WHERE expires_at > ?
+         ORDER BY updated_at DESC
+         LIMIT ${Math.trunc(limit)} OFFSET ${Math.trunc(offset)}`,
+        [now]
+      );
+
+      return {
+        total: Number(countRow?.total || 0),
+        sessions: rows.map((row) => {
+          let messageCount = 0;
+          try {
+            messageCount = JSON.parse(row.state)?.history?.length || 0;
+          } catch {
+            // Unreadable state is reported with zero messages.
+          }
+          const expiresAt = Number(row.expires_at);
+          return {
+            sessionId: row.session_id,
+            updatedAt: new Date(Number(row.updated_at)).toISOString(),
+            expiresAt:
+              expiresAt < Number.MAX_SAFE_INTEGER
+                ? new Date(expiresAt).toISOString()
+                : null,
+            messageCount
+          };
+        })
+      };
+    },
+
+    async sweep() {
+      await ensureTable();
+      const result = await writeQuery(
+        `DELETE FROM ${table} WHERE expires_at <= ?`,
+        [Date.now()]
+      );
+      return result.affectedRows;
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,76 @@
+import { config } from "../config/env.js";
+import { createMemorySessionStore } from "./memorySessionStore.js";
+import { createMysqlSessionStore } from "./mysqlSessionStore.js";
+
+/**
+ * Session stores hold the per-conversation state kept by the router
+ * (history, last database query, ...). Every implementation exposes:
+ *
+ *   get(sessionId, { touch }) -> Promise<state | null>
+ *                            (refreshes the idle TTL unless touch is false)
+ *   set(sessionId, state) -> Promise<void>
+ *   delete(sessionId)     -> Promise<boolean>
+ *   list({ offset, limit }) -> Promise<{ total, sessions }>
+ *                            (most recently updated first)
+ *   sweep()               -> Promise<number>        (removes expired sessions)
+ *   close()               -> Promise<void>
+ *
+ * Select the implementation with SESSION_STORE=memory|mysql.
+ */
+export function createSessionStore(options = {}) {
+  const settings = {
+    type: options.type ?? config.sessionStore,
+    ttlMs: options.ttlMs ?? config.sessionTtlMs,
+    maxEntries: options.maxEntries ?? config.sessionMaxEntries,
+    tableName: options.tableName ?? config.sessionTable,
+    sweepIntervalMs: options.sweepIntervalMs ?? config.sessionSweepIntervalMs
+  };
+
+  let store;
+  switch (settings.type) {
+    case "memory":
+      store = createMemorySessionStore(settings);
+      break;
+    case "mysql":
+      // Sessions are application state, written through the MySQL write
+      // pool; a read-only SQLite copy cannot hold them.
+      if (config.dbDialect !== "mysql") {
+        throw new Error(
+          `SESSION_STORE "mysql" needs DB_DIALECT "mysql" (got "${config.dbDialect}"). Use SESSION_STORE=memory.`
+        );
+      }
+      store = createMysqlSessionStore(settings);
+      break;
+    default:
+      throw new Error(
+        `Unknown SESSION_STORE "${settings.type}". Use "memory" or "mysql".`
+      );
+  }
+
+  return withSweeper(store, settings.sweepIntervalMs);
+}
+
+function withSweeper(store, intervalMs) {
+  if (!(intervalMs > 0)) return store;
+
+  const timer = setInterval(async () => {
+    try {
+      const removed = await store.sweep();
+      if (removed > 0) {
+        console.log(`[SESSION] Expired ${removed} idle session(s).`);
+      }
+    } catch (err) {
+      console.warn("[SESSION] Sweep failed:", err?.message || err);
+    }
+  }, intervalMs);
+  // Never keep the process alive just to sweep sessions.
+  timer.unref();
+
+  return {
+    ...store,
+    async close() {
+      clearInterval(timer);
+      await store.close();
+    }
+  };
+}
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AccessDeniedError, applyAccessPolicy, resolveAccess } from "../src/auth/accessPolicy.js";
+
+const self = { level: "self", employeeId: 7, attendanceDeviceId: null };
+
+test("HR roles and admins read everything; other employees only their own rows", () => {
+  assert.deepEqual(resolveAccess({ roles: ["HR Manager"] }), { level: "all" });
+  assert.deepEqual(resolveAccess({ isAdmin: true }), { level: "all" });
+  assert.deepEqual(resolveAccess({ roles: ["developer"], employeeId: 7, attendanceDeviceId: 12 }), {
+    level: "self",
+    employeeId: 7,
+    attendanceDeviceId: 12
+  });
+  assert.deepEqual(resolveAccess(null), { level: "public" });
+});
+
+test("HR-wide access leaves the SQL unchanged", () => {
+  const sql = "SELECT employee_name FROM employees";
+  assert.equal(applyAccessPolicy(sql, { level: "all" }), sql);
+});
+
+test("row-scoped tables are filtered to the caller, reference tables are not", () => {
+  const sql = applyAccessPolicy(
+    "SELECT e.employee_name, d.department_name FROM employees e JOIN departments d ON d.id = e.department",
+    self
+  );
+  assert.match(sql, /\(SELECT \* FROM `employees` WHERE `id` = 7\) AS `e`/);
+  assert.match(sql, /JOIN `departments` AS `d`/);
+});
+
+test("CTE bodies and UNION branches are scoped too", () => {
+  const sql = applyAccessPolicy(
+    "WITH t AS (SELECT id FROM employees) SELECT id FROM t UNION SELECT employee_id FROM employee_leaves",
+    self
+  );
+  assert.match(sql, /FROM \(SELECT \* FROM `employees` WHERE `id` = 7\)/);
+  assert.match(sql, /FROM \(SELECT \* FROM `employee_leaves` WHERE `employee_id` = 7\)/);
+  assert.match(sql, /SELECT `id` FROM `t`/);
+});
+
+test("a caller without the identifying value matches no rows", () => {
+  assert.match(
+    applyAccessPolicy("SELECT COUNT(*) FROM attendances", self),
+    /\(SELECT \* FROM `attendances` WHERE 1 = 0\)/
+  );
+});
+
+test("HR-only tables, other schemas and anonymous callers are denied", () => {
+  assert.throws(() => applyAccessPolicy("SELECT * FROM activity_logs", self), AccessDeniedError);
+  assert.throws(() => applyAccessPolicy("SELECT * FROM other_db.employees", self), AccessDeniedError);
+  assert.throws(() => applyAccessPolicy("SELECT * FROM employees", { level: "public" }), AccessDeniedError);
+  assert.doesNotThrow(() => applyAccessPolicy("SELECT * FROM departments", { level: "public" }));
+});
+
+test("a WITH query named like a table does not hide the table", () => {
+  const shadowed = applyAccessPolicy(
+    "WITH employees AS (SELECT id, employee_name FROM employees) SELECT * FROM employees",
+    self
+  );
+  assert.match(shadowed, /FROM \(SELECT \* FROM `employees` WHERE `id` = 7\)/);
+  assert.match(shadowed, /SELECT \* FROM `employees`$/);
+
+  const nested = applyAccessPolicy(
+    "SELECT e.employee_name FROM employees e WHERE e.id IN " +
+      "(WITH employees AS (SELECT 1 AS id) SELECT id FROM employees)",
+    self
+  );
+  assert.match(nested, /FROM \(SELECT \* FROM `employees` WHERE `id` = 7\) AS `e`/);
+
+  assert.throws(
+    () => applyAccessPolicy(
+      "WITH activity_logs AS (SELECT * FROM activity_logs) SELECT * FROM activity_logs",
+      self
+    ),
+    AccessDeniedError
+  );
+});
+
+test("a RECURSIVE WITH query refers to itself in its own body", () => {
+  const sql = applyAccessPolicy(
+    "WITH RECURSIVE c (n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM c WHERE n < 3) SELECT n FROM c",
+    self
+  );
+  assert.match(sql, /FROM `c` WHERE `n` < 3/);
+});
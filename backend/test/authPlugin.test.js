@@ -0,0 +1,84 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+import Fastify from "fastify";
+import jwt from "jsonwebtoken";
+
+const path = join(await mkdtemp(join(tmpdir(), "auth-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE users (id INTEGER PRIMARY KEY, first_name TEXT, last_name TEXT, email TEXT);
+  CREATE TABLE employees (id INTEGER PRIMARY KEY, employee_name TEXT, office_email TEXT,
+    attendance_device_id INTEGER, department TEXT, designation TEXT, is_active INTEGER);
+  CREATE TABLE roles (id INTEGER PRIMARY KEY, role_name TEXT, permission_ids TEXT);
+  CREATE TABLE employee_roles (employee_id INTEGER, role_id INTEGER, is_active INTEGER);
+  CREATE TABLE role_permissions (employee_id INTEGER, permission_id INTEGER, is_active INTEGER);
+  CREATE TABLE permissions (id INTEGER PRIMARY KEY, module TEXT, permission TEXT);
+  INSERT INTO users VALUES (1, 'Ali', 'Raza', 'ali@example.com'), (2, 'Old', 'Hand', 'old@example.com');
+  INSERT INTO employees VALUES (7, 'Ali Raza', 'ali@example.com', 12, 'QA', 'Engineer', 1),
+    (9, 'Old Hand', 'old@example.com', 14, 'QA', 'Engineer', 0);
+  INSERT INTO roles VALUES (1, 'HR Manager', '[3]');
+  INSERT INTO employee_roles VALUES (7, 1, 1);
+  INSERT INTO permissions VALUES (3, 'leaves', 'approve');
+`);
+db.close();
+Object.assign(process.env, {
+  DB_DIALECT: "sqlite",
+  SQLITE_PATH: path,
+  AUTH_REQUIRED: "true",
+  JWT_SECRET: "test-secret",
+  ADMIN_API_KEY: "admin-key",
+  AUTH_API_KEYS: "ali-key:ali@example.com"
+});
+const { default: authPlugin } = await import("../src/auth/authPlugin.js");
+const { closeDatabase } = await import("../src/db/database.js");
+
+const app = Fastify();
+await app.register(authPlugin);
+app.get("/whoami", { preHandler: app.authenticate }, async (request) => request.identity);
+await app.ready();
+
+after(async () => {
+  await app.close();
+  await closeDatabase();
+});
+
+const whoami = (token) =>
+  app.inject({
+    method: "GET",
+    url: "/whoami",
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  });
+
+test("requests without a valid token are rejected", async () => {
+  assert.equal((await whoami()).statusCode, 401);
+  assert.equal((await whoami("nope")).statusCode, 401);
+  assert.equal((await whoami(jwt.sign({ sub: 1 }, "other-secret"))).statusCode, 401);
+});
+
+test("a JWT resolves to the user, employee, roles and permissions", async () => {
+  const response = await whoami(jwt.sign({ sub: 1 }, "test-secret"));
+  assert.equal(response.statusCode, 200);
+  const identity = response.json();
+  assert.equal(identity.userId, 1);
+  assert.equal(identity.employeeId, 7);
+  assert.equal(identity.attendanceDeviceId, 12);
+  assert.deepEqual(identity.roles, ["HR Manager"]);
+  assert.deepEqual(identity.permissions, [{ id: 3, module: "leaves", permission: "approve" }]);
+  assert.equal(identity.isAdmin, false);
+});
+
+test("API keys and the admin key authenticate", async () => {
+  assert.equal((await whoami("ali-key")).json().employeeId, 7);
+  const admin = (await whoami("admin-key")).json();
+  assert.equal(admin.isAdmin, true);
+  assert.equal(admin.userId, null);
+});
+
+test("unknown and inactive accounts are refused", async () => {
+  assert.equal((await whoami(jwt.sign({ sub: 99 }, "test-secret"))).statusCode, 401);
+  assert.equal((await whoami(jwt.sign({ employee_id: 9 }, "test-secret"))).statusCode, 403);
+});
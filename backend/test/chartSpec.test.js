@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildChartSpec } from "../src/rag/chartSpec.js";
+
+test("a count per category becomes a bar chart sorted by the measure", () => {
+  const spec = buildChartSpec(
+    [
+      { department_name: "QA", headcount: 4 },
+      { department_name: "Engineering", headcount: "12" }
+    ],
+    { sql: "SELECT d.department_name, COUNT(*) AS headcount FROM employees e JOIN departments d ON d.id = e.department GROUP BY d.department_name" }
+  );
+  assert.equal(spec.mark.type, "bar");
+  assert.deepEqual(spec.encoding.x, { field: "department_name", type: "nominal", title: "Department Name", sort: "-y" });
+  assert.equal(spec.encoding.y.field, "headcount");
+  assert.deepEqual(spec.data.values[1], { department_name: "Engineering", headcount: 12 });
+});
+
+test("monthly buckets become a line chart", () => {
+  const spec = buildChartSpec(
+    [
+      { month: "2026-08", late_arrivals: 3 },
+      { month: "2026-09", late_arrivals: 5 }
+    ],
+    { sql: "SELECT DATE_FORMAT(date, '%Y-%m') AS month, COUNT(*) AS late_arrivals FROM attendances GROUP BY month" }
+  );
+  assert.equal(spec.mark.type, "line");
+  assert.equal(spec.encoding.x.type, "temporal");
+  assert.equal(spec.encoding.x.timeUnit, "yearmonth");
+});
+
+test("detail listings and single rows are not charted", () => {
+  const rows = [
+    { employee_name: "Ali Raza", current_salary: 1 },
+    { employee_name: "Sara Khan", current_salary: 2 }
+  ];
+  assert.equal(buildChartSpec(rows, { sql: "SELECT employee_name, current_salary FROM employees" }), null);
+  assert.equal(buildChartSpec([{ headcount: 4 }], { sql: "SELECT COUNT(*) AS headcount FROM employees" }), null);
+});
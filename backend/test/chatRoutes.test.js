@@ -0,0 +1,31 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import Fastify from "fastify";
+import { registerChatRoutes } from "../src/routes/chat.js";
+
+const app = Fastify();
+app.decorate("authenticate", async (request) => {
+  request.identity = { userId: 5, employeeId: 7, isAdmin: false };
+});
+await app.register(registerChatRoutes);
+await app.ready();
+after(() => app.close());
+
+const post = (url, payload) => app.inject({ method: "POST", url, payload });
+
+test("over-long or non-string session ids are rejected", async () => {
+  const sessionId = "x".repeat(129);
+  for (const url of ["/chat", "/chat/stream"]) {
+    const response = await post(url, { question: "how many employees", sessionId });
+    assert.equal(response.statusCode, 400);
+    assert.match(response.json().error, /sessionId/);
+  }
+  assert.equal((await post("/chat", { question: "hi", sessionId: { id: 1 } })).statusCode, 400);
+  assert.equal((await post("/chat/feedback", { rating: "up", sessionId })).statusCode, 400);
+});
+
+test("a question is required", async () => {
+  const response = await post("/chat", { sessionId: "default" });
+  assert.equal(response.statusCode, 400);
+  assert.match(response.json().error, /question/);
+});
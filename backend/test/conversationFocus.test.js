@@ -0,0 +1,76 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+const path = join(await mkdtemp(join(tmpdir(), "focus-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE departments (id INTEGER PRIMARY KEY, department_name TEXT);
+  CREATE TABLE leave_types (id INTEGER PRIMARY KEY, leave_name TEXT);
+  CREATE TABLE employees (id INTEGER PRIMARY KEY, employee_name TEXT, designation TEXT,
+    department INTEGER, is_active INTEGER);
+  INSERT INTO departments VALUES (1, 'Quality Assurance'), (2, 'Engineering');
+  INSERT INTO leave_types VALUES (1, 'Sick Leave'), (2, 'Annual Leave');
+  INSERT INTO employees VALUES (7, 'Ali Raza', 'Engineer', 1, 1), (9, 'Ayesha Khan', 'Manager', 2, 1);
+`);
+db.close();
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_PATH = path;
+const { rewriteFollowUp, updateFocus } = await import("../src/rag/conversationFocus.js");
+const { resolveDateRange } = await import("../src/rag/dateRange.js");
+const { closeDatabase } = await import("../src/db/database.js");
+
+after(() => closeDatabase());
+
+const hr = { level: "all" };
+const now = new Date("2026-10-19T12:00:00Z");
+
+async function focusAfter(question) {
+  return updateFocus(null, question, {
+    employee: { id: 7, name: "Ali Raza", mention: "Ali Raza" },
+    dateRange: resolveDateRange(question, { now }),
+    rows: [{ date: "2026-10-13", status: "late" }]
+  });
+}
+
+test("the focus records the entities a database answer was about", async () => {
+  const focus = await focusAfter("sick leaves of Ali Raza in Quality Assurance last week");
+  assert.equal(focus.employee.id, 7);
+  assert.equal(focus.department.name, "Quality Assurance");
+  assert.equal(focus.leaveType.name, "Sick Leave");
+  assert.equal(focus.dateRange.expression, "last week");
+  assert.deepEqual(focus.result.columns, ["date", "status"]);
+});
+
+test("pronouns are replaced by the employee in focus", async () => {
+  const focus = await focusAfter("attendance of Ali Raza last week");
+  const rewritten = await rewriteFollowUp("what about her leaves?", focus, { access: hr });
+  assert.equal(rewritten.question, "what about Ali Raza's leaves?");
+  assert.equal(rewritten.employee.id, 7);
+});
+
+test("elliptical follow-ups swap entities into the last question", async () => {
+  const focus = await focusAfter("attendance of Ali Raza last week");
+  assert.equal(
+    (await rewriteFollowUp("and for QA?", focus, { access: hr })).question,
+    "attendance of the Quality Assurance department last week"
+  );
+  assert.equal(
+    (await rewriteFollowUp("and last month?", focus, { access: hr })).question,
+    "attendance of Ali Raza last month"
+  );
+  assert.equal(
+    (await rewriteFollowUp("what about Ayesha Khan?", focus, { access: hr })).question,
+    "attendance of Ayesha Khan last week"
+  );
+});
+
+test("new questions are left alone", async () => {
+  const focus = await focusAfter("attendance of Ali Raza last week");
+  const question = "how many public holidays are there in December";
+  assert.deepEqual(await rewriteFollowUp(question, focus, { access: hr }), { question, employee: null });
+  assert.deepEqual(await rewriteFollowUp(question, null, { access: hr }), { question });
+});
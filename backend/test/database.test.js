@@ -0,0 +1,47 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+const path = join(await mkdtemp(join(tmpdir(), "database-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE departments (id INTEGER PRIMARY KEY, department_name TEXT);
+  INSERT INTO departments (id, department_name) VALUES (1, 'QA'), (2, 'Engineering');
+`);
+db.close();
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_PATH = path;
+process.env.DB_USER = "app";
+process.env.DB_READ_USER = "reader";
+const { checkDatabaseHealth, closeDatabase, readQuery } = await import("../src/db/database.js");
+const { connectionOptions } = await import("../src/db/mysql.js");
+
+after(() => closeDatabase());
+
+test("internal reads go through the configured dialect with bound values", async () => {
+  assert.deepEqual(await readQuery("SELECT department_name FROM departments WHERE id = ?", [2]), [
+    { department_name: "Engineering" }
+  ]);
+});
+
+test("health reports the dialect and read statistics", async () => {
+  await readQuery("SELECT id FROM departments");
+  const health = await checkDatabaseHealth();
+  assert.equal(health.dialect, "sqlite");
+  assert.equal(health.ok, true);
+  assert.equal(health.read.ok, true);
+  assert.ok(health.read.queries >= 1);
+});
+
+test("a closed database is opened again by the next read", async () => {
+  await closeDatabase();
+  assert.deepEqual(await readQuery("SELECT COUNT(*) AS n FROM departments"), [{ n: 2 }]);
+});
+
+test("MySQL reads connect as the read-only account, writes as DB_USER", () => {
+  assert.equal(connectionOptions("read").user, "reader");
+  assert.equal(connectionOptions("write").user, "app");
+});
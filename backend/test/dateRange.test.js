@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { resolveDateRange } from "../src/rag/dateRange.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const span = (question) => {
+  const range = resolveDateRange(question, { now });
+  return range && [range.start, range.end];
+};
+
+test("a count before 'of <month>' is not a day", () => {
+  assert.deepEqual(span("show top 5 of march"), ["2026-03-01", "2026-03-31"]);
+  assert.deepEqual(span("leaves on 15th of Jan"), ["2026-01-15", "2026-01-15"]);
+});
+
+test("'may' after a number is a date only with an ordinal or a year", () => {
+  assert.equal(span("who took 2 may off"), null);
+  assert.deepEqual(span("leaves on 2nd may"), ["2026-05-02", "2026-05-02"]);
+  assert.deepEqual(span("leaves on 2 May 2026"), ["2026-05-02", "2026-05-02"]);
+  assert.deepEqual(span("leaves on 15 Jan"), ["2026-01-15", "2026-01-15"]);
+});
+
+test("'for' introduces a day range like 'from'", () => {
+  assert.deepEqual(span("report for 1 dec to 5 jan"), ["2025-12-01", "2026-01-05"]);
+  assert.deepEqual(span("report for Jan 1 to Jan 15"), ["2026-01-01", "2026-01-15"]);
+});
+
+test("'last N months' at month end starts the day after the same date N months back", () => {
+  const monthEnd = (question, date) => {
+    const range = resolveDateRange(question, { now: new Date(`${date}T12:00:00Z`) });
+    return [range.start, range.end];
+  };
+  assert.deepEqual(monthEnd("leaves in the last 3 months", "2026-05-31"), ["2026-03-01", "2026-05-31"]);
+  assert.deepEqual(monthEnd("leaves in the last 1 month", "2026-03-31"), ["2026-03-01", "2026-03-31"]);
+  assert.deepEqual(monthEnd("leaves in the last 2 months", "2026-05-15"), ["2026-03-16", "2026-05-15"]);
+});
+
+test("amounts are not read as years", () => {
+  assert.equal(span("employees with an allowance of 2000 or more"), null);
+  assert.equal(span("who has a fine of 2000"), null);
+  assert.equal(span("salaries in 2000 rupees"), null);
+  assert.deepEqual(span("leaves of 2025"), ["2025-01-01", "2025-12-31"]);
+  assert.deepEqual(span("bonus for 2024"), ["2024-01-01", "2024-12-31"]);
+});
+
+test("day ranges may name 'the' day", () => {
+  assert.deepEqual(span("attendance for the 1st to 5th of march"), ["2026-03-01", "2026-03-05"]);
+  assert.deepEqual(span("leaves from the 3rd to the 9th of June"), ["2026-06-03", "2026-06-09"]);
+});
+
+test("'on' or 'for' before a day makes 'may' a month", () => {
+  assert.deepEqual(span("who was absent on 5 may"), ["2026-05-05", "2026-05-05"]);
+  assert.deepEqual(span("attendance for 5 may"), ["2026-05-05", "2026-05-05"]);
+  assert.equal(span("who took 2 may off"), null);
+});
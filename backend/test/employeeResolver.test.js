@@ -0,0 +1,66 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+const path = join(await mkdtemp(join(tmpdir(), "employees-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE departments (id INTEGER PRIMARY KEY, department_name TEXT);
+  CREATE TABLE employees (id INTEGER PRIMARY KEY, employee_name TEXT, designation TEXT,
+    department INTEGER, is_active INTEGER);
+  INSERT INTO departments VALUES (1, 'QA'), (2, 'Engineering');
+  INSERT INTO employees VALUES
+    (7, 'Ali Raza', 'Engineer', 1, 1),
+    (8, 'Ali Hassan', 'Lead', 2, 1),
+    (9, 'Ayesha Khan', 'Manager', 2, 1);
+`);
+db.close();
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_PATH = path;
+const { clarificationQuestion, pickCandidate, resolveEmployee } = await import(
+  "../src/rag/employeeResolver.js"
+);
+const { closeDatabase } = await import("../src/db/database.js");
+
+after(() => closeDatabase());
+
+const hr = { level: "all" };
+
+test("a full or misspelled name resolves to one employee", async () => {
+  const exact = await resolveEmployee("leaves of Ali Raza last month", { access: hr });
+  assert.equal(exact.status, "resolved");
+  assert.equal(exact.employee.id, 7);
+  assert.equal(exact.mention, "Ali Raza");
+
+  const fuzzy = await resolveEmployee("attendance of Aisha Khan", { access: hr });
+  assert.equal(fuzzy.status, "resolved");
+  assert.equal(fuzzy.employee.id, 9);
+});
+
+test("a shared first name asks which employee was meant", async () => {
+  const result = await resolveEmployee("how many leaves did Ali take", { access: hr });
+  assert.equal(result.status, "ambiguous");
+  assert.deepEqual(result.candidates.map((c) => c.id).sort(), [7, 8]);
+  assert.match(clarificationQuestion(result), /^Did you mean Ali .+ or Ali .+\?$/);
+});
+
+test("callers without HR access only find themselves", async () => {
+  const self = { level: "self", employeeId: 7 };
+  assert.equal((await resolveEmployee("leaves of Ayesha Khan", { access: self })).status, "none");
+  assert.equal((await resolveEmployee("leaves of Ali", { access: self })).employee.id, 7);
+});
+
+test("a reply picks a candidate by number, position or name", () => {
+  const candidates = [
+    { id: 7, name: "Ali Raza", department: "QA" },
+    { id: 8, name: "Ali Hassan", department: "Engineering" }
+  ];
+  assert.equal(pickCandidate("2", candidates).id, 8);
+  assert.equal(pickCandidate("the first one", candidates).id, 7);
+  assert.equal(pickCandidate("Ali Hassan", candidates).id, 8);
+  assert.equal(pickCandidate("the QA one", candidates).id, 7);
+  assert.equal(pickCandidate("Ali", candidates), null);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import Fastify from "fastify";
+import { openEventStream } from "../src/routes/eventStream.js";
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("frames sent after an await reach the client", async () => {
+  const app = Fastify();
+  app.post("/stream", async (request, reply) => {
+    const { send, end } = openEventStream(reply);
+    send({ event: "first" });
+    await pause(50);
+    send({ event: "start" });
+    await pause(50);
+    send({ event: "token", data: "hi" });
+    send({ event: "end" });
+    end();
+  });
+  const address = await app.listen({ port: 0, host: "127.0.0.1" });
+
+  try {
+    const response = await fetch(`${address}/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ question: "hello" })
+    });
+    assert.equal(response.headers.get("content-type"), "text/event-stream");
+    const events = (await response.text())
+      .split("\n\n")
+      .filter(Boolean)
+      .map((frame) => JSON.parse(frame.replace(/^data: /, "")).event);
+    assert.deepEqual(events, ["first", "start", "token", "end"]);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,33 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import Fastify from "fastify";
+import { registerExportRoutes } from "../src/routes/exports.js";
+
+const callers = {
+  admin: { userId: 1, isAdmin: true },
+  employee: { userId: 5, employeeId: 7, isAdmin: false }
+};
+
+const app = Fastify();
+app.decorate("authenticate", async (request) => {
+  request.identity = callers[request.headers["x-caller"]] ?? null;
+});
+await app.register(registerExportRoutes);
+await app.ready();
+after(() => app.close());
+
+const call = (url, caller) => app.inject({ method: "GET", url, headers: { "x-caller": caller } });
+
+test("unknown formats are rejected", async () => {
+  assert.equal((await call("/exports/default?format=pdf", "employee")).statusCode, 400);
+});
+
+test("a session without a database answer has nothing to export", async () => {
+  assert.equal((await call("/exports/default", "employee")).statusCode, 404);
+  assert.equal((await call("/exports/default?format=json", "admin")).statusCode, 404);
+});
+
+test("only admins can name another session by its stored key", async () => {
+  assert.equal((await call("/exports/x?sessionKey=user:1:default", "employee")).statusCode, 403);
+  assert.equal((await call("/exports/x?sessionKey=user:5:default", "admin")).statusCode, 404);
+});
@@ -0,0 +1,11 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sessionKeyFor } from "../src/auth/identity.js";
+
+test("anonymous session ids cannot name a user's session", () => {
+  const userKey = sessionKeyFor({ userId: 5 }, "default");
+  assert.equal(userKey, "user:5:default");
+  assert.notEqual(sessionKeyFor(null, userKey), userKey);
+  assert.equal(sessionKeyFor(null, "abc"), "anon:abc");
+  assert.equal(sessionKeyFor(null, undefined), null);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemorySessionStore } from "../src/session/memorySessionStore.js";
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("stored state is copied in and out", async () => {
+  const store = createMemorySessionStore({ ttlMs: 0, maxEntries: 0 });
+  const state = { history: [{ role: "user", content: "hi" }] };
+  await store.set("a", state);
+  state.history.push({ role: "assistant", content: "changed" });
+  const read = await store.get("a");
+  assert.equal(read.history.length, 1);
+  read.history.length = 0;
+  assert.equal((await store.get("a")).history.length, 1);
+});
+
+test("idle sessions expire and are swept", async () => {
+  const store = createMemorySessionStore({ ttlMs: 30, maxEntries: 0 });
+  await store.set("a", { history: [] });
+  await store.set("b", { history: [] });
+  await pause(50);
+  assert.equal(await store.get("a"), null);
+  assert.equal(await store.sweep(), 1);
+  assert.equal((await store.list()).total, 0);
+});
+
+test("the least recently used session is evicted at capacity", async () => {
+  const store = createMemorySessionStore({ ttlMs: 0, maxEntries: 2 });
+  await store.set("a", { history: [] });
+  await store.set("b", { history: [] });
+  await store.get("a");
+  await store.set("c", { history: [] });
+  assert.equal(await store.get("b"), null);
+  assert.notEqual(await store.get("a"), null);
+  assert.notEqual(await store.get("c"), null);
+});
+
+test("sessions are listed most recently updated first", async () => {
+  const store = createMemorySessionStore({ ttlMs: 60000, maxEntries: 0 });
+  await store.set("old", { history: [{}] });
+  await pause(5);
+  await store.set("new", { history: [{}, {}] });
+  const { total, sessions } = await store.list({ offset: 0, limit: 1 });
+  assert.equal(total, 2);
+  assert.deepEqual(
+    sessions.map(({ sessionId, messageCount }) => ({ sessionId, messageCount })),
+    [{ sessionId: "new", messageCount: 2 }]
+  );
+  assert.equal(await store.delete("old"), true);
+  assert.equal(await store.delete("old"), false);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileMetric, measuresOnlyEmployee } from "../src/rag/metricCompiler.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const request = (name, options = {}) => ({
+  ...compileMetric(name, { now, ...options }),
+  dimension: options.dimension ?? null,
+  filters: options.filters ?? []
+});
+const own = { dimension: "employee", id: 7, name: "Ali Raza" };
+
+test("a metric filtered to the caller measures only the caller", () => {
+  assert.equal(measuresOnlyEmployee(request("on_time_rate", { filters: [own] }), 7), true);
+  assert.equal(measuresOnlyEmployee(request("on_time_rate", { filters: [own] }), "7"), true);
+});
+
+test("organisation-wide and other employees' metrics are not the caller's own", () => {
+  assert.equal(measuresOnlyEmployee(request("headcount"), 7), false);
+  assert.equal(measuresOnlyEmployee(request("headcount", { dimension: "department" }), 7), false);
+  assert.equal(measuresOnlyEmployee(request("on_time_rate", { filters: [own] }), 8), false);
+  assert.equal(measuresOnlyEmployee(request("on_time_rate", { filters: [own] }), null), false);
+});
@@ -0,0 +1,15 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mysqlDialect } from "../src/db/dialects/mysql.js";
+
+const fails = (code) => Object.assign(new Error(code), { code });
+
+test("only errors in the statement itself are worth a repair", () => {
+  for (const code of ["ER_PARSE_ERROR", "ER_BAD_FIELD_ERROR", "ER_NO_SUCH_TABLE", "ER_WRONG_FIELD_WITH_GROUP"]) {
+    assert.equal(mysqlDialect.isStatementError(fails(code)), true, code);
+  }
+  for (const code of ["ER_ACCESS_DENIED_ERROR", "ER_LOCK_WAIT_TIMEOUT", "ER_CON_COUNT_ERROR", "ECONNREFUSED"]) {
+    assert.equal(mysqlDialect.isStatementError(fails(code)), false, code);
+  }
+  assert.equal(mysqlDialect.isStatementError(new Error("no code")), false);
+});
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectPaginationRequest } from "../src/rag/pagination.js";
+
+test("whole-message paging commands are recognized", () => {
+  assert.deepEqual(detectPaginationRequest("next"), { type: "next" });
+  assert.deepEqual(detectPaginationRequest("Show more please"), { type: "next" });
+  assert.deepEqual(detectPaginationRequest("go back"), { type: "previous" });
+  assert.deepEqual(detectPaginationRequest("go to page 3"), { type: "page", page: 3, pageSize: undefined });
+  assert.deepEqual(detectPaginationRequest("page 2 with 10 per page"), { type: "page", page: 2, pageSize: 10 });
+  assert.deepEqual(detectPaginationRequest("first page"), { type: "first", pageSize: undefined });
+  assert.deepEqual(detectPaginationRequest("show 10 at a time"), { type: "resize", pageSize: 10 });
+  assert.deepEqual(detectPaginationRequest("set page size to 20"), { type: "resize", pageSize: 20 });
+  assert.deepEqual(detectPaginationRequest("how many results are there in total?"), { type: "total" });
+});
+
+test("questions that mention pages or going back are not paging", () => {
+  assert.equal(detectPaginationRequest("what does page 3 of the leave policy say"), null);
+  assert.equal(detectPaginationRequest("who is on the first page of the org chart"), null);
+  assert.equal(detectPaginationRequest("employees who came back from leave"), null);
+  assert.equal(detectPaginationRequest("show more employees in QA"), null);
+  assert.equal(detectPaginationRequest("next holiday"), null);
+});
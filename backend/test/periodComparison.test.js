@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectComparison } from "../src/rag/periodComparison.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const labels = (comparison) => comparison.periods.map((period) => period.label);
+
+test("a baseline after a comparison cue is compared with the current period", () => {
+  const comparison = detectComparison("did late arrivals go up compared to last month?", { now });
+  assert.equal(comparison.mode, "compare");
+  assert.deepEqual(labels(comparison), ["last month, first 19 days", "this month so far"]);
+  assert.equal(comparison.question, "did late arrivals go up?");
+});
+
+test("'than' compares only in a question about change", () => {
+  assert.deepEqual(labels(detectComparison("did absences increase more than last month", { now })), [
+    "last month, first 19 days",
+    "this month so far"
+  ]);
+  assert.equal(detectComparison("how many employees have a salary higher than last year", { now }), null);
+});
+
+test("date filters are not comparisons", () => {
+  assert.equal(detectComparison("who joined earlier than 2025-01-01", { now }), null);
+  assert.equal(detectComparison("did salaries increase for staff who joined earlier than 2025-01-01", { now }), null);
+});
+
+test("the trend phrase is removed whole from the question", () => {
+  assert.equal(detectComparison("show the trend of late arrivals", { now }).question, "show late arrivals");
+  assert.equal(detectComparison("what is the monthly trend in headcount?", { now }).question, "what is the headcount?");
+  assert.equal(
+    detectComparison("the trend of absences over the last 3 months by department", { now }).question,
+    "absences by department"
+  );
+});
+
+test("a current period still under way is compared with as many days of the baseline", () => {
+  const month = detectComparison("did late arrivals go up compared to last month?", { now });
+  assert.deepEqual(
+    month.periods.map(({ start, end }) => [start, end]),
+    [["2026-09-01", "2026-09-19"], ["2026-10-01", "2026-10-19"]]
+  );
+  assert.deepEqual(labels(month), ["last month, first 19 days", "this month so far"]);
+
+  const year = detectComparison("salary growth this year compared to last year", { now });
+  assert.deepEqual(
+    year.periods.map(({ start, end }) => [start, end]),
+    [["2025-01-01", "2025-10-19"], ["2026-01-01", "2026-10-19"]]
+  );
+
+  const lastDay = detectComparison("did absences increase compared to last month", {
+    now: new Date("2026-10-31T12:00:00Z")
+  });
+  assert.deepEqual(labels(lastDay), ["last month", "this month"]);
+});
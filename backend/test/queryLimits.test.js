@@ -0,0 +1,43 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+// The limits are enforced by the dialect; SQLite needs no server.
+const path = join(await mkdtemp(join(tmpdir(), "query-limits-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE employees (id INTEGER PRIMARY KEY, employee_name TEXT);
+  INSERT INTO employees (id, employee_name) VALUES (7, 'Ali Raza'), (8, 'Sara Khan'), (9, 'Omar Ali');
+`);
+db.close();
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_PATH = path;
+const { QueryLimitError, queryDb } = await import("../src/db/query.js");
+const { closeDatabase } = await import("../src/db/database.js");
+
+after(() => closeDatabase());
+
+test("statements whose plan reads too many rows are rejected before they run", async () => {
+  await assert.rejects(
+    queryDb("SELECT a.id FROM employees a, employees b, employees c", {}, { maxScanRows: 5 }),
+    (err) => err instanceof QueryLimitError && err.reason === "scan_limit" && err.limit === 5
+  );
+  const rows = await queryDb("SELECT COUNT(*) AS n FROM employees", {}, { maxScanRows: 5 });
+  assert.deepEqual(rows, [{ n: 3 }]);
+});
+
+test("a statement that outlives its time limit is stopped", async () => {
+  const endless =
+    "WITH RECURSIVE c (x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM c) SELECT COUNT(*) AS n FROM c";
+  await assert.rejects(
+    queryDb(endless, {}, { timeoutMs: 200, maxScanRows: 0 }),
+    (err) => err instanceof QueryLimitError && err.reason === "timeout"
+  );
+  // The next statement gets a fresh runner.
+  assert.deepEqual(await queryDb("SELECT employee_name FROM employees WHERE id = 8"), [
+    { employee_name: "Sara Khan" }
+  ]);
+});
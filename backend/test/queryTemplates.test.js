@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchTemplate } from "../src/rag/queryTemplates.js";
+import { resolveDateRange } from "../src/rag/dateRange.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const templateFor = (question, employee) =>
+  matchTemplate(question, { dateRange: resolveDateRange(question, { now }), employee })?.name ?? null;
+
+test("public holiday questions use the holiday calendar", () => {
+  assert.equal(templateFor("show the public holidays"), "holidays_in_range");
+  assert.equal(templateFor("holidays in December"), "holidays_in_range");
+  assert.equal(templateFor("holiday calendar for 2026"), "holidays_in_range");
+});
+
+test("holidays someone took are not the holiday calendar", () => {
+  assert.equal(templateFor("how many holidays did Ali take last month"), null);
+  assert.equal(templateFor("holidays of Ali Raza last month", { id: 1, name: "Ali Raza" }), null);
+  assert.equal(templateFor("holiday policy"), null);
+});
+
+test("templates filter a resolved employee by id, not by a name pattern", () => {
+  const employee = { id: 7, name: "Ali Khan" };
+  const balance = matchTemplate("casual leaves of Ali Khan", { employee });
+  assert.equal(balance.name, "leave_balance_by_type");
+  assert.equal(balance.params.employee_id, 7);
+  assert.equal(balance.params.employee_name, null);
+
+  const question = "attendance of Ali Khan last week";
+  const attendance = matchTemplate(question, {
+    dateRange: resolveDateRange(question, { now }),
+    employee
+  });
+  assert.equal(attendance.name, "attendance_for_date_range");
+  assert.equal(attendance.params.employee_id, 7);
+  assert.equal(attendance.params.employee_name, null);
+
+  const reports = matchTemplate("who reports to Ali Khan", { employee });
+  assert.deepEqual(reports.params, { manager_id: 7, manager_name: "Ali Khan" });
+
+  const unresolved = matchTemplate("casual leaves of Ali Khan");
+  assert.equal(unresolved.params.employee_id, null);
+  assert.equal(unresolved.params.employee_name, "Ali Khan");
+});
@@ -0,0 +1,14 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeColumns } from "../src/rag/resultColumns.js";
+
+test("columns are described from the tables the validated SQL reads", () => {
+  const rows = [{ employee_name: "Ali Raza", department_name: "QA" }];
+  const sql =
+    "SELECT e.employee_name, d.department_name FROM employees e JOIN departments d ON d.id = e.department_id";
+  const [name, department] = describeColumns(rows, sql);
+  assert.equal(name.source, "employees.employee_name");
+  assert.equal(name.label, "Employee Name");
+  assert.equal(department.source, "departments.department_name");
+  assert.equal(typeof name.description, "string");
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { enrichRows } from "../src/rag/rowEnrichment.js";
+
+const self = { level: "self", employeeId: 7 };
+
+function fakeDatabase(tables) {
+  const executed = [];
+  const execute = async (sql) => {
+    executed.push(sql);
+    const table = Object.keys(tables).find((name) => sql.includes(`\`${name}\` WHERE`));
+    return tables[table] || [];
+  };
+  return { executed, execute };
+}
+
+test("ids are named from the referenced tables' display fields", async () => {
+  const { executed, execute } = fakeDatabase({
+    employees: [{ id: 7, employee_name: "Ali Raza" }],
+    leave_types: [{ id: 2, leave_name: "Annual" }]
+  });
+  const rows = await enrichRows(
+    [
+      { employee_id: 7, leave_type_id: 2, days: 3 },
+      { employee_id: 8, leave_type_id: null }
+    ],
+    { access: self, execute }
+  );
+  assert.deepEqual(rows, [
+    { employee_id: 7, leave_type_id: 2, days: 3, employee_name: "Ali Raza", leave_type_name: "Annual" },
+    { employee_id: 8, leave_type_id: null }
+  ]);
+  assert.equal(executed.length, 2);
+});
+
+test("lookups are scoped to the caller and skip tables they may not read", async () => {
+  const { executed, execute } = fakeDatabase({});
+  const rows = [{ employee_id: 8, attendance_device_id: 3 }];
+  assert.deepEqual(await enrichRows(rows, { access: self, execute }), rows);
+  assert.ok(executed.every((sql) => !sql.includes("attendance_device_info")));
+  assert.match(executed.find((sql) => sql.includes("employees")), /WHERE `id` = 7\)/);
+});
+
+test("existing values are kept and failed lookups leave rows unchanged", async () => {
+  const rows = [{ employee_id: 7, employee_name: "Given" }];
+  const failing = async () => {
+    throw new Error("database down");
+  };
+  assert.deepEqual(await enrichRows(rows, { access: { level: "all" }, execute: failing }), rows);
+  const { execute } = fakeDatabase({ employees: [{ id: 7, employee_name: "Ali Raza" }] });
+  assert.deepEqual(await enrichRows(rows, { access: { level: "all" }, execute }), [
+    { employee_id: 7, employee_name: "Given" }
+  ]);
+});
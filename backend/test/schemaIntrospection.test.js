@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectSchemaDrift,
+  formatDriftReport,
+  generateEntitySkeleton,
+  hasDrift
+} from "../src/db/schemaIntrospection.js";
+
+const schema = {
+  departments: {
+    table: "departments",
+    primaryKey: "id",
+    columns: { department_name: "Name", description: "Description" }
+  },
+  leave_types: { table: "leave_types", columns: { leave_name: "Name" } }
+};
+const columns = (...names) => ({ columns: names.map((name) => ({ name })), foreignKeys: [] });
+
+test("a matching database has no drift", () => {
+  const drift = detectSchemaDrift(
+    {
+      departments: columns("id", "department_name", "description"),
+      leave_types: columns("leave_name")
+    },
+    schema
+  );
+  assert.equal(hasDrift(drift), false);
+  assert.equal(formatDriftReport(drift), "semanticSchema matches the database.");
+});
+
+test("missing, renamed and undescribed tables and columns are reported", () => {
+  const drift = detectSchemaDrift(
+    {
+      departments: columns("id", "departmentname", "description", "created_at"),
+      leave_type: columns("leave_name"),
+      projects: columns("id", "title")
+    },
+    schema
+  );
+  assert.deepEqual(drift.missingTables, [{ table: "leave_types", suggestion: "leave_type" }]);
+  assert.deepEqual(drift.unmappedTables, ["leave_type", "projects"]);
+  assert.deepEqual(drift.missingColumns, [
+    { table: "departments", column: "department_name", suggestion: "departmentname" }
+  ]);
+  assert.deepEqual(drift.unmappedColumns, [
+    { table: "departments", column: "departmentname" },
+    { table: "departments", column: "created_at" }
+  ]);
+  assert.match(formatDriftReport(drift), /departments\.department_name \(renamed to departmentname\?\)/);
+});
+
+test("a skeleton entry is generated for an undescribed table", () => {
+  const skeleton = generateEntitySkeleton("projects", {
+    columns: [
+      { name: "id", type: "int", key: "PRI", comment: "" },
+      { name: "title", type: "varchar", key: "", comment: "Project title" }
+    ],
+    foreignKeys: []
+  });
+  assert.match(skeleton, /^ {2}projects: \{/);
+  assert.match(skeleton, /primaryKey: "id"/);
+  assert.match(skeleton, /title: "Project title"/);
+  assert.match(skeleton, /displayFields: \["title"\]/);
+});
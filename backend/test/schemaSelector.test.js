@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { expandWithNeighbours, promptSchemaFor, selectSchema } from "../src/rag/schemaSelector.js";
+
+test("referenced tables and bridges between seeds are added", () => {
+  assert.deepEqual(expandWithNeighbours(["employee_leaves"]), ["employee_leaves", "employees", "leave_types"]);
+  assert.ok(expandWithNeighbours(["employees", "roles"]).includes("employee_roles"));
+});
+
+test("tables named in the question are selected with their neighbours", async () => {
+  const { tables, matches, fallback } = await selectSchema("how many sick leaves did employees take");
+  assert.equal(fallback, false);
+  assert.ok(matches.some((m) => m.table === "employee_leaves" && m.via === "synonym"));
+  for (const table of ["employees", "employee_leaves", "leave_types"]) {
+    assert.ok(tables.includes(table), table);
+  }
+});
+
+test("a question that names no table gets the full schema", async () => {
+  const { tables, fallback } = await selectSchema("xyzzy");
+  assert.equal(fallback, true);
+  assert.ok(tables.length > 10);
+});
+
+test("the prompt schema is limited to the selected tables", () => {
+  assert.deepEqual(Object.keys(promptSchemaFor(["employees", "departments"])).sort(), ["departments", "employees"]);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildPromptSchema, maskRecord, maskRows } from "../src/rag/sensitivity.js";
+import { validateSelectSql } from "../src/db/sqlValidator.js";
+
+const hr = { level: "all" };
+const self = { level: "self", employeeId: 7 };
+
+test("restricted columns are masked for self-level callers only", () => {
+  const sql = "SELECT employee_name, cnic FROM employees";
+  const rows = [{ employee_name: "Ali Raza", cnic: "35202-1234567-1" }];
+  assert.deepEqual(maskRows(rows, sql, hr), rows);
+  assert.deepEqual(maskRows(rows, sql, self), [
+    { employee_name: "Ali Raza", cnic: "****67-1" }
+  ]);
+});
+
+test("computed and renamed columns keep the sensitivity of their sources", () => {
+  const sql = "SELECT CONCAT(cnic, '') AS id_card FROM employees";
+  const [row] = maskRows([{ id_card: "35202-1234567-1" }], sql, self);
+  assert.equal(row.id_card, "****67-1");
+});
+
+test("columns selected through a WITH query are traced to their source", () => {
+  const sql = "WITH t AS (SELECT password AS x FROM employees) SELECT x FROM t";
+  assert.deepEqual(maskRows([{ x: "$2b$10$hash" }], sql, hr), [{ x: "[REDACTED]" }]);
+
+  const renamed = "WITH t (x) AS (SELECT cnic FROM employees) SELECT x FROM t";
+  assert.deepEqual(maskRows([{ x: "35202-1234567-1" }], renamed, self), [{ x: "****67-1" }]);
+});
+
+test("derived tables are traced to their source", () => {
+  const sql = "SELECT d.x FROM (SELECT password AS x FROM users) AS d";
+  assert.deepEqual(maskRows([{ x: "$2b$10$hash" }], sql, hr), [{ x: "[REDACTED]" }]);
+});
+
+test("UNION columns take the strictest level across branches", () => {
+  const sql =
+    "SELECT id, employee_name FROM employees UNION SELECT id, password FROM employees";
+  const rows = [{ id: 1, employee_name: "$2b$10$hash" }];
+  assert.deepEqual(maskRows(rows, sql, hr), [{ id: 1, employee_name: "[REDACTED]" }]);
+  assert.deepEqual(maskRows(rows, sql, self), [{ id: 1, employee_name: "[REDACTED]" }]);
+});
+
+test("secret columns cannot be referenced anywhere in a statement", () => {
+  for (const sql of [
+    "SELECT password FROM employees",
+    "SELECT id FROM employees WHERE password LIKE '$2b$%'",
+    "SELECT e.id FROM employees e WHERE e.password = 'x'",
+    "SELECT id FROM employees WHERE id IN (SELECT id FROM users WHERE password > 'a')"
+  ]) {
+    assert.throws(() => validateSelectSql(sql), /cannot be queried/, sql);
+  }
+  assert.doesNotThrow(() => validateSelectSql("SELECT id, employee_name FROM employees"));
+});
+
+test("secret columns never reach the prompt schema", () => {
+  const schema = buildPromptSchema();
+  assert.equal(schema.employees.columns.password, undefined);
+  assert.equal(typeof schema.employees.columns.employee_name, "string");
+  assert.equal(schema.employees.sensitivity, undefined);
+});
+
+test("single table rows are masked by column", () => {
+  const row = { employee_name: "Ali Raza", current_salary: 250000, password: "$2b$10$hash" };
+  assert.deepEqual(maskRecord(row, "employees"), {
+    employee_name: "Ali Raza",
+    current_salary: "****",
+    password: "[REDACTED]"
+  });
+  assert.deepEqual(maskRecord(row, "employees", "restricted"), { ...row, password: "[REDACTED]" });
+});
+
+test("secret columns cannot be reached through WITH queries, derived tables or outer queries", () => {
+  for (const sql of [
+    "WITH x AS (SELECT * FROM employees) SELECT employee_name FROM x WHERE password LIKE 'a%'",
+    "WITH x AS (SELECT * FROM employees), y AS (SELECT * FROM x) SELECT y.employee_name FROM y WHERE y.password > 'a'",
+    "WITH x (name, secret) AS (SELECT employee_name, password FROM employees) SELECT name FROM x",
+    "SELECT d.id FROM (SELECT e.* FROM employees e) AS d WHERE d.password LIKE 'a%'",
+    "WITH x AS (SELECT id, employee_name FROM employees UNION SELECT id, password FROM users) " +
+      "SELECT id FROM x WHERE employee_name LIKE 'a%'",
+    "SELECT e.id FROM employees e WHERE EXISTS (SELECT 1 FROM departments d WHERE e.password LIKE 'a%')",
+    "SELECT e.id FROM employees e JOIN (SELECT 'x' AS password) g USING (password)"
+  ]) {
+    assert.throws(() => validateSelectSql(sql), /cannot be queried/, sql);
+  }
+  assert.doesNotThrow(() =>
+    validateSelectSql(
+      "WITH x AS (SELECT * FROM departments) SELECT department_name FROM x WHERE department_name LIKE 'Q%'"
+    )
+  );
+  assert.doesNotThrow(() =>
+    validateSelectSql("SELECT d.employee_name FROM (SELECT id, employee_name FROM employees) AS d")
+  );
+});
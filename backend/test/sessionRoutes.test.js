@@ -0,0 +1,58 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import Fastify from "fastify";
+import { registerSessionRoutes, snapshotForCaller } from "../src/routes/sessions.js";
+
+const callers = {
+  admin: { userId: 1, isAdmin: true },
+  employee: { userId: 5, employeeId: 7, isAdmin: false }
+};
+
+const app = Fastify();
+app.decorate("authenticate", async (request) => {
+  request.identity = callers[request.headers["x-caller"]] ?? null;
+});
+await app.register(registerSessionRoutes);
+await app.ready();
+after(() => app.close());
+
+const call = (method, url, caller) => app.inject({ method, url, headers: { "x-caller": caller } });
+
+test("only admins can list sessions", async () => {
+  assert.equal((await call("GET", "/sessions", "employee")).statusCode, 403);
+  const response = await call("GET", "/sessions?page=2&pageSize=500", "admin");
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json(), { page: 2, pageSize: 100, total: 0, sessions: [] });
+});
+
+test("unknown sessions are not found", async () => {
+  assert.equal((await call("GET", "/sessions/default", "employee")).statusCode, 404);
+  assert.equal((await call("DELETE", "/sessions/default", "employee")).statusCode, 404);
+});
+
+test("stored SQL is shown to HR callers only", () => {
+  const snapshot = {
+    sessionId: "user:5:default",
+    history: [],
+    lastDatabaseQuery: {
+      sql: "SELECT employee_name FROM employees WHERE id = ?",
+      params: [7],
+      example: null,
+      originalQuestion: "my name",
+      offset: 0,
+      limit: 10,
+      rowCount: 1,
+      total: 1
+    },
+    focus: null
+  };
+  assert.deepEqual(snapshotForCaller(snapshot, callers.employee).lastDatabaseQuery, {
+    originalQuestion: "my name",
+    offset: 0,
+    limit: 10,
+    rowCount: 1,
+    total: 1
+  });
+  assert.deepEqual(snapshotForCaller(snapshot, callers.admin), snapshot);
+  assert.deepEqual(snapshotForCaller(snapshot, { employeeId: 1, roles: ["HR"] }), snapshot);
+});
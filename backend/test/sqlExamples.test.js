@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const dir = await mkdtemp(join(tmpdir(), "sql-examples-"));
+const seedPath = join(dir, "seed.json");
+const localPath = join(dir, "promoted", "local.json");
+const seed = [{ question: "list departments", sql: "SELECT id FROM departments", source: "seed" }];
+await writeFile(seedPath, JSON.stringify(seed));
+process.env.SQL_EXAMPLES_PATH = seedPath;
+process.env.SQL_EXAMPLES_LOCAL_PATH = localPath;
+const { promoteExample } = await import("../src/rag/sqlExamples.js");
+
+test("promoted examples are written to the local file, not the seed", async () => {
+  const result = await promoteExample({
+    question: "how many departments are there",
+    sql: "SELECT COUNT(*) AS total FROM departments"
+  });
+  assert.equal(result.added, true);
+  assert.deepEqual(JSON.parse(await readFile(seedPath, "utf8")), seed);
+  const promoted = JSON.parse(await readFile(localPath, "utf8"));
+  assert.deepEqual(promoted.map((e) => e.question), ["how many departments are there"]);
+});
+
+test("promoting a seed question overrides it without touching the seed", async () => {
+  const result = await promoteExample({
+    question: "List departments",
+    sql: "SELECT id, department_name FROM departments"
+  });
+  assert.equal(result.added, false);
+  assert.deepEqual(JSON.parse(await readFile(seedPath, "utf8")), seed);
+  const promoted = JSON.parse(await readFile(localPath, "utf8"));
+  assert.equal(promoted.length, 2);
+});
@@ -0,0 +1,53 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+const path = join(await mkdtemp(join(tmpdir(), "export-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE departments (id INTEGER PRIMARY KEY, department_name TEXT, description TEXT);
+  CREATE TABLE employees (id INTEGER PRIMARY KEY, employee_name TEXT, designation TEXT,
+    department INTEGER, cnic TEXT);
+  INSERT INTO departments VALUES (1, 'QA', NULL), (2, 'Engineering', NULL);
+  INSERT INTO employees VALUES
+    (7, 'Ali Raza', 'Engineer', 1, '35202-1234567-1'),
+    (8, 'Sara Khan', 'Lead', 2, '35202-7654321-2'),
+    (9, 'Omar Ali', 'Manager', 2, '35202-1111111-3');
+`);
+db.close();
+Object.assign(process.env, { DB_DIALECT: "sqlite", SQLITE_PATH: path, EXPORT_MAX_ROWS: "2" });
+const { runSqlExport } = await import("../src/rag/sqlChain.js");
+const { AccessDeniedError } = await import("../src/auth/accessPolicy.js");
+const { closeDatabase } = await import("../src/db/database.js");
+
+after(() => closeDatabase());
+
+const hr = { employeeId: 1, roles: ["HR"] };
+const employee = { employeeId: 7, roles: [] };
+const sql = "SELECT id, employee_name, department, cnic FROM employees ORDER BY id LIMIT 1";
+
+test("exports ignore the page limit but stop at EXPORT_MAX_ROWS", async () => {
+  const { rows, truncated } = await runSqlExport(sql, { identity: hr });
+  assert.equal(truncated, true);
+  assert.deepEqual(rows.map((row) => row.id), [7, 8]);
+  assert.equal(rows[0].cnic, "35202-1234567-1");
+  assert.equal(rows[1].department_name, "Engineering");
+});
+
+test("other employees export only their own rows, masked", async () => {
+  const { rows, truncated } = await runSqlExport(sql, { identity: employee });
+  assert.equal(truncated, false);
+  assert.deepEqual(rows, [
+    { id: 7, employee_name: "Ali Raza", department: 1, cnic: "****67-1", department_name: "QA" }
+  ]);
+});
+
+test("tables the caller may not read are refused", async () => {
+  await assert.rejects(
+    runSqlExport("SELECT id FROM activity_logs", { identity: employee }),
+    AccessDeniedError
+  );
+});
@@ -0,0 +1,84 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+const dir = await mkdtemp(join(tmpdir(), "sql-repair-"));
+const path = join(dir, "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE departments (id INTEGER PRIMARY KEY, department_name TEXT, description TEXT);
+  INSERT INTO departments (id, department_name) VALUES (1, 'QA'), (2, 'Engineering');
+`);
+db.close();
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_PATH = path;
+process.env.OPENAI_API_KEY = "test-key";
+process.env.SQL_EXAMPLES_LOCAL_PATH = join(dir, "examples.json");
+
+// Chat completions answer from this queue; embeddings fail, so schema and
+// example selection fall back to their offline matching.
+const replies = [];
+const prompts = [];
+globalThis.fetch = async (url, init) => {
+  const json = (body, status) =>
+    new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+  if (!String(url).endsWith("/chat/completions")) {
+    return json({ error: { message: "offline" } }, 400);
+  }
+  prompts.push(JSON.parse(init.body).messages.map((m) => m.content).join("\n"));
+  return json({
+    id: "test",
+    object: "chat.completion",
+    created: 0,
+    model: "test",
+    choices: [{ index: 0, message: { role: "assistant", content: replies.shift() }, finish_reason: "stop" }],
+    usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 }
+  }, 200);
+};
+
+const { runSqlChain } = await import("../src/rag/sqlChain.js");
+const { closeDatabase } = await import("../src/db/database.js");
+
+after(() => closeDatabase());
+
+const hr = { employeeId: 1, roles: ["HR"] };
+
+test("a rejected query is sent back to the LLM with the error and retried", async () => {
+  replies.push(
+    "SELECT department_title FROM departments",
+    "SELECT department_name FROM departments ORDER BY id",
+    "There are two departments: QA and Engineering."
+  );
+  prompts.length = 0;
+
+  const result = await runSqlChain("list the department names", { identity: hr });
+
+  assert.deepEqual(result.rows, [{ department_name: "QA" }, { department_name: "Engineering" }]);
+  assert.deepEqual(
+    result.attempts.map(({ attempt, stage }) => ({ attempt, stage })),
+    [{ attempt: 1, stage: "validation" }, { attempt: 2, stage: "execution" }]
+  );
+  assert.match(result.attempts[0].error, /department_title/);
+  assert.match(prompts[1], /department_title/);
+});
+
+test("repair stops after SQL_REPAIR_MAX_ATTEMPTS and answers without running anything", async () => {
+  replies.push(
+    "SELECT department_title FROM departments",
+    "SELECT title FROM departments",
+    "SELECT dept FROM departments",
+    "SELECT department_name FROM departments"
+  );
+
+  const result = await runSqlChain("list the department names", { identity: hr });
+
+  assert.equal(result.sql, "");
+  assert.deepEqual(result.rows, []);
+  assert.equal(result.attempts.length, 3);
+  assert.ok(result.attempts.every(({ stage }) => stage === "validation"));
+  assert.match(result.answer, /couldn't generate a safe database query/);
+  replies.length = 0;
+});
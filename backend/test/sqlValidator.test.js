@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SqlValidationError, validateSelectSql } from "../src/db/sqlValidator.js";
+
+const reasonsFor = (sql, options) => {
+  try {
+    validateSelectSql(sql, options);
+    return [];
+  } catch (err) {
+    assert.ok(err instanceof SqlValidationError);
+    return err.reasons;
+  }
+};
+
+test("only a single SELECT is accepted", () => {
+  assert.deepEqual(reasonsFor("SELECT 1; SELECT 2"), ["expected a single statement, found 2"]);
+  assert.deepEqual(reasonsFor("DELETE FROM employees"), ["only SELECT statements are allowed (got DELETE)"]);
+  assert.deepEqual(reasonsFor(""), ["SQL is empty"]);
+});
+
+test("side effects, locks and executable comments are rejected", () => {
+  assert.deepEqual(reasonsFor("SELECT * FROM employees INTO OUTFILE '/tmp/x'"), [
+    "SELECT ... INTO OUTFILE is not allowed"
+  ]);
+  assert.deepEqual(reasonsFor("SELECT id FROM employees FOR UPDATE"), [
+    "locking reads (FOR UPDATE / FOR SHARE) are not allowed"
+  ]);
+  assert.deepEqual(reasonsFor("SELECT id FROM employees /*!50000 UNION SELECT 1 */"), [
+    "MySQL executable comments are not allowed"
+  ]);
+  assert.deepEqual(reasonsFor("SELECT SLEEP(5) FROM employees"), ["function SLEEP() is not allowed"]);
+  assert.deepEqual(reasonsFor("SELECT @@version"), ["variable @@version is not allowed"]);
+});
+
+test("tables, schemas and columns must be known", () => {
+  assert.deepEqual(reasonsFor("SELECT id FROM secrets"), ['table "secrets" is not allowed']);
+  assert.match(reasonsFor("SELECT id FROM mysql.user")[0], /references schema "mysql"/);
+  assert.deepEqual(reasonsFor("SELECT bogus FROM employees"), ['unknown column "bogus" (not on employees)']);
+  assert.deepEqual(
+    reasonsFor("SELECT id FROM employees UNION SELECT id FROM activity_logs", { allowedTables: ["employees"] }),
+    ['table "activity_logs" is not allowed']
+  );
+});
+
+test("CTEs, derived tables and aliases are resolved", () => {
+  assert.deepEqual(
+    reasonsFor("WITH t AS (SELECT id, employee_name FROM employees) SELECT n.employee_name FROM t AS n"),
+    []
+  );
+  assert.deepEqual(
+    reasonsFor("SELECT d.total FROM (SELECT COUNT(*) AS total FROM employees) AS d ORDER BY total"),
+    []
+  );
+});
+
+test("WITH query names only cover their own statement", () => {
+  const allowedTables = ["employees"];
+  assert.deepEqual(
+    reasonsFor(
+      "WITH activity_logs AS (SELECT id FROM employees) SELECT id FROM activity_logs",
+      { allowedTables }
+    ),
+    []
+  );
+  // Inside its own body, and outside the subquery that defines it, the
+  // name means the table.
+  assert.deepEqual(
+    reasonsFor(
+      "WITH activity_logs AS (SELECT id FROM activity_logs) SELECT id FROM activity_logs",
+      { allowedTables }
+    ),
+    ['table "activity_logs" is not allowed']
+  );
+  assert.deepEqual(
+    reasonsFor(
+      "SELECT id FROM activity_logs WHERE id IN " +
+        "(WITH activity_logs AS (SELECT 1 AS id) SELECT id FROM activity_logs)",
+      { allowedTables }
+    ),
+    ['table "activity_logs" is not allowed']
+  );
+  assert.deepEqual(
+    reasonsFor("SELECT bogus FROM employees WHERE id IN (WITH employees AS (SELECT 1 AS id) SELECT id FROM employees)"),
+    ['unknown column "bogus" (not on employees)']
+  );
+});
+
+test("the validated statement is re-serialized without comments", () => {
+  assert.equal(
+    validateSelectSql("SELECT e.employee_name FROM employees e -- note"),
+    "SELECT `e`.`employee_name` FROM `employees` AS `e`"
+  );
+});
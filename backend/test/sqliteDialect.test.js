@@ -0,0 +1,66 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Database from "better-sqlite3";
+
+const path = join(await mkdtemp(join(tmpdir(), "sqlite-dialect-")), "hr.sqlite");
+const db = new Database(path);
+db.exec(`
+  CREATE TABLE departments (id INTEGER PRIMARY KEY, department_name TEXT);
+  CREATE TABLE employees (id INTEGER PRIMARY KEY, employee_name TEXT, department INTEGER REFERENCES departments (id));
+  INSERT INTO departments (id, department_name) VALUES (1, 'QA'), (2, 'Engineering');
+  INSERT INTO employees (id, employee_name, department) VALUES (7, 'Ali Raza', 1), (8, 'Sara Khan', 2);
+`);
+db.close();
+process.env.DB_DIALECT = "sqlite";
+process.env.SQLITE_PATH = path;
+const { queryDb } = await import("../src/db/query.js");
+const { SqlValidationError } = await import("../src/db/sqlValidator.js");
+const { sqlDialect } = await import("../src/db/dialects/index.js");
+const { closeDatabase } = await import("../src/db/database.js");
+const { applyAccessPolicy } = await import("../src/auth/accessPolicy.js");
+const { paginateSql } = await import("../src/rag/pagination.js");
+
+after(() => closeDatabase());
+
+test("generated SELECTs run with their string literals bound", async () => {
+  assert.deepEqual(await queryDb("SELECT id FROM employees WHERE employee_name = 'Ali Raza'"), [{ id: 7 }]);
+});
+
+test("access-scoped and paginated SQL is written in SQLite syntax", async () => {
+  const scoped = applyAccessPolicy(
+    "SELECT e.employee_name, d.department_name FROM employees e JOIN departments d ON d.id = e.department",
+    { level: "self", employeeId: 8 }
+  );
+  assert.deepEqual(await queryDb(scoped), [{ employee_name: "Sara Khan", department_name: "Engineering" }]);
+
+  const page = paginateSql("SELECT employee_name FROM employees ORDER BY id", 1, 1);
+  assert.match(page, /LIMIT 1 OFFSET 1$/);
+  assert.deepEqual(await queryDb(page), [{ employee_name: "Sara Khan" }]);
+});
+
+test("SQLite functions that reach outside the database are rejected", async () => {
+  await assert.rejects(queryDb("SELECT load_extension('x') AS y FROM employees"), SqlValidationError);
+  await assert.rejects(queryDb("SELECT readfile('/etc/passwd') AS y FROM employees"), SqlValidationError);
+});
+
+test("statement errors are told apart for the repair loop", async () => {
+  const dialect = sqlDialect();
+  await assert.rejects(
+    dialect.executeSelect("SELECT nope FROM departments", {}, { timeoutMs: 1000, maxScanRows: 0 }),
+    (err) => dialect.isStatementError(err)
+  );
+});
+
+test("the schema is read from sqlite_schema and PRAGMAs", async () => {
+  const { columns, foreignKeys } = await sqlDialect().readSchema();
+  assert.deepEqual(
+    columns.filter((c) => c.table === "departments").map((c) => [c.name, c.type, c.key]),
+    [["id", "integer", "PRI"], ["department_name", "text", ""]]
+  );
+  assert.deepEqual(foreignKeys, [
+    { table: "employees", column: "department", refTable: "departments", refColumn: "id" }
+  ]);
+});